@@ -15,14 +15,23 @@ db.createUser({
 
 // Create indexes for better performance
 db.properties.createIndex({ 'location_id.city': 1, type: 1, price: 1 });
-db.properties.createIndex({ 'location_id.coordinates': '2dsphere' });
+db.properties.createIndex({ 'location_id.geo': '2dsphere' });
 db.properties.createIndex({ created_at: -1 });
 db.properties.createIndex({ views: -1 });
-db.properties.createIndex({ title: 'text', description: 'text' });
+db.properties.createIndex(
+  { title: 'text', description: 'text', searchKeywords: 'text' },
+  {
+    name: 'property_text_search',
+    default_language: 'none',
+    language_override: 'text_language',
+    weights: { searchKeywords: 5, title: 3, description: 1 },
+  }
+);
 db.properties.createIndex({ 'VEFA_details_id.is_vefa': 1 });
 db.properties.createIndex({ 'apartment_details_id.rooms': 1 });
 db.properties.createIndex({ promoter_id: 1 });
 db.properties.createIndex({ validated: 1 });
+db.properties.createIndex({ searchKeywords: 1 });
 
 db.users.createIndex({ email: 1 }, { unique: true });
 db.users.createIndex({ phone: 1 }, { sparse: true });
@@ -31,4 +40,11 @@ db.users.createIndex({ createdAt: -1 });
 db.promoters.createIndex({ name: 'text' });
 db.promoters.createIndex({ verified: 1, rating: -1 });
 
+db.property_view_stats.createIndex({ property_id: 1, date: 1 }, { unique: true });
+db.property_view_stats.createIndex({ promoter_id: 1, date: 1 });
+db.property_activity.createIndex({ property_id: 1, hour: 1 }, { unique: true });
+db.property_activity.createIndex({ hour: -1, city: 1, type: 1 });
+db.property_activity.createIndex({ hour: 1 }, { expireAfterSeconds: 8 * 24 * 60 * 60 });
+db.property_view_markers.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
 print('MongoDB initialization completed');
\ No newline at end of file
@@ -0,0 +1,82 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const fs = require('fs');
+const path = require('path');
+const { sequelize } = require('../src/config/postgres');
+const logger = require('../src/utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Connect to MongoDB
+ */
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    logger.info('Connected to MongoDB for migrations');
+  } catch (error) {
+    logger.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+/**
+ * Load migration files in name order
+ */
+const loadMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map(file => ({
+      name: path.basename(file, '.js'),
+      ...require(path.join(MIGRATIONS_DIR, file)),
+    }));
+};
+
+/**
+ * Run pending migrations, recording each one in the `migrations` collection
+ */
+const migrate = async () => {
+  try {
+    await connectDB();
+
+    const applied = mongoose.connection.collection('migrations');
+    const done = new Set((await applied.find().toArray()).map(m => m.name));
+    const migrations = loadMigrations();
+
+    if (process.argv.includes('--list')) {
+      migrations.forEach(m => {
+        logger.info(`${done.has(m.name) ? '[x]' : '[ ]'} ${m.name} - ${m.description}`);
+      });
+      process.exit(0);
+    }
+
+    const pending = migrations.filter(m => !done.has(m.name));
+    logger.info(`${pending.length} pending migration(s)`);
+
+    for (const migration of pending) {
+      logger.info(`Running ${migration.name}: ${migration.description}`);
+      const result = await migration.up({ mongoose, sequelize, logger });
+      await applied.insertOne({ name: migration.name, applied_at: new Date() });
+      logger.info(`Done ${migration.name}`, result || {});
+    }
+
+    await sequelize.close();
+    logger.info('Migrations completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    logger.error('Migration error:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
+
+/**
+ * Usage:
+ * npm run migrate              # Run pending migrations
+ * npm run migrate -- --list    # Show applied / pending migrations
+ */
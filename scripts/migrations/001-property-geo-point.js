@@ -0,0 +1,36 @@
+/**
+ * Mirror location_id.coordinates ({lat, lng}) into a GeoJSON point and move
+ * the 2dsphere index onto it. The old index was declared on the {lat, lng}
+ * object, which MongoDB reads as [lng, lat] legacy pairs in the wrong order.
+ */
+module.exports = {
+  description: 'Add location_id.geo GeoJSON point to properties',
+
+  up: async ({ mongoose }) => {
+    const properties = mongoose.connection.collection('properties');
+
+    const indexes = await properties.indexes();
+    if (indexes.some(index => index.name === 'location_id.coordinates_2dsphere')) {
+      await properties.dropIndex('location_id.coordinates_2dsphere');
+    }
+
+    const result = await properties.updateMany(
+      {
+        'location_id.coordinates.lat': { $type: 'number', $gte: -90, $lte: 90 },
+        'location_id.coordinates.lng': { $type: 'number', $gte: -180, $lte: 180 },
+      },
+      [{
+        $set: {
+          'location_id.geo': {
+            type: 'Point',
+            coordinates: ['$location_id.coordinates.lng', '$location_id.coordinates.lat'],
+          },
+        },
+      }]
+    );
+
+    await properties.createIndex({ 'location_id.geo': '2dsphere' });
+
+    return { updated: result.modifiedCount };
+  },
+};
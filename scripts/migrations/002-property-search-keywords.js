@@ -0,0 +1,63 @@
+const { buildSearchKeywords } = require('../../src/utils/textSearch');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Populate searchKeywords on existing properties and replace the default-language
+ * text index with the normalized French/Arabic one declared on the Property schema.
+ */
+module.exports = {
+  description: 'Backfill normalized searchKeywords and rebuild the text index',
+
+  up: async ({ mongoose }) => {
+    const properties = mongoose.connection.collection('properties');
+
+    // MongoDB allows a single text index per collection
+    const indexes = await properties.indexes();
+    for (const index of indexes) {
+      if (index.textIndexVersion && index.name !== 'property_text_search') {
+        await properties.dropIndex(index.name);
+      }
+    }
+
+    let updated = 0;
+    let operations = [];
+    const cursor = properties.find({}, {
+      projection: {
+        title: 1, description: 1, type: 1, location_id: 1, apartment_details_id: 1,
+      },
+    });
+
+    for await (const property of cursor) {
+      operations.push({
+        updateOne: {
+          filter: { _id: property._id },
+          update: { $set: { searchKeywords: buildSearchKeywords(property) } },
+        },
+      });
+
+      if (operations.length === BATCH_SIZE) {
+        await properties.bulkWrite(operations, { ordered: false });
+        updated += operations.length;
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await properties.bulkWrite(operations, { ordered: false });
+      updated += operations.length;
+    }
+
+    await properties.createIndex(
+      { title: 'text', description: 'text', searchKeywords: 'text' },
+      {
+        name: 'property_text_search',
+        default_language: 'none',
+        language_override: 'text_language',
+        weights: { searchKeywords: 5, title: 3, description: 1 },
+      }
+    );
+
+    return { updated };
+  },
+};
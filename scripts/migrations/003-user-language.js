@@ -0,0 +1,13 @@
+/**
+ * Add the users.language column (fr / ar) read by the profile and search endpoints.
+ */
+module.exports = {
+  description: 'Add language column to users',
+
+  up: async ({ sequelize }) => {
+    await sequelize.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS language VARCHAR(2) NOT NULL DEFAULT 'fr'
+    `);
+  },
+};
@@ -0,0 +1,13 @@
+/**
+ * Add the users.recently_viewed JSONB column holding the last viewed listings.
+ */
+module.exports = {
+  description: 'Add recently_viewed column to users',
+
+  up: async ({ sequelize }) => {
+    await sequelize.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS recently_viewed JSONB NOT NULL DEFAULT '[]'::jsonb
+    `);
+  },
+};
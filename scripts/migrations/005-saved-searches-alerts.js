@@ -0,0 +1,45 @@
+/**
+ * Create the saved_searches and alerts tables used by new-listing alerts.
+ */
+module.exports = {
+  description: 'Create saved_searches and alerts tables',
+
+  up: async ({ sequelize }) => {
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS saved_searches (
+        id UUID PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+        alerts_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        last_alert_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL
+      )
+    `);
+    await sequelize.query('CREATE INDEX IF NOT EXISTS saved_searches_user_id ON saved_searches (user_id)');
+    await sequelize.query('CREATE INDEX IF NOT EXISTS saved_searches_alerts_enabled ON saved_searches (alerts_enabled)');
+
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS alerts (
+        id UUID PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        saved_search_id UUID REFERENCES saved_searches (id) ON DELETE CASCADE,
+        property_id VARCHAR(255) NOT NULL,
+        type VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+        sent_at TIMESTAMP WITH TIME ZONE,
+        error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL
+      )
+    `);
+    await sequelize.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS alerts_saved_search_id_property_id_type
+      ON alerts (saved_search_id, property_id, type)
+    `);
+    await sequelize.query('CREATE INDEX IF NOT EXISTS alerts_user_id_created_at ON alerts (user_id, created_at)');
+    await sequelize.query('CREATE INDEX IF NOT EXISTS alerts_status ON alerts (status)');
+  },
+};
@@ -0,0 +1,42 @@
+// Same formula as Math.round(price / surface), $$REMOVE when either is unknown
+const pricePerM2 = {
+  $cond: [
+    { $and: [{ $gt: ['$price', 0] }, { $gt: ['$surface', 0] }] },
+    { $floor: { $add: [{ $divide: ['$price', '$surface'] }, 0.5] } },
+    '$$REMOVE',
+  ],
+};
+
+/**
+ * Start the price history of existing properties from their current price and
+ * recompute pricePerM2 everywhere with the rounding used by the Property model.
+ */
+module.exports = {
+  description: 'Backfill initial price history and recompute pricePerM2',
+
+  up: async ({ mongoose }) => {
+    const properties = mongoose.connection.collection('properties');
+
+    // Backfilled entries have the shape of the ones written by the model
+    const history = await properties.updateMany(
+      { priceHistory: { $exists: false } },
+      [{
+        $set: {
+          priceHistory: [{
+            price: '$price',
+            pricePerM2,
+            changed_at: { $ifNull: ['$created_at', '$$NOW'] },
+            source: 'initial',
+          }],
+        },
+      }]
+    );
+
+    const updated = await properties.updateMany({}, [{ $set: { pricePerM2 } }]);
+
+    return {
+      historyStarted: history.modifiedCount,
+      pricePerM2Updated: updated.modifiedCount,
+    };
+  },
+};
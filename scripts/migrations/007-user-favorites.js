@@ -0,0 +1,61 @@
+/**
+ * Move favorites from the users.favorites array to the user_favorites table.
+ * The array did not keep dates, so copied favorites get the migration time,
+ * one second apart to preserve their order. The column is dropped afterwards.
+ *
+ * Run it before starting the server in development: sync({ alter: true })
+ * drops users.favorites, which is no longer on the model.
+ */
+module.exports = {
+  description: 'Create user_favorites and migrate users.favorites into it',
+
+  up: async ({ sequelize }) => {
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS user_favorites (
+        id UUID PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        property_id VARCHAR(255) NOT NULL,
+        note TEXT,
+        tags VARCHAR(30)[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL
+      )
+    `);
+    await sequelize.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS user_favorites_user_id_property_id
+      ON user_favorites (user_id, property_id)
+    `);
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS user_favorites_user_id_created_at
+      ON user_favorites (user_id, created_at)
+    `);
+    await sequelize.query('CREATE INDEX IF NOT EXISTS user_favorites_property_id ON user_favorites (property_id)');
+    await sequelize.query('CREATE INDEX IF NOT EXISTS user_favorites_tags ON user_favorites USING gin (tags)');
+
+    const [columns] = await sequelize.query(`
+      SELECT 1 FROM information_schema.columns
+      WHERE table_name = 'users' AND column_name = 'favorites'
+    `);
+    if (columns.length === 0) {
+      return { migrated: 0 };
+    }
+
+    const [, result] = await sequelize.query(`
+      INSERT INTO user_favorites (id, user_id, property_id, tags, created_at, updated_at)
+      SELECT
+        gen_random_uuid(),
+        users.id,
+        favorite.property_id,
+        '{}',
+        NOW() - (cardinality(users.favorites) - favorite.position) * INTERVAL '1 second',
+        NOW()
+      FROM users
+      CROSS JOIN LATERAL unnest(users.favorites) WITH ORDINALITY AS favorite (property_id, position)
+      ON CONFLICT (user_id, property_id) DO NOTHING
+    `);
+
+    await sequelize.query('ALTER TABLE users DROP COLUMN favorites');
+
+    return { migrated: result.rowCount };
+  },
+};
@@ -0,0 +1,27 @@
+/**
+ * Create favorite_collections and link each favorite to at most one collection.
+ */
+module.exports = {
+  description: 'Create favorite_collections and user_favorites.collection_id',
+
+  up: async ({ sequelize }) => {
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS favorite_collections (
+        id UUID PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        share_token VARCHAR(64) UNIQUE,
+        shared_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL
+      )
+    `);
+    await sequelize.query('CREATE INDEX IF NOT EXISTS favorite_collections_user_id ON favorite_collections (user_id)');
+
+    await sequelize.query(`
+      ALTER TABLE user_favorites
+      ADD COLUMN IF NOT EXISTS collection_id UUID REFERENCES favorite_collections (id) ON DELETE SET NULL
+    `);
+    await sequelize.query('CREATE INDEX IF NOT EXISTS user_favorites_collection_id ON user_favorites (collection_id)');
+  },
+};
@@ -0,0 +1,63 @@
+const { parseDeliveryDate } = require('../../src/utils/deliveryDate');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Parse the free-text VEFA delivery dates of existing properties into
+ * VEFA_details_id.delivery_window and drop the index on the raw string,
+ * which range filters no longer use.
+ */
+module.exports = {
+  description: 'Backfill parsed VEFA delivery windows',
+
+  up: async ({ mongoose, logger }) => {
+    const properties = mongoose.connection.collection('properties');
+
+    const indexes = await properties.indexes();
+    if (indexes.some(index => index.name === 'VEFA_details_id.delivery_date_1')) {
+      await properties.dropIndex('VEFA_details_id.delivery_date_1');
+    }
+
+    let parsed = 0;
+    const unparsed = [];
+    let operations = [];
+    const cursor = properties.find(
+      { 'VEFA_details_id.delivery_date': { $exists: true } },
+      { projection: { 'VEFA_details_id.delivery_date': 1 } }
+    );
+
+    for await (const property of cursor) {
+      const window = parseDeliveryDate(property.VEFA_details_id.delivery_date);
+      if (window) {
+        parsed++;
+      } else {
+        unparsed.push(property.VEFA_details_id.delivery_date);
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { _id: property._id },
+          update: window
+            ? { $set: { 'VEFA_details_id.delivery_window': window } }
+            : { $unset: { 'VEFA_details_id.delivery_window': '' } },
+        },
+      });
+
+      if (operations.length === BATCH_SIZE) {
+        await properties.bulkWrite(operations, { ordered: false });
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await properties.bulkWrite(operations, { ordered: false });
+    }
+
+    // Formats the parser misses are worth a look
+    if (unparsed.length > 0) {
+      logger.warn('Unreadable delivery dates', { values: [...new Set(unparsed)].slice(0, 50) });
+    }
+
+    return { parsed, unparsed: unparsed.length };
+  },
+};
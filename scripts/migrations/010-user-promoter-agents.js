@@ -0,0 +1,14 @@
+/**
+ * Add users.promoter_id, the promoter (MongoDB _id) an agent posts
+ * construction updates for. Set by an admin on the agent's account.
+ */
+module.exports = {
+  description: 'Add promoter_id column to users',
+
+  up: async ({ sequelize }) => {
+    await sequelize.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS promoter_id VARCHAR(24)
+    `);
+  },
+};
@@ -0,0 +1,63 @@
+const Property = require('../../src/models/Property');
+const { parseRentalPotential, buildRentalEstimate } = require('../../src/utils/rentalYield');
+const { RENTAL_YIELD } = require('../../src/config/constants');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Read the monthly rent of existing properties from their free-text
+ * rental_potential, then estimate the others from comparable listings.
+ */
+module.exports = {
+  description: 'Backfill rental estimates and yields',
+
+  up: async ({ mongoose, logger }) => {
+    const properties = mongoose.connection.collection('properties');
+
+    let parsed = 0;
+    const unparsed = [];
+    let operations = [];
+    const cursor = properties.find(
+      { rental_potential: { $exists: true, $nin: [null, ''] } },
+      { projection: { rental_potential: 1, price: 1 } }
+    );
+
+    for await (const property of cursor) {
+      const monthlyRent = parseRentalPotential(property.rental_potential, property.price);
+      if (!monthlyRent) {
+        unparsed.push(property.rental_potential);
+        continue;
+      }
+
+      parsed++;
+      operations.push({
+        updateOne: {
+          filter: { _id: property._id },
+          update: {
+            $set: {
+              rentalEstimate: buildRentalEstimate({ monthlyRent, source: RENTAL_YIELD.SOURCES.LISTING }, property.price),
+            },
+          },
+        },
+      });
+
+      if (operations.length === BATCH_SIZE) {
+        await properties.bulkWrite(operations, { ordered: false });
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await properties.bulkWrite(operations, { ordered: false });
+    }
+
+    // Rents the parser misses are worth a look
+    if (unparsed.length > 0) {
+      logger.warn('Unreadable rental potentials', { values: [...new Set(unparsed)].slice(0, 50) });
+    }
+
+    const comparables = await Property.refreshRentalEstimates();
+
+    return { parsed, unparsed: unparsed.length, ...comparables };
+  },
+};
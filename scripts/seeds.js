@@ -4,6 +4,9 @@ const fs = require('fs').promises;
 const path = require('path');
 const Property = require('../src/models/Property');
 const Promoter = require('../src/models/Promoter');
+const { sequelize } = require('../src/config/postgres');
+const { matchNewProperties, createPriceDropAlerts } = require('../src/utils/alertMatcher');
+const { PRICE_HISTORY } = require('../src/config/constants');
 const logger = require('../src/utils/logger');
 
 /**
@@ -72,14 +75,31 @@ const importPromoters = async (properties) => {
  */
 const importProperties = async (properties, promoterIds) => {
   let imported = 0;
+  let updated = 0;
   let skipped = 0;
   let errors = 0;
+  const newProperties = [];
+  const priceDrops = [];
+  
+  // The model announces every price drop it records; alerts are sent after the import
+  const collectPriceDrop = drop => priceDrops.push(drop);
+  Property.on('priceDrop', collectPriceDrop);
   
   for (const propertyData of properties) {
     try {
-      // Check if property already exists
+      // Check if property already exists; only its price is refreshed
       const exists = await Property.findById(propertyData._id);
       if (exists) {
+        if (typeof propertyData.price === 'number' && propertyData.price !== exists.price) {
+          const change = await Property.updatePrice(propertyData._id, propertyData.price, {
+            source: PRICE_HISTORY.SOURCES.IMPORT,
+          });
+          if (change?.changed) {
+            logger.info(`Price updated for ${propertyData._id}: ${change.previousPrice} -> ${change.price}`);
+            updated++;
+            continue;
+          }
+        }
         logger.info(`Property already exists: ${propertyData._id}`);
         skipped++;
         continue;
@@ -104,7 +124,8 @@ const importProperties = async (properties, promoterIds) => {
       };
       
       // Create property
-      await Property.create(property);
+      const created = await Property.create(property);
+      newProperties.push(created.toObject());
       imported++;
       
       if (imported % 100 === 0) {
@@ -116,7 +137,36 @@ const importProperties = async (properties, promoterIds) => {
     }
   }
   
-  return { imported, skipped, errors };
+  Property.off('priceDrop', collectPriceDrop);
+  
+  return {
+    imported, updated, skipped, errors, newProperties, priceDrops,
+  };
+};
+
+/**
+ * Create saved search alerts for the properties just imported and
+ * price-drop alerts for the favorites whose price went down
+ */
+const sendAlerts = async (newProperties, priceDrops) => {
+  try {
+    await sequelize.authenticate();
+
+    if (newProperties.length > 0) {
+      logger.info('Matching new properties against saved searches...');
+      logger.info('Saved search alerts:', await matchNewProperties(newProperties));
+    }
+
+    for (const { property, previousPrice } of priceDrops) {
+      const summary = await createPriceDropAlerts(property, previousPrice);
+      logger.info(`Price drop alerts for ${property._id}:`, summary);
+    }
+  } catch (error) {
+    // Alerts are best effort, the import itself succeeded
+    logger.error('Alerts failed:', error);
+  } finally {
+    await sequelize.close();
+  }
 };
 
 /**
@@ -128,7 +178,7 @@ const seed = async () => {
     await connectDB();
     
     // Read data file
-    const dataPath = process.argv[2] || path.join(__dirname, '../data/properties.json');
+    const dataPath = process.argv.slice(2).find(arg => !arg.startsWith('--')) || path.join(__dirname, '../data/properties.json');
     logger.info(`Reading data from: ${dataPath}`);
     
     const rawData = await fs.readFile(dataPath, 'utf8');
@@ -144,7 +194,7 @@ const seed = async () => {
     const promoterIds = await importPromoters(properties);
     
     // Import properties
-    const result = await importProperties(properties, promoterIds);
+    const { newProperties, priceDrops, ...result } = await importProperties(properties, promoterIds);
     
     logger.info('Import completed:', result);
     
@@ -155,6 +205,16 @@ const seed = async () => {
       await promoter.updateStatistics();
     }
     
+    // New listings with a known rent change the comparable medians
+    logger.info('Refreshing rental estimates...');
+    logger.info('Rental estimates:', await Property.refreshRentalEstimates());
+    
+    // Notify users about new listings matching their saved searches and price drops
+    const hasChanges = newProperties.length > 0 || priceDrops.length > 0;
+    if (hasChanges && !process.argv.includes('--no-alerts')) {
+      await sendAlerts(newProperties, priceDrops);
+    }
+    
     logger.info('Seeding completed successfully!');
     process.exit(0);
   } catch (error) {
@@ -193,4 +253,5 @@ if (process.argv.includes('--clear')) {
  * npm run seed                    # Import from default location
  * npm run seed /path/to/data.json # Import from custom location
  * npm run seed -- --clear         # Clear database
+ * npm run seed -- --no-alerts     # Import without new-listing and price-drop alerts
  */
\ No newline at end of file
@@ -10,12 +10,17 @@ require('dotenv').config();
 // Comment out all missing files
 // const connectDB = require('./src/config/database.js');
 // const logger = require('./src/utils/logger.js');
-// const errorHandler = require('./src/middleware/error.middleware.js');
+const { errorHandler } = require('./src/middleware/error.middleware.js');
 
 // Import routes
 const authRoutes = require('./src/routes/auth.routes.js');
 const propertyRoutes = require('./src/routes/property.routes.js');
 const userRoutes = require('./src/routes/user.routes.js');
+const searchRoutes = require('./src/routes/search.routes.js');
+const promoterRoutes = require('./src/routes/promoter.routes.js');
+const favoriteRoutes = require('./src/routes/favorite.routes.js');
+const sharedRoutes = require('./src/routes/shared.routes.js');
+const financeRoutes = require('./src/routes/finance.routes.js');
 
 const app = express();
 
@@ -76,6 +81,11 @@ app.get('/health', (req, res) => {
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/properties', propertyRoutes);
 app.use('/api/v1/users', userRoutes);
+app.use('/api/v1/search', searchRoutes);
+app.use('/api/v1/promoters', promoterRoutes);
+app.use('/api/v1/favorites', favoriteRoutes);
+app.use('/api/v1/shared', sharedRoutes);
+app.use('/api/v1/finance', financeRoutes);
 
 // MongoDB connection
 const mongoose = require('mongoose');
@@ -90,6 +100,10 @@ mongoose.connect(process.env.MONGODB_URI, {
 const { connectPostgres } = require('./src/config/postgres');
 connectPostgres();
 
+// Price drops recorded by the Property model alert the users who favorited the listing
+const { watchPriceDrops } = require('./src/utils/alertMatcher');
+watchPriceDrops(require('./src/models/Property'));
+
 // Test endpoint pour MongoDB
 app.get('/test-properties', async (req, res) => {
   try {
@@ -167,14 +181,8 @@ app.use('*', (req, res) => {
   });
 });
 
-// Simple error handler
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    success: false,
-    message: 'Something went wrong!'
-  });
-});
+// Global error handler
+app.use(errorHandler);
 
 const PORT = process.env.PORT || 3000;
 
@@ -8,8 +8,10 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
 
 // Import middleware
-const errorHandler = require('./middleware/error.middleware');
-const rateLimiter = require('./middleware/rateLimiter');
+const { errorHandler } = require('./middleware/error.middleware');
+const { default: rateLimiter } = require('./middleware/rateLimiter');
+const Property = require('./models/Property');
+const { watchPriceDrops } = require('./utils/alertMatcher');
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
@@ -17,6 +19,9 @@ const userRoutes = require('./routes/user.routes');
 const propertyRoutes = require('./routes/property.routes');
 const favoriteRoutes = require('./routes/favorite.routes');
 const promoterRoutes = require('./routes/promoter.routes');
+const searchRoutes = require('./routes/search.routes');
+const sharedRoutes = require('./routes/shared.routes');
+const financeRoutes = require('./routes/finance.routes');
 
 // Initialize express app
 const app = express();
@@ -95,10 +100,16 @@ apiRouter.use('/users', userRoutes);
 apiRouter.use('/properties', propertyRoutes);
 apiRouter.use('/favorites', favoriteRoutes);
 apiRouter.use('/promoters', promoterRoutes);
+apiRouter.use('/search', searchRoutes);
+apiRouter.use('/shared', sharedRoutes);
+apiRouter.use('/finance', financeRoutes);
 
 // Mount API router
 app.use('/api/v1', apiRouter);
 
+// Price drops recorded by the Property model alert the users who favorited the listing
+watchPriceDrops(Property);
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({
@@ -9,10 +9,10 @@ module.exports = {
     OFFICE: 'Bureau',
   },
 
-  // User Roles (for future use)
+  // User Roles; agents post for the promoter set on their account
   USER_ROLES: {
-    BUYER: 'buyer',
-    AGENCY: 'agency',
+    USER: 'user',
+    AGENT: 'agent',
     ADMIN: 'admin',
   },
 
@@ -30,6 +30,15 @@ module.exports = {
     DELIVERED: 'Livré',
   },
 
+  // Precision of a parsed VEFA delivery date
+  DELIVERY_DATES: {
+    PRECISIONS: {
+      MONTH: 'month',
+      QUARTER: 'quarter',
+      YEAR: 'year',
+    },
+  },
+
   // Features
   PROPERTY_FEATURES: [
     'Garage',
@@ -82,6 +91,66 @@ module.exports = {
     'Kébili',
   ],
 
+  // Arabic labels for cities, property types and features
+  CITY_LABELS_AR: {
+    'Tunis': 'تونس',
+    'Ariana': 'أريانة',
+    'Ben Arous': 'بن عروس',
+    'Manouba': 'منوبة',
+    'Nabeul': 'نابل',
+    'Zaghouan': 'زغوان',
+    'Bizerte': 'بنزرت',
+    'Béja': 'باجة',
+    'Jendouba': 'جندوبة',
+    'Le Kef': 'الكاف',
+    'Siliana': 'سليانة',
+    'Sousse': 'سوسة',
+    'Monastir': 'المنستير',
+    'Mahdia': 'المهدية',
+    'Sfax': 'صفاقس',
+    'Kairouan': 'القيروان',
+    'Kasserine': 'القصرين',
+    'Sidi Bouzid': 'سيدي بوزيد',
+    'Gabès': 'قابس',
+    'Médenine': 'مدنين',
+    'Tataouine': 'تطاوين',
+    'Gafsa': 'قفصة',
+    'Tozeur': 'توزر',
+    'Kébili': 'قبلي',
+  },
+
+  PROPERTY_TYPE_LABELS_AR: {
+    'Appartement': 'شقة',
+    'Maison': 'منزل',
+    'Villa': 'فيلا',
+    'Terrain': 'أرض',
+    'Commercial': 'محل تجاري',
+    'Bureau': 'مكتب',
+  },
+
+  FEATURE_LABELS_AR: {
+    'Garage': 'مرآب',
+    'Ascenseur': 'مصعد',
+    'Piscine': 'مسبح',
+    'Climatisation': 'تكييف',
+    'Chauffage central': 'تدفئة مركزية',
+    'Sécurité': 'حراسة',
+    'Cuisine équipée': 'مطبخ مجهز',
+    'Balcon': 'شرفة',
+    'Terrasse': 'سطح',
+    'Jardin': 'حديقة',
+    'Cave': 'قبو',
+    'Parking visiteurs': 'موقف للزوار',
+    'Concierge': 'حارس',
+    'Interphone': 'انترفون',
+    'Double vitrage': 'زجاج مزدوج',
+    'Porte blindée': 'باب مصفح',
+    'Placards': 'خزائن حائطية',
+    'Dressing': 'غرفة ملابس',
+    'Cheminée': 'مدفأة',
+    'Buanderie': 'غرفة غسيل',
+  },
+
   // Pagination
   PAGINATION: {
     DEFAULT_PAGE: 1,
@@ -89,6 +158,230 @@ module.exports = {
     MAX_LIMIT: 100,
   },
 
+  // Geospatial search
+  GEO_SEARCH: {
+    DEFAULT_RADIUS_KM: 5,
+    MAX_RADIUS_KM: 50,
+    MAX_BBOX_SPAN_DEG: 20,
+    MAX_AREA_KM2: 2500,
+    MAX_POLYGON_VERTICES: 1000,
+  },
+
+  // Search facets
+  SEARCH_FACETS: {
+    ROOM_BUCKETS: [1, 2, 3, 4, 5], // Last bucket is "5+"
+    PRICE_BUCKETS: [0, 100000, 200000, 300000, 500000, 750000, 1000000, 2000000], // TND, last is "2M+"
+  },
+
+  // Map clustering
+  MAP_CLUSTERS: {
+    MAX_ZOOM: 22,
+    LISTINGS_ZOOM: 15, // Individual listings from this zoom level
+    CELLS_PER_TILE: 4, // Grid cells per 256px map tile side
+    MAX_LISTINGS: 500,
+  },
+
+  // Governorates sharing a border, used to widen similar-property searches
+  NEIGHBOURING_GOVERNORATES: {
+    'Tunis': ['Ariana', 'Ben Arous', 'Manouba'],
+    'Ariana': ['Tunis', 'Manouba', 'Bizerte'],
+    'Ben Arous': ['Tunis', 'Manouba', 'Zaghouan', 'Nabeul'],
+    'Manouba': ['Tunis', 'Ariana', 'Ben Arous', 'Bizerte', 'Béja', 'Zaghouan'],
+    'Nabeul': ['Ben Arous', 'Zaghouan', 'Sousse'],
+    'Zaghouan': ['Ben Arous', 'Manouba', 'Nabeul', 'Béja', 'Siliana', 'Kairouan', 'Sousse'],
+    'Bizerte': ['Ariana', 'Manouba', 'Béja'],
+    'Béja': ['Bizerte', 'Manouba', 'Zaghouan', 'Siliana', 'Le Kef', 'Jendouba'],
+    'Jendouba': ['Béja', 'Le Kef'],
+    'Le Kef': ['Jendouba', 'Béja', 'Siliana', 'Kasserine'],
+    'Siliana': ['Béja', 'Zaghouan', 'Kairouan', 'Kasserine', 'Le Kef'],
+    'Sousse': ['Nabeul', 'Zaghouan', 'Kairouan', 'Mahdia', 'Monastir'],
+    'Monastir': ['Sousse', 'Mahdia'],
+    'Mahdia': ['Monastir', 'Sousse', 'Kairouan', 'Sfax'],
+    'Sfax': ['Mahdia', 'Kairouan', 'Sidi Bouzid', 'Gabès'],
+    'Kairouan': ['Zaghouan', 'Siliana', 'Kasserine', 'Sidi Bouzid', 'Sfax', 'Mahdia', 'Sousse'],
+    'Kasserine': ['Le Kef', 'Siliana', 'Kairouan', 'Sidi Bouzid', 'Gafsa'],
+    'Sidi Bouzid': ['Kasserine', 'Kairouan', 'Sfax', 'Gabès', 'Gafsa'],
+    'Gabès': ['Sfax', 'Sidi Bouzid', 'Gafsa', 'Kébili', 'Médenine'],
+    'Médenine': ['Gabès', 'Tataouine'],
+    'Tataouine': ['Médenine', 'Kébili'],
+    'Gafsa': ['Kasserine', 'Sidi Bouzid', 'Gabès', 'Kébili', 'Tozeur'],
+    'Tozeur': ['Gafsa', 'Kébili'],
+    'Kébili': ['Tozeur', 'Gafsa', 'Gabès', 'Tataouine'],
+  },
+
+  // Similar properties scoring
+  SIMILAR_PROPERTIES: {
+    DEFAULT_LIMIT: 6,
+    MAX_LIMIT: 20,
+    CANDIDATE_POOL: 100, // Candidates scored per search scope
+    PRICE_RANGE: 0.5, // Candidates within ±50% of the reference price and surface
+    MAX_DISTANCE_KM: 50, // Distance score reaches 0 at this distance
+    WEIGHTS: {
+      pricePerM2: 35,
+      rooms: 20,
+      features: 20,
+      distance: 15,
+      vefa: 10,
+    },
+  },
+
+  // VEFA payment plans
+  PAYMENT_PLAN: {
+    PERCENTAGE_TOLERANCE: 0.01, // Rounding allowed when checking that a schedule sums to 100 %
+    STATUSES: {
+      UPCOMING: 'upcoming',
+      DUE: 'due', // Construction reached the stage calling the instalment
+      OVERDUE: 'overdue', // Called and past its date
+      DELAYED: 'delayed', // Date passed but the works have not reached the stage
+    },
+    // Usual Tunisian VEFA schedule, used as an estimate for listings without one.
+    // `stage` is the VEFA_STATUS key that calls the instalment, `progress` the
+    // share of the remaining construction time at which it falls due.
+    DEFAULT_SCHEDULE: [
+      { percentage: 20, description: 'Signature du contrat de réservation', stage: 'PLANNING', progress: 0 },
+      { percentage: 15, description: 'Achèvement des fondations', stage: 'CONSTRUCTION', progress: 0.25 },
+      { percentage: 30, description: 'Achèvement du gros œuvre', stage: 'CONSTRUCTION', progress: 0.6 },
+      { percentage: 25, description: 'Achèvement des travaux de finition', stage: 'FINISHING', progress: 0.85 },
+      { percentage: 10, description: 'Remise des clés', stage: 'DELIVERED', progress: 1 },
+    ],
+  },
+
+  // Construction progress updates posted by promoters on VEFA listings
+  CONSTRUCTION_UPDATES: {
+    MAX_PHOTOS: 10,
+    MAX_COMMENT_LENGTH: 2000,
+    DEFAULT_LIMIT: 20,
+    MAX_LIMIT: 100,
+  },
+
+  // Side-by-side comparison
+  COMPARISON: {
+    MIN_PROPERTIES: 2,
+    MAX_PROPERTIES: 5,
+  },
+
+  // Rental yield estimates
+  RENTAL_YIELD: {
+    SOURCES: {
+      LISTING: 'listing', // Read from the listing's rental_potential
+      COMPARABLES: 'comparables', // Median rent per m2 of similar listings
+      NONE: 'none', // No rent in the listing and too few comparables
+    },
+    COSTS_RATE: 0.2, // Share of the rent taken by charges, taxes and upkeep
+    VACANCY_MONTHS: 1, // Months a year without a tenant
+    MIN_COMPARABLES: 3, // Listings with a known rent needed to estimate from a group
+    // Gross yields outside this range mean the rent was misread (%)
+    PLAUSIBLE_GROSS_YIELD: { MIN: 1, MAX: 20 },
+  },
+
+  // Personalized recommendations
+  RECOMMENDATIONS: {
+    DEFAULT_LIMIT: 10,
+    MAX_LIMIT: 30,
+    CANDIDATE_POOL: 200,
+    RECENT_SIGNALS: 20, // Recently viewed listings and searches taken into account
+    SIGNAL_WEIGHTS: {
+      favorites: 3,
+      searchHistory: 2,
+      recentlyViewed: 1,
+    },
+    PRICE_TOLERANCE: 0.3, // Price / surface score reaches 0 at ±30% of the target
+    FRESHNESS_DAYS: 30, // Freshness score reaches 0 for listings older than this
+    WEIGHTS: {
+      city: 25,
+      type: 20,
+      price: 20,
+      features: 15,
+      surface: 10,
+      freshness: 10,
+    },
+    // Scores multiplied for each listing already picked from the same promoter,
+    // or with the same city, type and rooms
+    PROMOTER_PENALTY: 0.6,
+    VARIANT_PENALTY: 0.75,
+  },
+
+  // Property view tracking
+  VIEW_TRACKING: {
+    DEDUP_WINDOW_MINUTES: 30, // A viewer counts once per listing in this window
+    DEFAULT_STATS_DAYS: 30,
+    MAX_STATS_DAYS: 365,
+    BOT_USER_AGENT_REGEX: /bot|crawl|spider|slurp|facebookexternalhit|whatsapp|preview|headless|lighthouse|curl|wget|python-requests|axios|node-fetch|go-http-client/i,
+  },
+
+  // Trending feed
+  TRENDING: {
+    WINDOWS: {
+      '24h': { hours: 24, halfLifeHours: 6 },
+      '7d': { hours: 7 * 24, halfLifeHours: 36 },
+    },
+    DEFAULT_WINDOW: '24h',
+    FAVORITE_WEIGHT: 5, // A favorite is a stronger signal than a view
+    RETENTION_HOURS: 8 * 24, // Hourly activity kept a little longer than the largest window
+    DEFAULT_LIMIT: 12,
+    MAX_LIMIT: 50,
+  },
+
+  // Recently viewed properties kept per user
+  RECENTLY_VIEWED: {
+    MAX_ITEMS: 50,
+  },
+
+  // Price history
+  PRICE_HISTORY: {
+    MAX_ENTRIES: 100,
+    SOURCES: {
+      INITIAL: 'initial',
+      IMPORT: 'import',
+      UPDATE: 'update',
+    },
+  },
+
+  // Favorites
+  FAVORITES: {
+    MAX_NOTE_LENGTH: 1000,
+    MAX_TAGS: 10,
+    MAX_TAG_LENGTH: 30,
+    MAX_CHECK_IDS: 100, // Property IDs per favorites check request
+    MAX_COLLECTIONS: 30,
+    SHARE_TOKEN_BYTES: 24,
+  },
+
+  // Saved searches
+  SAVED_SEARCHES: {
+    MAX_PER_USER: 20,
+  },
+
+  // Alerts
+  ALERTS: {
+    TYPES: {
+      NEW_LISTING: 'new_listing',
+      PRICE_DROP: 'price_drop',
+      CONSTRUCTION_STATUS: 'construction_status',
+    },
+    MIN_PRICE_DROP_PERCENT: 1, // Smaller drops are rounding noise between imports
+    STATUS: {
+      PENDING: 'pending',
+      SENT: 'sent',
+      FAILED: 'failed',
+      SKIPPED: 'skipped', // Notifications turned off in the user's preferences
+    },
+    SUBJECTS: {
+      NEW_LISTINGS: {
+        fr: 'Nouvelles annonces pour vos recherches sauvegardées',
+        ar: 'إعلانات جديدة لعمليات البحث المحفوظة',
+      },
+      PRICE_DROP: {
+        fr: 'Baisse de prix sur un de vos favoris',
+        ar: 'انخفاض في سعر أحد العقارات المفضلة لديك',
+      },
+      CONSTRUCTION_STATUS: {
+        fr: 'Avancement des travaux d\'un de vos favoris',
+        ar: 'تقدم أشغال أحد العقارات المفضلة لديك',
+      },
+    },
+  },
+
   // Validation
   VALIDATION: {
     MIN_PASSWORD_LENGTH: 8,
@@ -104,6 +397,7 @@ module.exports = {
     AUTH_TOKEN_INVALID: 'AUTH_TOKEN_INVALID',
     AUTH_NO_TOKEN: 'AUTH_NO_TOKEN',
     AUTH_UNAUTHORIZED: 'AUTH_UNAUTHORIZED',
+    AUTH_FORBIDDEN: 'AUTH_FORBIDDEN',
     
     // User errors
     USER_NOT_FOUND: 'USER_NOT_FOUND',
@@ -112,6 +406,17 @@ module.exports = {
     
     // Property errors
     PROPERTY_NOT_FOUND: 'PROPERTY_NOT_FOUND',
+    PROMOTER_NOT_FOUND: 'PROMOTER_NOT_FOUND',
+    SEARCH_NOT_FOUND: 'SEARCH_NOT_FOUND',
+    SAVED_SEARCH_NOT_FOUND: 'SAVED_SEARCH_NOT_FOUND',
+    SAVED_SEARCH_LIMIT: 'SAVED_SEARCH_LIMIT',
+    FAVORITE_NOT_FOUND: 'FAVORITE_NOT_FOUND',
+    COLLECTION_NOT_FOUND: 'COLLECTION_NOT_FOUND',
+    COLLECTION_LIMIT: 'COLLECTION_LIMIT',
+    PDF_FONT_MISSING: 'PDF_FONT_MISSING',
+    PROPERTY_NOT_VEFA: 'PROPERTY_NOT_VEFA',
+    PROPERTY_PRICE_UNKNOWN: 'PROPERTY_PRICE_UNKNOWN',
+    DOWN_PAYMENT_TOO_HIGH: 'DOWN_PAYMENT_TOO_HIGH',
     
     // Validation errors
     VALIDATION_ERROR: 'VALIDATION_ERROR',
@@ -167,6 +472,58 @@ module.exports = {
       fr: 'Propriété introuvable',
       ar: 'العقار غير موجود',
     },
+    PROMOTER_NOT_FOUND: {
+      fr: 'Promoteur introuvable',
+      ar: 'المطور غير موجود',
+    },
+    USER_NOT_FOUND: {
+      fr: 'Utilisateur introuvable',
+      ar: 'المستخدم غير موجود',
+    },
+    SEARCH_NOT_FOUND: {
+      fr: 'Recherche introuvable dans votre historique',
+      ar: 'البحث غير موجود في السجل',
+    },
+    SAVED_SEARCH_NOT_FOUND: {
+      fr: 'Recherche sauvegardée introuvable',
+      ar: 'البحث المحفوظ غير موجود',
+    },
+    SAVED_SEARCH_LIMIT: {
+      fr: 'Vous avez atteint le nombre maximum de recherches sauvegardées',
+      ar: 'لقد بلغت الحد الأقصى لعمليات البحث المحفوظة',
+    },
+    FAVORITE_NOT_FOUND: {
+      fr: 'Cette propriété n\'est pas dans vos favoris',
+      ar: 'هذا العقار ليس في المفضلة',
+    },
+    COLLECTION_NOT_FOUND: {
+      fr: 'Collection introuvable',
+      ar: 'المجموعة غير موجودة',
+    },
+    COLLECTION_LIMIT: {
+      fr: 'Vous avez atteint le nombre maximum de collections',
+      ar: 'لقد بلغت الحد الأقصى لعدد المجموعات',
+    },
+    PDF_FONT_MISSING: {
+      fr: 'L\'export PDF de ces biens n\'est pas disponible pour le moment, utilisez l\'export CSV',
+      ar: 'تصدير هذه العقارات بصيغة PDF غير متاح حاليا، استخدم تصدير CSV',
+    },
+    PROPERTY_NOT_VEFA: {
+      fr: 'Cette propriété n\'est pas vendue en VEFA',
+      ar: 'هذا العقار غير معروض للبيع على التصاميم',
+    },
+    PROPERTY_PRICE_UNKNOWN: {
+      fr: 'Le prix de cette propriété est sur demande, indiquez un prix pour la simulation',
+      ar: 'سعر هذا العقار عند الطلب، يرجى إدخال سعر للمحاكاة',
+    },
+    DOWN_PAYMENT_TOO_HIGH: {
+      fr: 'L\'apport doit être inférieur au prix du bien',
+      ar: 'يجب أن تكون المساهمة الذاتية أقل من سعر العقار',
+    },
+    FORBIDDEN: {
+      fr: 'Vous n\'avez pas les droits nécessaires pour cette action',
+      ar: 'ليست لديك الصلاحيات اللازمة لهذا الإجراء',
+    },
     UNAUTHORIZED: {
       fr: 'Accès non autorisé',
       ar: 'الوصول غير مصرح به',
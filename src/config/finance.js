@@ -0,0 +1,66 @@
+// Loan simulation settings. Rates are indicative (TMM plus the usual bank
+// margin) and must be reviewed when the BCT moves its key rate.
+const financeConfig = {
+  // Used when the request leaves a value out and no preset sets it
+  defaults: {
+    annualRate: 9.5, // %
+    durationYears: 20,
+    downPaymentPercent: 20,
+  },
+
+  limits: {
+    maxAnnualRate: 30,
+    maxDurationYears: 30,
+  },
+
+  // Banks cap total monthly repayments at this share of the net monthly income
+  debtRatioCap: parseFloat(process.env.FINANCE_DEBT_RATIO_CAP) || 0.4,
+
+  // Common Tunisian home loan products. `maxPrice` is the price ceiling of
+  // subsidised schemes (null when there is none).
+  presets: {
+    credit_habitat: {
+      label: {
+        fr: 'Crédit habitat classique',
+        ar: 'قرض سكني عادي',
+      },
+      annualRate: 9.5,
+      maxDurationYears: 25,
+      minDownPaymentPercent: 20,
+      maxPrice: null,
+    },
+    premier_logement: {
+      label: {
+        fr: 'Premier logement',
+        ar: 'المسكن الأول',
+      },
+      // The scheme lends the self-financing part: no down payment is required
+      annualRate: 8,
+      maxDurationYears: 25,
+      minDownPaymentPercent: 0,
+      maxPrice: 250000,
+    },
+    foprolos: {
+      label: {
+        fr: 'FOPROLOS (logement social)',
+        ar: 'فوبرولوس (مسكن اجتماعي)',
+      },
+      annualRate: 5.75,
+      maxDurationYears: 25,
+      minDownPaymentPercent: 10,
+      maxPrice: 160000,
+    },
+    epargne_logement: {
+      label: {
+        fr: 'Épargne-logement',
+        ar: 'الادخار السكني',
+      },
+      annualRate: 7.5,
+      maxDurationYears: 20,
+      minDownPaymentPercent: 20,
+      maxPrice: null,
+    },
+  },
+};
+
+module.exports = financeConfig;
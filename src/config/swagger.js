@@ -252,11 +252,61 @@ const options = {
                 delivery_date: {
                   type: 'string',
                 },
+                delivery_window: {
+                  type: 'object',
+                  description: 'Parsed delivery_date: first and last day of the announced period',
+                  properties: {
+                    start: {
+                      type: 'string',
+                      format: 'date-time',
+                    },
+                    end: {
+                      type: 'string',
+                      format: 'date-time',
+                    },
+                    precision: {
+                      type: 'string',
+                      enum: ['month', 'quarter', 'year'],
+                    },
+                  },
+                },
                 construction_progress: {
                   type: 'string',
                 },
               },
             },
+            rental_potential: {
+              type: 'string',
+            },
+            rentalEstimate: {
+              type: 'object',
+              nullable: true,
+              description: 'Monthly rent read from rental_potential (source listing) or the median rent per m² of comparable listings in the same city, district and room count (source comparables). Source none: no rent in the listing and too few comparables, without rent or yields. Net yield deducts one vacant month and 20 % of charges.',
+              properties: {
+                monthlyRent: {
+                  type: 'number',
+                },
+                source: {
+                  type: 'string',
+                  enum: ['listing', 'comparables', 'none'],
+                },
+                comparables: {
+                  type: 'integer',
+                },
+                grossYield: {
+                  type: 'number',
+                  nullable: true,
+                },
+                netYield: {
+                  type: 'number',
+                  nullable: true,
+                },
+                estimatedAt: {
+                  type: 'string',
+                  format: 'date-time',
+                },
+              },
+            },
             promoter_id: {
               type: 'object',
             },
@@ -291,6 +341,14 @@ const options = {
         name: 'Promoters',
         description: 'Informations sur les promoteurs immobiliers',
       },
+      {
+        name: 'Search',
+        description: 'Autocomplétion et aide à la recherche',
+      },
+      {
+        name: 'Finance',
+        description: 'Simulation de crédit immobilier',
+      },
     ],
   },
   apis: ['./src/routes/*.js'],
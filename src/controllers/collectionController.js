@@ -0,0 +1,312 @@
+const { randomBytes } = require('crypto');
+const FavoriteCollection = require('../models/FavoriteCollection');
+const UserFavorite = require('../models/UserFavorite');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
+const { successResponse, generatePaginationMeta } = require('../utils/helpers');
+const { FAVORITE_ORDER, loadFavoriteProperties } = require('../utils/favorites');
+const { ERROR_CODES, ERROR_MESSAGES, FAVORITES } = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Load a collection owned by the current user
+ * @param {object} req - Express request
+ * @returns {object} - FavoriteCollection instance
+ */
+const findOwnCollection = async (req) => {
+  const collection = await FavoriteCollection.findOne({
+    where: { id: req.params.id, userId: req.userId },
+  });
+
+  if (!collection) {
+    throw new AppError(
+      ERROR_MESSAGES.COLLECTION_NOT_FOUND,
+      404,
+      ERROR_CODES.COLLECTION_NOT_FOUND
+    );
+  }
+
+  return collection;
+};
+
+/**
+ * Count favorites per collection
+ * @param {array} collectionIds - Collection IDs
+ * @returns {Map} - collectionId -> number of favorites
+ */
+const countFavorites = async (collectionIds) => {
+  const counts = await UserFavorite.count({
+    where: { collectionId: collectionIds },
+    group: ['collection_id'],
+  });
+  return new Map(counts.map(({ collection_id: id, count }) => [id, Number(count)]));
+};
+
+// Owner view of a collection, including its share link
+const collectionSummary = (collection, propertiesCount) => ({
+  id: collection.id,
+  name: collection.name,
+  propertiesCount,
+  shared: Boolean(collection.shareToken),
+  shareToken: collection.shareToken,
+  sharedAt: collection.sharedAt,
+  createdAt: collection.createdAt,
+  updatedAt: collection.updatedAt,
+});
+
+/**
+ * Get the user's collections
+ * @route GET /api/v1/favorites/collections
+ */
+const getCollections = asyncHandler(async (req, res, next) => {
+  const collections = await FavoriteCollection.findAll({
+    where: { userId: req.userId },
+    order: [['created_at', 'ASC']],
+  });
+
+  const counts = await countFavorites(collections.map(collection => collection.id));
+
+  res.json(successResponse({
+    collections: collections.map(collection => collectionSummary(collection, counts.get(collection.id) || 0)),
+    total: collections.length,
+  }));
+});
+
+/**
+ * Create a collection
+ * @route POST /api/v1/favorites/collections
+ */
+const createCollection = asyncHandler(async (req, res, next) => {
+  const { name } = req.body;
+
+  const count = await FavoriteCollection.count({ where: { userId: req.userId } });
+  if (count >= FAVORITES.MAX_COLLECTIONS) {
+    throw new AppError(
+      ERROR_MESSAGES.COLLECTION_LIMIT,
+      400,
+      ERROR_CODES.COLLECTION_LIMIT
+    );
+  }
+
+  const collection = await FavoriteCollection.create({ userId: req.userId, name });
+
+  logger.info('Collection created', { userId: req.userId, collectionId: collection.id });
+
+  res.status(201).json(successResponse({
+    collection: collectionSummary(collection, 0),
+  }));
+});
+
+/**
+ * Get a collection with its properties
+ * @route GET /api/v1/favorites/collections/:id
+ */
+const getCollection = asyncHandler(async (req, res, next) => {
+  const { page, limit } = req.query;
+  const collection = await findOwnCollection(req);
+
+  const { rows, count } = await UserFavorite.findAndCountAll({
+    where: { collectionId: collection.id },
+    order: FAVORITE_ORDER,
+    offset: (page - 1) * limit,
+    limit,
+  });
+
+  const properties = await loadFavoriteProperties(rows, {
+    populate: 'name verified contact.phone',
+  });
+
+  res.json(successResponse({
+    collection: collectionSummary(collection, count),
+    properties,
+    pagination: generatePaginationMeta(count, page, limit),
+  }));
+});
+
+/**
+ * Rename a collection
+ * @route PUT /api/v1/favorites/collections/:id
+ */
+const updateCollection = asyncHandler(async (req, res, next) => {
+  const collection = await findOwnCollection(req);
+
+  collection.name = req.body.name;
+  await collection.save();
+
+  const counts = await countFavorites([collection.id]);
+
+  res.json(successResponse({
+    collection: collectionSummary(collection, counts.get(collection.id) || 0),
+  }));
+});
+
+/**
+ * Delete a collection; its properties stay in the favorites
+ * @route DELETE /api/v1/favorites/collections/:id
+ */
+const deleteCollection = asyncHandler(async (req, res, next) => {
+  const collection = await findOwnCollection(req);
+
+  await UserFavorite.update({ collectionId: null }, { where: { collectionId: collection.id } });
+  await collection.destroy();
+
+  logger.info('Collection deleted', { userId: req.userId, collectionId: collection.id });
+
+  res.json(successResponse({ id: collection.id }));
+});
+
+/**
+ * Move favorites into a collection, out of the collection they were in
+ * @route POST /api/v1/favorites/collections/:id/properties
+ */
+const addCollectionProperties = asyncHandler(async (req, res, next) => {
+  const { propertyIds } = req.body;
+  const collection = await findOwnCollection(req);
+
+  const favorites = await UserFavorite.findAll({
+    where: { userId: req.userId, propertyId: propertyIds },
+    attributes: ['id', 'propertyId'],
+  });
+
+  if (favorites.length > 0) {
+    await UserFavorite.update(
+      { collectionId: collection.id },
+      { where: { id: favorites.map(favorite => favorite.id) } }
+    );
+  }
+
+  // Only favorites can be organized; other IDs are reported back
+  const moved = favorites.map(favorite => favorite.propertyId);
+  const counts = await countFavorites([collection.id]);
+
+  res.json(successResponse({
+    collection: collectionSummary(collection, counts.get(collection.id) || 0),
+    moved,
+    notFavorited: propertyIds.filter(id => !moved.includes(id)),
+  }));
+});
+
+/**
+ * Take a property out of a collection; it stays in the favorites
+ * @route DELETE /api/v1/favorites/collections/:id/properties/:propertyId
+ */
+const removeCollectionProperty = asyncHandler(async (req, res, next) => {
+  const { propertyId } = req.params;
+  const collection = await findOwnCollection(req);
+
+  const [removed] = await UserFavorite.update(
+    { collectionId: null },
+    { where: { userId: req.userId, collectionId: collection.id, propertyId } }
+  );
+
+  if (removed === 0) {
+    throw new AppError(
+      ERROR_MESSAGES.FAVORITE_NOT_FOUND,
+      404,
+      ERROR_CODES.FAVORITE_NOT_FOUND
+    );
+  }
+
+  const counts = await countFavorites([collection.id]);
+
+  res.json(successResponse({
+    collection: collectionSummary(collection, counts.get(collection.id) || 0),
+    propertyId,
+  }));
+});
+
+/**
+ * Create a read-only share link, replacing the previous one if any
+ * @route POST /api/v1/favorites/collections/:id/share
+ */
+const shareCollection = asyncHandler(async (req, res, next) => {
+  const collection = await findOwnCollection(req);
+
+  collection.shareToken = randomBytes(FAVORITES.SHARE_TOKEN_BYTES).toString('base64url');
+  collection.sharedAt = new Date();
+  await collection.save();
+
+  logger.info('Collection shared', { userId: req.userId, collectionId: collection.id });
+
+  res.json(successResponse({
+    shareToken: collection.shareToken,
+    sharePath: `/api/v1/shared/collections/${collection.shareToken}`,
+    sharedAt: collection.sharedAt,
+  }));
+});
+
+/**
+ * Revoke the share link of a collection
+ * @route DELETE /api/v1/favorites/collections/:id/share
+ */
+const unshareCollection = asyncHandler(async (req, res, next) => {
+  const collection = await findOwnCollection(req);
+
+  collection.shareToken = null;
+  collection.sharedAt = null;
+  await collection.save();
+
+  logger.info('Collection share revoked', { userId: req.userId, collectionId: collection.id });
+
+  res.json(successResponse({ id: collection.id, shared: false }));
+});
+
+/**
+ * Get a shared collection without logging in. Notes, tags and owner details
+ * stay private; unpublished listings are left out.
+ * @route GET /api/v1/shared/collections/:token
+ */
+const getSharedCollection = asyncHandler(async (req, res, next) => {
+  const { token } = req.params;
+  const { page, limit } = req.query;
+
+  const collection = await FavoriteCollection.findOne({
+    where: { shareToken: token },
+  });
+
+  if (!collection) {
+    throw new AppError(
+      ERROR_MESSAGES.COLLECTION_NOT_FOUND,
+      404,
+      ERROR_CODES.COLLECTION_NOT_FOUND
+    );
+  }
+
+  const { rows, count } = await UserFavorite.findAndCountAll({
+    where: { collectionId: collection.id },
+    order: FAVORITE_ORDER,
+    offset: (page - 1) * limit,
+    limit,
+  });
+
+  const properties = await loadFavoriteProperties(rows, {
+    populate: 'name verified',
+    details: favorite => ({ addedAt: favorite.createdAt }),
+  });
+
+  // A revoked link must stop working at once
+  res.set('Cache-Control', 'no-store');
+
+  res.json(successResponse({
+    collection: {
+      name: collection.name,
+      propertiesCount: count,
+      sharedAt: collection.sharedAt,
+      updatedAt: collection.updatedAt,
+    },
+    properties: properties.map(({ isFavorited, ...property }) => property),
+    pagination: generatePaginationMeta(count, page, limit),
+  }));
+});
+
+module.exports = {
+  getCollections,
+  createCollection,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  addCollectionProperties,
+  removeCollectionProperty,
+  shareCollection,
+  unshareCollection,
+  getSharedCollection,
+};
@@ -0,0 +1,163 @@
+const Property = require('../models/Property');
+const ConstructionUpdate = require('../models/ConstructionUpdate');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
+const { successResponse, generatePaginationMeta } = require('../utils/helpers');
+const { createConstructionStatusAlerts } = require('../utils/alertMatcher');
+const { ERROR_CODES, ERROR_MESSAGES, USER_ROLES } = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Load a VEFA listing
+ * @param {string} id - Property ID
+ * @returns {object} - Property document
+ */
+const findVefaProperty = async (id) => {
+  const property = await Property.findById(id)
+    .select('title type price images location_id VEFA_details_id promoter_id');
+
+  if (!property) {
+    throw new AppError(
+      ERROR_MESSAGES.PROPERTY_NOT_FOUND,
+      404,
+      ERROR_CODES.PROPERTY_NOT_FOUND
+    );
+  }
+
+  if (!property.VEFA_details_id?.is_vefa) {
+    throw new AppError(
+      ERROR_MESSAGES.PROPERTY_NOT_VEFA,
+      400,
+      ERROR_CODES.PROPERTY_NOT_VEFA
+    );
+  }
+
+  return property;
+};
+
+// Current progress of a listing, with the delay flag
+const progressSummary = (property) => {
+  const vefa = property.VEFA_details_id;
+  const window = vefa.delivery_window;
+
+  return {
+    constructionProgress: vefa.construction_progress || null,
+    constructionPercentage: vefa.construction_percentage ?? null,
+    progressUpdatedAt: vefa.progress_updated_at || null,
+    delivery: {
+      date: vefa.delivery_date || null,
+      window: window?.end ? { start: window.start, end: window.end, precision: window.precision } : null,
+    },
+    // Delivery period over and still not "Livré"
+    delayed: property.isDelayed(),
+  };
+};
+
+/**
+ * Get the construction timeline of a VEFA listing, latest update first
+ * @route GET /api/v1/properties/:id/construction-updates
+ */
+const getConstructionTimeline = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { page, limit } = req.query;
+
+  const property = await findVefaProperty(id);
+
+  const [updates, total] = await Promise.all([
+    ConstructionUpdate.find({ property_id: id })
+      .select('-posted_by')
+      .sort({ reported_at: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ConstructionUpdate.countDocuments({ property_id: id }),
+  ]);
+
+  res.json(successResponse({
+    propertyId: id,
+    ...progressSummary(property),
+    updates,
+    pagination: generatePaginationMeta(total, page, limit),
+  }));
+});
+
+/**
+ * Post a dated progress update on a VEFA listing. Agents can only post for
+ * their own promoter. A status change on the latest update is copied to the
+ * listing and notified to the users who favorited it.
+ * @route POST /api/v1/properties/:id/construction-updates
+ */
+const addConstructionUpdate = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const {
+    status, percentage, photos, comment, reportedAt = new Date(),
+  } = req.body;
+
+  const property = await findVefaProperty(id);
+
+  if (req.user.role !== USER_ROLES.ADMIN && req.user.promoterId !== String(property.promoter_id)) {
+    throw new AppError(
+      ERROR_MESSAGES.FORBIDDEN,
+      403,
+      ERROR_CODES.AUTH_FORBIDDEN
+    );
+  }
+
+  // A backdated update joins the timeline without overriding newer progress
+  const latest = await ConstructionUpdate.findOne({ property_id: id })
+    .sort({ reported_at: -1 })
+    .select('reported_at')
+    .lean();
+  const isLatest = !latest || reportedAt >= latest.reported_at;
+
+  const previousStatus = property.VEFA_details_id.construction_progress;
+  const update = await ConstructionUpdate.create({
+    property_id: id,
+    promoter_id: property.promoter_id,
+    status,
+    previous_status: status ? previousStatus : undefined,
+    percentage,
+    photos,
+    comment,
+    reported_at: reportedAt,
+    posted_by: req.userId,
+  });
+
+  const statusChanged = isLatest && Boolean(status) && status !== previousStatus;
+
+  if (isLatest) {
+    const progress = { 'VEFA_details_id.progress_updated_at': reportedAt };
+    if (status) progress['VEFA_details_id.construction_progress'] = status;
+    if (percentage !== undefined) progress['VEFA_details_id.construction_percentage'] = percentage;
+
+    await Property.updateOne({ _id: id }, { $set: progress });
+    Object.entries(progress).forEach(([path, value]) => property.set(path, value));
+  }
+
+  if (statusChanged) {
+    // Notifications must not fail the update
+    createConstructionStatusAlerts(property.toObject(), update).catch(error => {
+      logger.error('Construction status alerts failed', { propertyId: id, error: error.message });
+    });
+  }
+
+  logger.info('Construction update posted', {
+    userId: req.userId,
+    propertyId: id,
+    status,
+    statusChanged,
+  });
+
+  const publicUpdate = update.toObject();
+  delete publicUpdate.posted_by;
+
+  res.status(201).json(successResponse({
+    update: publicUpdate,
+    statusChanged,
+    ...progressSummary(property),
+  }));
+});
+
+module.exports = {
+  getConstructionTimeline,
+  addConstructionUpdate,
+};
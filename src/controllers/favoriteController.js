@@ -1,76 +1,97 @@
+const { Op } = require('sequelize');
 const User = require('../models/User');
+const UserFavorite = require('../models/UserFavorite');
+const FavoriteCollection = require('../models/FavoriteCollection');
 const Property = require('../models/Property');
+const PropertyActivity = require('../models/PropertyActivity');
 const { asyncHandler, AppError } = require('../middleware/error.middleware');
-const { successResponse, generatePaginationMeta } = require('../utils/helpers');
-const { ERROR_CODES, ERROR_MESSAGES, SUCCESS_MESSAGES, PAGINATION } = require('../config/constants');
+const {
+  successResponse, generatePaginationMeta, generateCursorPaginationMeta, encodeCursor, decodeCursor,
+} = require('../utils/helpers');
+const { ERROR_CODES, ERROR_MESSAGES, SUCCESS_MESSAGES } = require('../config/constants');
+const { FAVORITE_ORDER, favoriteDetails, loadFavoriteProperties } = require('../utils/favorites');
+const { buildFavoritesCsv, buildFavoritesPdf } = require('../utils/favoriteExport');
 const logger = require('../utils/logger');
 
+const encodeFavoriteCursor = favorite => encodeCursor(
+  { _id: favorite.id, createdAt: favorite.createdAt },
+  { createdAt: -1 }
+);
+
 /**
- * Get user's favorite properties
+ * Get user's favorite properties, most recently added first
  * @route GET /api/v1/favorites
  */
 const getFavorites = asyncHandler(async (req, res, next) => {
   const {
-    page = PAGINATION.DEFAULT_PAGE,
-    limit = PAGINATION.DEFAULT_LIMIT,
-    sort = '-createdAt',
+    page, limit, after, tag, collectionId,
   } = req.query;
 
-  // Get user from PostgreSQL
-  const user = await User.findByPk(req.userId);
-  
-  if (!user) {
-    throw new AppError(
-      ERROR_MESSAGES.USER_NOT_FOUND,
-      404,
-      ERROR_CODES.USER_NOT_FOUND
+  const where = { userId: req.userId };
+  if (tag) where.tags = { [Op.contains]: [tag] };
+  if (collectionId) where.collectionId = collectionId;
+
+  let favorites;
+  let pagination;
+
+  if (after) {
+    // Keyset pagination: removing favorites between page loads does not shift the next page
+    const cursor = decodeCursor(after);
+    favorites = await UserFavorite.findAll({
+      where: {
+        ...where,
+        [Op.or]: [
+          { createdAt: { [Op.lt]: cursor.value } },
+          { createdAt: cursor.value, id: { [Op.lt]: cursor.id } },
+        ],
+      },
+      order: FAVORITE_ORDER,
+      limit: limit + 1,
+    });
+
+    const hasNext = favorites.length > limit;
+    if (hasNext) favorites.pop();
+    pagination = generateCursorPaginationMeta(
+      limit,
+      hasNext ? encodeFavoriteCursor(favorites[favorites.length - 1]) : null
     );
+  } else {
+    const { rows, count } = await UserFavorite.findAndCountAll({
+      where,
+      order: FAVORITE_ORDER,
+      offset: (page - 1) * limit,
+      limit,
+    });
+
+    favorites = rows;
+    const hasNext = page * limit < count;
+    pagination = {
+      ...generatePaginationMeta(count, page, limit),
+      nextCursor: hasNext ? encodeFavoriteCursor(rows[rows.length - 1]) : null,
+    };
   }
 
-  const favorites = user.favorites || [];
-  
-  // Get total count
-  const total = favorites.length;
-
-  // Paginate favorite IDs
-  const startIndex = (page - 1) * limit;
-  const endIndex = startIndex + limit;
-  const paginatedIds = favorites.slice(startIndex, endIndex);
-
-  // Fetch favorite properties from MongoDB
-  const properties = await Property.find({
-    _id: { $in: paginatedIds },
-    validated: true,
-  })
-    .populate('promoter_id', 'name verified contact.phone')
-    .lean();
-
-  // Maintain order and add favorited flag
-  const orderedProperties = paginatedIds.map(id => {
-    const property = properties.find(p => p._id === id);
-    if (property) {
-      property.isFavorited = true;
-      property.favoritedAt = user.createdAt; // We don't track individual favorite dates yet
-    }
-    return property;
-  }).filter(Boolean);
+  const properties = await loadFavoriteProperties(favorites, {
+    populate: 'name verified contact.phone',
+  });
 
   res.json(successResponse({
-    favorites: orderedProperties,
-    pagination: generatePaginationMeta(total, page, limit),
+    favorites: properties,
+    pagination,
   }));
 });
 
 /**
- * Add property to favorites
+ * Add property to favorites, with an optional note and tags
  * @route POST /api/v1/favorites/:propertyId
  */
 const addFavorite = asyncHandler(async (req, res, next) => {
   const { propertyId } = req.params;
+  const { note, tags } = req.body;
 
   // Check if property exists in MongoDB
   const property = await Property.findById(propertyId);
-  
+
   if (!property || !property.validated) {
     throw new AppError(
       ERROR_MESSAGES.PROPERTY_NOT_FOUND,
@@ -79,86 +100,105 @@ const addFavorite = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Get user from PostgreSQL
-  const user = await User.findByPk(req.userId);
-  
-  if (!user) {
-    throw new AppError(
-      ERROR_MESSAGES.USER_NOT_FOUND,
-      404,
-      ERROR_CODES.USER_NOT_FOUND
-    );
-  }
+  const [favorite, created] = await UserFavorite.findOrCreate({
+    where: { userId: req.userId, propertyId },
+    defaults: { note, tags },
+  });
 
   // Check if already favorited
-  if (user.hasFavorited(propertyId)) {
+  if (!created) {
     return res.json(successResponse({
       message: {
         fr: 'Cette propriété est déjà dans vos favoris',
         ar: 'هذا العقار موجود بالفعل في المفضلة',
       },
       isFavorited: true,
+      favorite: favoriteDetails(favorite),
     }));
   }
 
-  // Add to favorites
-  await user.addFavorite(propertyId);
+  // Feeds the trending score; a failure here must not undo the favorite
+  PropertyActivity.increment(property, 'favorites').catch(error => {
+    logger.error('Favorite activity tracking failed', { propertyId, error: error.message });
+  });
 
   // Log action
   logger.info('Property added to favorites', {
-    userId: user.id,
+    userId: req.userId,
     propertyId,
   });
 
-  res.json(successResponse({
+  const totalFavorites = await UserFavorite.count({ where: { userId: req.userId } });
+
+  res.status(201).json(successResponse({
     message: SUCCESS_MESSAGES.FAVORITE_ADDED,
     isFavorited: true,
-    totalFavorites: user.favorites.length,
+    favorite: favoriteDetails(favorite),
+    totalFavorites,
   }));
 });
 
 /**
- * Remove property from favorites
- * @route DELETE /api/v1/favorites/:propertyId
+ * Update the note or tags of a favorite
+ * @route PUT /api/v1/favorites/:propertyId
  */
-const removeFavorite = asyncHandler(async (req, res, next) => {
+const updateFavorite = asyncHandler(async (req, res, next) => {
   const { propertyId } = req.params;
+  const { note, tags } = req.body;
 
-  // Get user
-  const user = await User.findById(req.userId);
-  
-  if (!user) {
+  const favorite = await UserFavorite.findOne({
+    where: { userId: req.userId, propertyId },
+  });
+
+  if (!favorite) {
     throw new AppError(
-      ERROR_MESSAGES.USER_NOT_FOUND,
+      ERROR_MESSAGES.FAVORITE_NOT_FOUND,
       404,
-      ERROR_CODES.USER_NOT_FOUND
+      ERROR_CODES.FAVORITE_NOT_FOUND
     );
   }
 
+  if (note !== undefined) favorite.note = note;
+  if (tags !== undefined) favorite.tags = tags;
+  await favorite.save();
+
+  res.json(successResponse({
+    propertyId,
+    favorite: favoriteDetails(favorite),
+  }));
+});
+
+/**
+ * Remove property from favorites
+ * @route DELETE /api/v1/favorites/:propertyId
+ */
+const removeFavorite = asyncHandler(async (req, res, next) => {
+  const { propertyId } = req.params;
+
+  const removed = await UserFavorite.destroy({
+    where: { userId: req.userId, propertyId },
+  });
+
   // Check if favorited
-  if (!user.hasFavorited(propertyId)) {
+  if (removed === 0) {
     return res.json(successResponse({
-      message: {
-        fr: 'Cette propriété n\'est pas dans vos favoris',
-        ar: 'هذا العقار ليس في المفضلة',
-      },
+      message: ERROR_MESSAGES.FAVORITE_NOT_FOUND,
       isFavorited: false,
     }));
   }
 
-  // Remove from favorites
-  await user.removeFavorite(propertyId);
-
   // Log action
   logger.info('Property removed from favorites', {
-    userId: user._id,
+    userId: req.userId,
     propertyId,
   });
 
+  const totalFavorites = await UserFavorite.count({ where: { userId: req.userId } });
+
   res.json(successResponse({
     message: SUCCESS_MESSAGES.FAVORITE_REMOVED,
     isFavorited: false,
-    totalFavorites: user.favorites.length,
+    totalFavorites,
   }));
 });
 
@@ -169,32 +209,16 @@ const removeFavorite = asyncHandler(async (req, res, next) => {
 const checkFavorites = asyncHandler(async (req, res, next) => {
   const { propertyIds } = req.body;
 
-  if (!Array.isArray(propertyIds) || propertyIds.length === 0) {
-    throw new AppError(
-      {
-        fr: 'Liste des IDs de propriétés requise',
-        ar: 'قائمة معرفات العقارات مطلوبة',
-      },
-      400,
-      ERROR_CODES.VALIDATION_ERROR
-    );
-  }
-
-  // Get user
-  const user = await User.findById(req.userId).select('favorites');
-  
-  if (!user) {
-    throw new AppError(
-      ERROR_MESSAGES.USER_NOT_FOUND,
-      404,
-      ERROR_CODES.USER_NOT_FOUND
-    );
-  }
+  const favorites = await UserFavorite.findAll({
+    where: { userId: req.userId, propertyId: propertyIds },
+    attributes: ['propertyId'],
+  });
+  const favorited = new Set(favorites.map(favorite => favorite.propertyId));
 
   // Check each property
   const favoriteStatus = {};
   propertyIds.forEach(id => {
-    favoriteStatus[id] = user.favorites.includes(id);
+    favoriteStatus[id] = favorited.has(id);
   });
 
   res.json(successResponse({
@@ -207,21 +231,23 @@ const checkFavorites = asyncHandler(async (req, res, next) => {
  * @route GET /api/v1/favorites/stats
  */
 const getFavoriteStats = asyncHandler(async (req, res, next) => {
-  // Get user with populated favorites
-  const user = await User.findById(req.userId)
-    .populate({
-      path: 'favorites',
-      select: 'price surface type location_id.city apartment_details_id.rooms',
-      match: { validated: true },
-    })
-    .lean();
-
-  if (!user || !user.favorites || user.favorites.length === 0) {
+  const favorites = await UserFavorite.findAll({
+    where: { userId: req.userId },
+    order: FAVORITE_ORDER,
+  });
+
+  const properties = await loadFavoriteProperties(favorites, {
+    select: 'price surface type location_id.city apartment_details_id.rooms',
+  });
+
+  if (properties.length === 0) {
     return res.json(successResponse({
       stats: {
         total: 0,
         byType: {},
         byCity: {},
+        byRooms: {},
+        byTag: {},
         priceRange: { min: 0, max: 0, avg: 0 },
         surfaceRange: { min: 0, max: 0, avg: 0 },
       },
@@ -230,16 +256,17 @@ const getFavoriteStats = asyncHandler(async (req, res, next) => {
 
   // Calculate statistics
   const stats = {
-    total: user.favorites.length,
+    total: properties.length,
     byType: {},
     byCity: {},
     byRooms: {},
+    byTag: {},
   };
 
   let prices = [];
   let surfaces = [];
 
-  user.favorites.forEach(property => {
+  properties.forEach(property => {
     // Type stats
     if (property.type) {
       stats.byType[property.type] = (stats.byType[property.type] || 0) + 1;
@@ -256,6 +283,11 @@ const getFavoriteStats = asyncHandler(async (req, res, next) => {
       stats.byRooms[rooms] = (stats.byRooms[rooms] || 0) + 1;
     }
 
+    // Tag stats
+    property.tags.forEach(tag => {
+      stats.byTag[tag] = (stats.byTag[tag] || 0) + 1;
+    });
+
     // Collect prices and surfaces
     if (property.price > 0) prices.push(property.price);
     if (property.surface > 0) surfaces.push(property.surface);
@@ -289,20 +321,15 @@ const getFavoriteStats = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * Export favorites as JSON
+ * Export favorites as JSON, CSV or a printable PDF shortlist
  * @route GET /api/v1/favorites/export
  */
 const exportFavorites = asyncHandler(async (req, res, next) => {
-  // Get user with populated favorites
-  const user = await User.findById(req.userId)
-    .populate({
-      path: 'favorites',
-      populate: {
-        path: 'promoter_id',
-        select: 'name contact',
-      },
-    })
-    .lean();
+  const { format } = req.query;
+
+  const user = await User.findByPk(req.userId, {
+    attributes: ['id', 'fullName', 'email'],
+  });
 
   if (!user) {
     throw new AppError(
@@ -312,6 +339,22 @@ const exportFavorites = asyncHandler(async (req, res, next) => {
     );
   }
 
+  const favorites = await UserFavorite.findAll({
+    where: { userId: user.id },
+    include: [{ model: FavoriteCollection, as: 'collection', attributes: ['name'] }],
+    order: FAVORITE_ORDER,
+  });
+
+  // Unpublished listings are exported too: the user may still want their notes
+  const properties = await loadFavoriteProperties(favorites, {
+    validatedOnly: false,
+    populate: 'name contact',
+    details: favorite => ({
+      ...favoriteDetails(favorite),
+      collection: favorite.collection?.name || null,
+    }),
+  });
+
   // Prepare export data
   const exportData = {
     user: {
@@ -319,7 +362,7 @@ const exportFavorites = asyncHandler(async (req, res, next) => {
       email: user.email,
       exportDate: new Date().toISOString(),
     },
-    favorites: user.favorites.map(property => ({
+    favorites: properties.map(property => ({
       id: property._id,
       title: property.title,
       price: property.price,
@@ -342,21 +385,41 @@ const exportFavorites = asyncHandler(async (req, res, next) => {
         email: property.promoter_id?.contact?.email,
       },
       url: property.url,
+      favoritedAt: property.favoritedAt,
+      note: property.note,
+      tags: property.tags,
+      collection: property.collection,
     })),
   };
 
+  // Built before the download headers so a PDF that cannot be printed fails as a JSON error.
+  // The shortlist is handed to clients: private notes and tags are left out.
+  const pdf = format === 'pdf' ? buildFavoritesPdf(exportData) : null;
+
   // Set response headers for file download
-  res.setHeader('Content-Type', 'application/json');
-  res.setHeader('Content-Disposition', `attachment; filename="nestify-favorites-${Date.now()}.json"`);
+  const filename = `nestify-favorites-${Date.now()}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
 
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    return res.send(buildFavoritesCsv(exportData.favorites));
+  }
+
+  if (pdf) {
+    res.setHeader('Content-Type', 'application/pdf');
+    return pdf.pipe(res);
+  }
+
+  res.setHeader('Content-Type', 'application/json');
   res.json(exportData);
 });
 
 module.exports = {
   getFavorites,
   addFavorite,
+  updateFavorite,
   removeFavorite,
   checkFavorites,
   getFavoriteStats,
   exportFavorites,
-};
\ No newline at end of file
+};
@@ -0,0 +1,69 @@
+const Property = require('../models/Property');
+const financeConfig = require('../config/finance');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
+const { successResponse } = require('../utils/helpers');
+const { simulateLoan } = require('../utils/finance');
+const { ERROR_CODES, ERROR_MESSAGES } = require('../config/constants');
+
+/**
+ * Get the loan presets and the defaults used by the simulator
+ * @route GET /api/v1/finance/presets
+ */
+const getPresets = asyncHandler(async (req, res, next) => {
+  res.json(successResponse({
+    defaults: financeConfig.defaults,
+    debtRatioCap: financeConfig.debtRatioCap,
+    presets: Object.entries(financeConfig.presets).map(([key, preset]) => ({ key, ...preset })),
+  }));
+});
+
+/**
+ * Simulate a home loan for a listing or a given price
+ * @route POST /api/v1/finance/simulate
+ */
+const simulate = asyncHandler(async (req, res, next) => {
+  const { propertyId, ...params } = req.body;
+
+  let property = null;
+  if (propertyId) {
+    property = await Property.findById(propertyId).select('title price').lean();
+
+    if (!property) {
+      throw new AppError(
+        ERROR_MESSAGES.PROPERTY_NOT_FOUND,
+        404,
+        ERROR_CODES.PROPERTY_NOT_FOUND
+      );
+    }
+
+    // Price 0 means "prix sur demande"
+    if (!(property.price > 0)) {
+      throw new AppError(
+        ERROR_MESSAGES.PROPERTY_PRICE_UNKNOWN,
+        400,
+        ERROR_CODES.PROPERTY_PRICE_UNKNOWN
+      );
+    }
+    params.price = property.price;
+  }
+
+  const simulation = simulateLoan(params);
+
+  if (!simulation) {
+    throw new AppError(
+      ERROR_MESSAGES.DOWN_PAYMENT_TOO_HIGH,
+      400,
+      ERROR_CODES.DOWN_PAYMENT_TOO_HIGH
+    );
+  }
+
+  res.json(successResponse({
+    ...(property && { property: { id: property._id, title: property.title } }),
+    simulation,
+  }));
+});
+
+module.exports = {
+  getPresets,
+  simulate,
+};
@@ -1,88 +1,624 @@
 const Property = require('../models/Property');
-const mongoose = require('mongoose');
+const PropertyViewStat = require('../models/PropertyViewStat');
+const PropertyViewMarker = require('../models/PropertyViewMarker');
+const PropertyActivity = require('../models/PropertyActivity');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
+const {
+  successResponse, generatePaginationMeta, buildSortObject, paginateQuery, normalizeSearchQuery,
+  calculatePricePerM2,
+} = require('../utils/helpers');
+const { calculateDistance } = require('../utils/validators');
+const { bboxToPolygon, bboxCenter, getLocationCoordinates } = require('../utils/geo');
+const { isBot, getViewerKey } = require('../utils/viewTracking');
+const { accentInsensitivePattern } = require('../utils/textSearch');
+const { buildComparison } = require('../utils/comparison');
+const { buildPaymentPlan, buildPaymentPlanCalendar } = require('../utils/paymentPlan');
+const logger = require('../utils/logger');
+const {
+  MAP_CLUSTERS, VIEW_TRACKING, TRENDING, PRICE_HISTORY, ERROR_CODES, ERROR_MESSAGES,
+} = require('../config/constants');
+
+/**
+ * Run a paginated property query
+ * @param {object} query - MongoDB query built by Property.search()
+ * @param {object} options - sort, page, limit and optional `after` cursor
+ * @returns {object} - Properties and pagination metadata
+ */
+const paginateProperties = async (query, {
+  sort, page, limit, after,
+}) => {
+  // Relevance ranking only exists for text searches
+  const sortKey = sort === 'relevance' && !query.$text ? 'newest' : sort;
+  const projection = sortKey === 'relevance' ? { score: { $meta: 'textScore' } } : {};
+
+  // Ranking by yield only makes sense for listings that have one
+  const rankedQuery = ['yield_desc', 'yield_asc'].includes(sortKey)
+    ? { ...query, 'rentalEstimate.netYield': { ...query['rentalEstimate.netYield'], $ne: null } }
+    : query;
+
+  const { items, pagination } = await paginateQuery(Property, rankedQuery, {
+    sort: buildSortObject(sortKey),
+    page,
+    limit,
+    after,
+    projection,
+  });
+
+  return { properties: items, pagination };
+};
+
+/**
+ * Build the condition keeping properties inside a drawn area
+ * @param {object} area - GeoJSON Polygon or MultiPolygon
+ * @returns {object} - MongoDB condition
+ */
+const areaCondition = (area) => ({ 'location_id.geo': { $geoWithin: { $geometry: area } } });
+
+/**
+ * Save a search in the user's history. Only first pages are recorded and a
+ * failure is logged, never returned to the client.
+ * @param {object} req - Express request (optionally authenticated)
+ * @param {object} search - Filters, sort and area of the search
+ * @param {object} pagination - Pagination metadata of the results
+ */
+const recordSearch = (req, search, pagination) => {
+  if (!req.user || search.after || search.page > 1) return;
+
+  req.user.addToSearchHistory(normalizeSearchQuery(search), pagination.totalItems)
+    .catch(error => {
+      logger.error('Search history update failed', { userId: req.userId, error: error.message });
+    });
+};
 
 /**
  * Get all properties with filters
  * @route GET /api/v1/properties
  */
-const getProperties = async (req, res) => {
+const getProperties = asyncHandler(async (req, res, next) => {
+  const {
+    sort, page, limit, after, facets, ...filters
+  } = req.query;
+
+  const query = await Property.search(filters);
+
+  const [results, facetCounts] = await Promise.all([
+    paginateProperties(query, {
+      sort, page, limit, after,
+    }),
+    facets ? Property.facets(filters) : null,
+  ]);
+
+  recordSearch(req, req.query, results.pagination);
+
+  res.json(successResponse({
+    ...results,
+    ...(facetCounts && { facets: facetCounts }),
+  }));
+});
+
+/**
+ * Search properties inside a polygon drawn on the map
+ * @route POST /api/v1/properties/search
+ */
+const searchPropertiesInArea = asyncHandler(async (req, res, next) => {
+  const {
+    area, sort, page, limit, after, facets, ...filters
+  } = req.body;
+
+  const areaQuery = areaCondition(area);
+  const query = { ...(await Property.search(filters)), ...areaQuery };
+
+  const [results, facetCounts] = await Promise.all([
+    paginateProperties(query, {
+      sort, page, limit, after,
+    }),
+    facets ? Property.facets(filters, areaQuery) : null,
+  ]);
+
+  recordSearch(req, req.body, results.pagination);
+
+  res.json(successResponse({
+    ...results,
+    ...(facetCounts && { facets: facetCounts }),
+  }));
+});
+
+/**
+ * Re-run a search from the user's history against current listings
+ * @route GET /api/v1/users/search-history/:id/replay
+ */
+const replaySearch = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { page, limit, after } = req.query;
+
+  const entry = (req.user.searchHistory || []).find(item => item.id === id);
+
+  if (!entry) {
+    throw new AppError(
+      ERROR_MESSAGES.SEARCH_NOT_FOUND,
+      404,
+      ERROR_CODES.SEARCH_NOT_FOUND
+    );
+  }
+
+  const { area, sort, ...filters } = entry.query;
+  const query = {
+    ...(await Property.search(filters)),
+    ...(area && areaCondition(area)),
+  };
+  const searchedAt = new Date(entry.timestamp);
+
+  const [results, newListings] = await Promise.all([
+    paginateProperties(query, {
+      sort, page, limit, after,
+    }),
+    Property.countDocuments({ ...query, created_at: { $gt: searchedAt } }),
+  ]);
+
+  res.json(successResponse({
+    search: entry,
+    newListings,
+    properties: results.properties.map(property => ({
+      ...property,
+      isNew: property.created_at > searchedAt,
+    })),
+    pagination: results.pagination,
+  }));
+});
+
+/**
+ * Get properties around a point or inside a map viewport, closest first
+ * @route GET /api/v1/properties/nearby
+ */
+const getNearbyProperties = asyncHandler(async (req, res, next) => {
+  const {
+    lat, lng, radiusKm, bbox, page, limit, ...filters
+  } = req.query;
+
+  // Distances are measured from the given point, or the viewport center
+  const origin = lat !== undefined ? { lat, lng } : bboxCenter(bbox);
+
+  const query = await Property.search(filters);
+  if (bbox) {
+    query['location_id.geo'] = { $geoWithin: { $geometry: bboxToPolygon(bbox) } };
+  }
+
+  const geoNear = {
+    near: { type: 'Point', coordinates: [origin.lng, origin.lat] },
+    key: 'location_id.geo',
+    distanceField: 'distanceMeters',
+    spherical: true,
+    query,
+  };
+  if (!bbox) {
+    geoNear.maxDistance = radiusKm * 1000;
+  }
+
+  const [result] = await Property.aggregate([
+    { $geoNear: geoNear },
+    { $project: { distanceMeters: 0 } },
+    {
+      $facet: {
+        properties: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }],
+      },
+    },
+  ]);
+
+  const properties = result.properties.map((property) => {
+    const coordinates = getLocationCoordinates(property.location_id);
+    const distance = calculateDistance(origin.lat, origin.lng, coordinates.lat, coordinates.lng);
+    return {
+      ...property,
+      distanceKm: Math.round(distance * 100) / 100,
+    };
+  });
+  const total = result.total[0]?.count || 0;
+
+  res.json(successResponse({
+    origin,
+    ...(bbox ? { bbox } : { radiusKm }),
+    properties,
+    pagination: generatePaginationMeta(total, page, limit),
+  }));
+});
+
+/**
+ * Get map clusters (or individual listings at high zoom) inside a viewport
+ * @route GET /api/v1/properties/clusters
+ */
+const getPropertyClusters = asyncHandler(async (req, res, next) => {
+  const { bbox, zoom, ...filters } = req.query;
+
+  const query = await Property.search(filters);
+  query['location_id.geo'] = { $geoWithin: { $geometry: bboxToPolygon(bbox) } };
+
+  // Close enough to the ground: send the pins themselves
+  if (zoom >= MAP_CLUSTERS.LISTINGS_ZOOM) {
+    const [listings, total] = await Promise.all([
+      Property.find(query)
+        .select('title price surface type pricePerM2 location_id.city location_id.geo images')
+        .limit(MAP_CLUSTERS.MAX_LISTINGS)
+        .lean(),
+      Property.countDocuments(query),
+    ]);
+
+    return res.json(successResponse({
+      mode: 'listings',
+      zoom,
+      bbox,
+      listings: listings.map(({ images, location_id: location, ...listing }) => ({
+        ...listing,
+        city: location.city,
+        coordinates: getLocationCoordinates(location),
+        image: images?.[0] || null,
+      })),
+      total,
+      truncated: total > listings.length,
+    }));
+  }
+
+  // Grid cell size in degrees: a map tile spans 360 / 2^zoom degrees of longitude
+  const cellSize = 360 / (2 ** zoom) / MAP_CLUSTERS.CELLS_PER_TILE;
+
+  const cells = await Property.aggregate([
+    { $match: query },
+    {
+      $project: {
+        price: 1,
+        lng: { $arrayElemAt: ['$location_id.geo.coordinates', 0] },
+        lat: { $arrayElemAt: ['$location_id.geo.coordinates', 1] },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          x: { $floor: { $divide: ['$lng', cellSize] } },
+          y: { $floor: { $divide: ['$lat', cellSize] } },
+        },
+        count: { $sum: 1 },
+        // Price 0 means "prix sur demande" and must not drag the average down
+        avgPrice: { $avg: { $cond: [{ $gt: ['$price', 0] }, '$price', null] } },
+        lat: { $avg: '$lat' },
+        lng: { $avg: '$lng' },
+        propertyId: { $first: '$_id' },
+      },
+    },
+    { $sort: { count: -1 } },
+  ]);
+
+  const clusters = cells.map(cell => ({
+    id: `${zoom}:${cell._id.x}:${cell._id.y}`,
+    count: cell.count,
+    avgPrice: cell.avgPrice ? Math.round(cell.avgPrice) : null,
+    centroid: {
+      lat: cell.lat,
+      lng: cell.lng,
+    },
+    ...(cell.count === 1 && { propertyId: cell.propertyId }),
+  }));
+
+  res.json(successResponse({
+    mode: 'clusters',
+    zoom,
+    bbox,
+    cellSize,
+    clusters,
+    total: clusters.reduce((sum, cluster) => sum + cluster.count, 0),
+  }));
+});
+
+/**
+ * Count a view once per viewer and dedup window: an atomic insert of the
+ * viewer marker decides, then the counters are incremented with $inc
+ * @param {object} property - Viewed property
+ * @param {object} req - Express request
+ * @returns {boolean} - True if the view was counted
+ */
+const recordView = async (property, req) => {
+  if (isBot(req.get('user-agent'))) return false;
+
   try {
-    console.log('=== PROPERTY DEBUG ===');
-    console.log('MongoDB connected to:', mongoose.connection.name);
-    console.log('Collection name:', Property.collection.name);
-    
-    // Test direct count
-    const count = await Property.countDocuments();
-    console.log('Total properties in collection:', count);
-    
-    // Test direct find
-    const testProperties = await Property.find().limit(2);
-    console.log('Sample properties found:', testProperties.length);
-    console.log('First property sample:', testProperties[0] ? { 
-      id: testProperties[0]._id, 
-      title: testProperties[0].title 
-    } : 'No properties found');
-    
-    // Simple query for all properties
-    const properties = await Property.find({ validated: true })
-      .limit(20)
-      .lean();
-    
-    console.log('Filtered properties found:', properties.length);
-    
-    res.json({
-      success: true,
-      data: {
-        properties,
-        pagination: {
-          current_page: 1,
-          total_pages: Math.ceil(count / 20),
-          total_count: count,
-          per_page: 20,
-          has_next_page: count > 20,
-          has_prev_page: false
-        }
-      }
+    await PropertyViewMarker.create({
+      _id: `${property._id}:${getViewerKey(req)}`,
+      expires_at: new Date(Date.now() + VIEW_TRACKING.DEDUP_WINDOW_MINUTES * 60 * 1000),
     });
-    
   } catch (error) {
-    console.error('Property fetch error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    if (error.code === 11000) return false; // Already counted in this window
+    throw error;
   }
+
+  await Promise.all([
+    Property.updateOne({ _id: property._id }, { $inc: { views: 1 } }),
+    PropertyViewStat.increment(property),
+    PropertyActivity.increment(property, 'views'),
+  ]);
+  return true;
 };
 
+/**
+ * Get listings whose views and favorites are rising, optionally for a city or type.
+ * Completed with the most viewed listings when there is not enough recent activity.
+ * @route GET /api/v1/properties/trending
+ */
+const getTrendingProperties = asyncHandler(async (req, res, next) => {
+  const {
+    window, city, type, limit,
+  } = req.query;
+  const { hours, halfLifeHours } = TRENDING.WINDOWS[window];
+
+  const cityCondition = city && new RegExp(`^${accentInsensitivePattern(city)}$`, 'i');
+  const match = {
+    ...(cityCondition && { city: cityCondition }),
+    ...(type && { type }),
+  };
+
+  // Over-fetch: some active listings may have been unpublished since
+  const ranked = await PropertyActivity.trending({
+    hours, halfLifeHours, match, limit: limit * 2,
+  });
+
+  const found = await Property.find({ _id: { $in: ranked.map(r => r._id) }, validated: true })
+    .populate('promoter_id', 'name verified')
+    .lean();
+  const propertiesById = new Map(found.map(property => [property._id, property]));
+
+  const properties = ranked
+    .filter(({ _id }) => propertiesById.has(_id))
+    .slice(0, limit)
+    .map(({
+      _id, score, views, favorites,
+    }) => ({
+      ...propertiesById.get(_id),
+      trending: { score: Number(score.toFixed(2)), views, favorites },
+    }));
+  const trendingCount = properties.length;
+
+  if (trendingCount < limit) {
+    const mostViewed = await Property.find({
+      validated: true,
+      _id: { $nin: properties.map(p => p._id) },
+      ...(cityCondition && { 'location_id.city': cityCondition }),
+      ...(type && { type }),
+    })
+      .sort({ views: -1, _id: 1 })
+      .limit(limit - trendingCount)
+      .populate('promoter_id', 'name verified')
+      .lean();
+
+    properties.push(...mostViewed.map(property => ({ ...property, trending: null })));
+  }
+
+  // Same feed for everyone, shared caches may keep it a few minutes
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(successResponse({
+    window,
+    ...(city && { city }),
+    ...(type && { type }),
+    trendingCount,
+    properties,
+  }));
+});
+
+/**
+ * Compare 2 to 5 listings side by side
+ * @route POST /api/v1/properties/compare
+ */
+const compareProperties = asyncHandler(async (req, res, next) => {
+  const { propertyIds } = req.body;
+
+  const found = await Property.find({ _id: { $in: propertyIds }, validated: true })
+    .populate('promoter_id', 'name verified rating')
+    .lean();
+  const propertiesById = new Map(found.map(property => [property._id, property]));
+
+  if (propertiesById.size < propertyIds.length) {
+    throw new AppError(
+      ERROR_MESSAGES.PROPERTY_NOT_FOUND,
+      404,
+      ERROR_CODES.PROPERTY_NOT_FOUND
+    );
+  }
+
+  // Columns in the order the user picked the listings
+  res.json(successResponse(buildComparison(propertyIds.map(id => propertiesById.get(id)))));
+});
+
 /**
  * Get single property by ID
+ * @route GET /api/v1/properties/:id
  */
-const getProperty = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const property = await Property.findById(id).lean();
-
-    if (!property) {
-      return res.status(404).json({
-        success: false,
-        error: 'Property not found'
-      });
-    }
+const getProperty = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const property = await Property.findById(id).lean();
 
-    res.json({
-      success: true,
-      data: { property }
-    });
-  } catch (error) {
-    console.error('Single property fetch error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
+  if (!property) {
+    throw new AppError(
+      ERROR_MESSAGES.PROPERTY_NOT_FOUND,
+      404,
+      ERROR_CODES.PROPERTY_NOT_FOUND
+    );
+  }
+
+  // View tracking must never break the page
+  const [counted, history] = await Promise.allSettled([
+    recordView(property, req),
+    req.user ? req.user.addToRecentlyViewed(property._id) : null,
+  ]);
+
+  if (counted.value) {
+    property.views = (property.views || 0) + 1;
+  }
+  [counted, history]
+    .filter(result => result.status === 'rejected')
+    .forEach(({ reason }) => {
+      logger.error('Property view tracking failed', { propertyId: id, error: reason.message });
     });
+
+  // Listings added since the last refreshRentalEstimates() are estimated once;
+  // the estimate is a bonus and must not break the page either
+  if (!property.rentalEstimate) {
+    try {
+      property.rentalEstimate = await Property.estimateRent(property);
+    } catch (error) {
+      logger.error('Rental estimate failed', { propertyId: id, error: error.message });
+      property.rentalEstimate = null;
+    }
   }
-};
+
+  res.json(successResponse({ property }));
+});
+
+/**
+ * Get properties similar to a listing, best score first
+ * @route GET /api/v1/properties/:id/similar
+ */
+const getSimilarProperties = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { limit } = req.query;
+
+  const result = await Property.findSimilar(id, limit);
+
+  if (!result) {
+    throw new AppError(
+      ERROR_MESSAGES.PROPERTY_NOT_FOUND,
+      404,
+      ERROR_CODES.PROPERTY_NOT_FOUND
+    );
+  }
+
+  res.json(successResponse({
+    propertyId: result.property._id,
+    properties: result.properties,
+    widenedTo: result.widenedTo,
+  }));
+});
+
+/**
+ * Get daily views of a property
+ * @route GET /api/v1/properties/:id/views
+ */
+const getPropertyViews = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { days } = req.query;
+
+  const property = await Property.findById(id).select('views').lean();
+
+  if (!property) {
+    throw new AppError(
+      ERROR_MESSAGES.PROPERTY_NOT_FOUND,
+      404,
+      ERROR_CODES.PROPERTY_NOT_FOUND
+    );
+  }
+
+  const { total, series } = await PropertyViewStat.dailySeries({ property_id: id }, days);
+
+  res.json(successResponse({
+    propertyId: id,
+    days,
+    totalViews: property.views,
+    periodViews: total,
+    series,
+  }));
+});
+
+/**
+ * Get the price history of a property, oldest change first
+ * @route GET /api/v1/properties/:id/price-history
+ */
+const getPriceHistory = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  const property = await Property.findById(id)
+    .select('price surface pricePerM2 priceHistory created_at')
+    .lean();
+
+  if (!property) {
+    throw new AppError(
+      ERROR_MESSAGES.PROPERTY_NOT_FOUND,
+      404,
+      ERROR_CODES.PROPERTY_NOT_FOUND
+    );
+  }
+
+  // Listings imported before history tracking only know their current price
+  const history = property.priceHistory?.length > 0
+    ? property.priceHistory
+    : [{
+      price: property.price,
+      pricePerM2: calculatePricePerM2(property.price, property.surface),
+      changed_at: property.created_at,
+      source: PRICE_HISTORY.SOURCES.INITIAL,
+    }];
+
+  const prices = history.map(entry => entry.price).filter(price => price > 0);
+
+  res.json(successResponse({
+    propertyId: id,
+    currentPrice: property.price,
+    pricePerM2: property.pricePerM2 ?? calculatePricePerM2(property.price, property.surface),
+    changes: history.length - 1,
+    lowestPrice: prices.length > 0 ? Math.min(...prices) : null,
+    highestPrice: prices.length > 0 ? Math.max(...prices) : null,
+    history,
+  }));
+});
+
+/**
+ * Get the VEFA payment plan of a listing as dated amounts, or as an
+ * iCalendar file of due dates
+ * @route GET /api/v1/properties/:id/payment-plan
+ */
+const getPaymentPlan = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { format } = req.query;
+
+  const property = await Property.findById(id)
+    .select('title url price VEFA_details_id')
+    .lean();
+
+  if (!property) {
+    throw new AppError(
+      ERROR_MESSAGES.PROPERTY_NOT_FOUND,
+      404,
+      ERROR_CODES.PROPERTY_NOT_FOUND
+    );
+  }
+
+  if (!property.VEFA_details_id?.is_vefa) {
+    throw new AppError(
+      ERROR_MESSAGES.PROPERTY_NOT_VEFA,
+      400,
+      ERROR_CODES.PROPERTY_NOT_VEFA
+    );
+  }
+
+  const plan = buildPaymentPlan(property);
+
+  if (format === 'ics') {
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="nestify-echeancier-${id}.ics"`);
+    return res.send(buildPaymentPlanCalendar(property, plan));
+  }
+
+  res.json(successResponse({
+    propertyId: id,
+    ...plan,
+  }));
+});
 
 module.exports = {
   getProperties,
-  getProperty
+  searchPropertiesInArea,
+  replaySearch,
+  getNearbyProperties,
+  getPropertyClusters,
+  getSimilarProperties,
+  getTrendingProperties,
+  compareProperties,
+  getProperty,
+  getPropertyViews,
+  getPriceHistory,
+  getPaymentPlan,
 };
\ No newline at end of file
@@ -0,0 +1,108 @@
+const SavedSearch = require('../models/SavedSearch');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
+const { successResponse, normalizeSearchQuery } = require('../utils/helpers');
+const { ERROR_CODES, ERROR_MESSAGES, SAVED_SEARCHES } = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Load a saved search owned by the current user
+ * @param {object} req - Express request
+ * @returns {object} - SavedSearch instance
+ */
+const findOwnSavedSearch = async (req) => {
+  const savedSearch = await SavedSearch.findOne({
+    where: { id: req.params.id, userId: req.userId },
+  });
+
+  if (!savedSearch) {
+    throw new AppError(
+      ERROR_MESSAGES.SAVED_SEARCH_NOT_FOUND,
+      404,
+      ERROR_CODES.SAVED_SEARCH_NOT_FOUND
+    );
+  }
+
+  return savedSearch;
+};
+
+/**
+ * Get the user's saved searches
+ * @route GET /api/v1/users/saved-searches
+ */
+const getSavedSearches = asyncHandler(async (req, res, next) => {
+  const savedSearches = await SavedSearch.findAll({
+    where: { userId: req.userId },
+    order: [['created_at', 'DESC']],
+  });
+
+  res.json(successResponse({
+    savedSearches,
+    total: savedSearches.length,
+  }));
+});
+
+/**
+ * Save a search
+ * @route POST /api/v1/users/saved-searches
+ */
+const createSavedSearch = asyncHandler(async (req, res, next) => {
+  const { name, filters, alertsEnabled } = req.body;
+
+  const count = await SavedSearch.count({ where: { userId: req.userId } });
+  if (count >= SAVED_SEARCHES.MAX_PER_USER) {
+    throw new AppError(
+      ERROR_MESSAGES.SAVED_SEARCH_LIMIT,
+      400,
+      ERROR_CODES.SAVED_SEARCH_LIMIT
+    );
+  }
+
+  const savedSearch = await SavedSearch.create({
+    userId: req.userId,
+    name,
+    filters: normalizeSearchQuery(filters),
+    alertsEnabled,
+  });
+
+  logger.info('Saved search created', { userId: req.userId, savedSearchId: savedSearch.id });
+
+  res.status(201).json(successResponse({ savedSearch }));
+});
+
+/**
+ * Rename a saved search, change its filters or toggle its alerts
+ * @route PUT /api/v1/users/saved-searches/:id
+ */
+const updateSavedSearch = asyncHandler(async (req, res, next) => {
+  const { name, filters, alertsEnabled } = req.body;
+  const savedSearch = await findOwnSavedSearch(req);
+
+  if (name !== undefined) savedSearch.name = name;
+  if (filters !== undefined) savedSearch.filters = normalizeSearchQuery(filters);
+  if (alertsEnabled !== undefined) savedSearch.alertsEnabled = alertsEnabled;
+
+  await savedSearch.save();
+
+  res.json(successResponse({ savedSearch }));
+});
+
+/**
+ * Delete a saved search (its alerts are deleted with it)
+ * @route DELETE /api/v1/users/saved-searches/:id
+ */
+const deleteSavedSearch = asyncHandler(async (req, res, next) => {
+  const savedSearch = await findOwnSavedSearch(req);
+
+  await savedSearch.destroy();
+
+  logger.info('Saved search deleted', { userId: req.userId, savedSearchId: savedSearch.id });
+
+  res.json(successResponse({ id: savedSearch.id }));
+});
+
+module.exports = {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+};
@@ -0,0 +1,217 @@
+const Property = require('../models/Property');
+const Promoter = require('../models/Promoter');
+const { asyncHandler } = require('../middleware/error.middleware');
+const { successResponse, resolveLanguage } = require('../utils/helpers');
+const { normalizeText, tokenize, accentInsensitivePattern } = require('../utils/textSearch');
+const { sanitizeSearchInput } = require('../utils/validators');
+const logger = require('../utils/logger');
+const { TUNISIA_CITIES, CITY_LABELS_AR } = require('../config/constants');
+
+// Keystroke-level endpoint: fail fast rather than queue up slow queries
+const MAX_QUERY_TIME_MS = 300;
+
+/**
+ * Let a suggestion source that exceeded MAX_QUERY_TIME_MS contribute nothing
+ * instead of failing the whole response
+ * @param {string} source - Source name, for the logs
+ * @param {Promise} suggestions - Pending suggestions of the source
+ * @returns {Promise<array>} - Suggestions, or [] on timeout
+ */
+const unlessTimedOut = (source, suggestions) => Promise.resolve(suggestions).catch((error) => {
+  if (error.codeName !== 'MaxTimeMSExpired' && error.code !== 50) {
+    throw error;
+  }
+  logger.warn('Suggestion source timed out', { source, maxTimeMS: MAX_QUERY_TIME_MS });
+  return [];
+});
+
+/**
+ * Build the keyword match for the text being typed: complete words must match
+ * exactly, the last (partial) word as a prefix. Uses the searchKeywords index.
+ * @param {array} tokens - Normalized tokens of the query
+ * @returns {object} - MongoDB condition on searchKeywords
+ */
+const keywordPrefixMatch = (tokens) => {
+  const complete = tokens.slice(0, -1);
+  const partial = tokens[tokens.length - 1];
+  return {
+    $all: [...complete, new RegExp(`^${sanitizeSearchInput(partial)}`)],
+  };
+};
+
+/**
+ * Cities from TUNISIA_CITIES whose French or Arabic name matches
+ */
+const suggestCities = async (normalized, limit, language) => {
+  const nameMatches = (name) => {
+    const value = normalizeText(name);
+    return value.startsWith(normalized) || value.split(' ').some(word => word.startsWith(normalized));
+  };
+
+  const matches = TUNISIA_CITIES
+    .filter(city => nameMatches(city) || nameMatches(CITY_LABELS_AR[city]))
+    .slice(0, limit);
+
+  if (matches.length === 0) return [];
+
+  // Stored city names may differ in case or accents from the reference list
+  const counts = await Property.aggregate([
+    {
+      $match: {
+        validated: true,
+        'location_id.city': {
+          $in: matches.map(city => new RegExp(`^${accentInsensitivePattern(city)}$`, 'i')),
+        },
+      },
+    },
+    { $group: { _id: '$location_id.city', count: { $sum: 1 } } },
+  ]).option({ maxTimeMS: MAX_QUERY_TIME_MS });
+
+  const countByCity = {};
+  counts.forEach(({ _id, count }) => {
+    const key = normalizeText(_id);
+    countByCity[key] = (countByCity[key] || 0) + count;
+  });
+
+  return matches.map(city => ({
+    type: 'city',
+    value: city,
+    label: language === 'ar' ? CITY_LABELS_AR[city] : city,
+    count: countByCity[normalizeText(city)] || 0,
+  }));
+};
+
+/**
+ * Districts present in location_id.district
+ */
+const suggestDistricts = async (query, tokens, limit) => {
+  const districts = await Property.aggregate([
+    {
+      $match: {
+        validated: true,
+        searchKeywords: keywordPrefixMatch(tokens),
+        'location_id.district': new RegExp(`(^|[\\s-])${accentInsensitivePattern(query)}`, 'i'),
+      },
+    },
+    {
+      $group: {
+        _id: { district: '$location_id.district', city: '$location_id.city' },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { count: -1 } },
+    { $limit: limit },
+  ]).option({ maxTimeMS: MAX_QUERY_TIME_MS });
+
+  return districts.map(({ _id, count }) => ({
+    type: 'district',
+    value: _id.district,
+    label: _id.district,
+    city: _id.city,
+    count,
+  }));
+};
+
+/**
+ * Promoters from the Promoter text index, with a prefix fallback for partial words
+ */
+const suggestPromoters = async (query, limit) => {
+  const promoters = await Promoter.find(
+    { $text: { $search: query } },
+    { name: 1, verified: 1, score: { $meta: 'textScore' } }
+  )
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .maxTimeMS(MAX_QUERY_TIME_MS)
+    .lean();
+
+  if (promoters.length < limit) {
+    const prefixMatches = await Promoter.find({
+      _id: { $nin: promoters.map(p => p._id) },
+      name: new RegExp(`(^|\\s)${accentInsensitivePattern(query)}`, 'i'),
+    })
+      .select('name verified')
+      .limit(limit - promoters.length)
+      .maxTimeMS(MAX_QUERY_TIME_MS)
+      .lean();
+    promoters.push(...prefixMatches);
+  }
+
+  if (promoters.length === 0) return [];
+
+  const counts = await Property.aggregate([
+    { $match: { validated: true, promoter_id: { $in: promoters.map(p => p._id) } } },
+    { $group: { _id: '$promoter_id', count: { $sum: 1 } } },
+  ]).option({ maxTimeMS: MAX_QUERY_TIME_MS });
+
+  const countByPromoter = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+
+  return promoters.map(promoter => ({
+    type: 'promoter',
+    value: promoter._id,
+    label: promoter.name,
+    verified: promoter.verified,
+    count: countByPromoter.get(String(promoter._id)) || 0,
+  }));
+};
+
+/**
+ * Listing titles whose keywords match what is being typed
+ */
+const suggestTitles = async (tokens, limit) => {
+  const titles = await Property.aggregate([
+    { $match: { validated: true, searchKeywords: keywordPrefixMatch(tokens) } },
+    { $sort: { views: -1 } },
+    { $limit: 200 },
+    {
+      $group: {
+        _id: '$title',
+        count: { $sum: 1 },
+        propertyId: { $first: '$_id' },
+      },
+    },
+    { $sort: { count: -1 } },
+    { $limit: limit },
+  ]).option({ maxTimeMS: MAX_QUERY_TIME_MS });
+
+  return titles.map(({ _id, count, propertyId }) => ({
+    type: 'title',
+    value: _id,
+    label: _id,
+    count,
+    ...(count === 1 && { propertyId }),
+  }));
+};
+
+/**
+ * Autocomplete suggestions for the search bar
+ * @route GET /api/v1/search/suggest
+ */
+const suggest = asyncHandler(async (req, res, next) => {
+  const { q, limit } = req.query;
+  const language = resolveLanguage(req);
+  const normalized = normalizeText(q);
+  const tokens = tokenize(q);
+
+  // Stop words or punctuation only: nothing to look up in the indexes
+  const indexed = tokens.length > 0;
+
+  const [cities, districts, promoters, titles] = await Promise.all([
+    unlessTimedOut('cities', suggestCities(normalized, limit, language)),
+    indexed ? unlessTimedOut('districts', suggestDistricts(q, tokens, limit)) : [],
+    unlessTimedOut('promoters', suggestPromoters(q, limit)),
+    indexed ? unlessTimedOut('titles', suggestTitles(tokens, limit)) : [],
+  ]);
+
+  // Labels depend on the user's language, so only the browser may cache
+  res.set('Cache-Control', 'private, max-age=60');
+  res.json(successResponse({
+    query: q,
+    language,
+    suggestions: [...cities, ...districts, ...promoters, ...titles],
+  }));
+});
+
+module.exports = {
+  suggest,
+};
@@ -1,8 +1,15 @@
 const User = require('../models/User');
+const UserFavorite = require('../models/UserFavorite');
 const { asyncHandler, AppError } = require('../middleware/error.middleware');
 const { successResponse } = require('../utils/helpers');
 const { formatTunisianPhone } = require('../utils/validators');
-const { ERROR_CODES, ERROR_MESSAGES, SUCCESS_MESSAGES } = require('../config/constants');
+const { accentInsensitivePattern } = require('../utils/textSearch');
+const {
+  buildUserProfile, getTargetValues, scoreRecommendation, diversify,
+} = require('../utils/recommendations');
+const {
+  ERROR_CODES, ERROR_MESSAGES, SUCCESS_MESSAGES, RECOMMENDATIONS,
+} = require('../config/constants');
 const logger = require('../utils/logger');
 
 /**
@@ -20,15 +27,26 @@ const getProfile = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Get favorite properties from MongoDB
+  // Get the latest favorite properties from MongoDB
+  const favorites = await UserFavorite.findAll({
+    where: { userId: user.id },
+    attributes: ['propertyId'],
+    order: [['created_at', 'DESC']],
+    limit: 10,
+  });
   const Property = require('../models/Property');
-  const favoriteProperties = await Property.find({
-    _id: { $in: user.favorites || [] }
+  const properties = await Property.find({
+    _id: { $in: favorites.map(favorite => favorite.propertyId) }
   })
     .select('title price surface location_id.city images type')
-    .limit(10)
     .lean();
 
+  // $in does not keep the order of the ids: list the most recent favorites first
+  const propertiesById = new Map(properties.map(property => [property._id, property]));
+  const favoriteProperties = favorites
+    .filter(favorite => propertiesById.has(favorite.propertyId))
+    .map(favorite => propertiesById.get(favorite.propertyId));
+
   res.json(successResponse({
     user: {
       ...user.toJSON(),
@@ -84,7 +102,7 @@ const updateProfile = asyncHandler(async (req, res, next) => {
 const updatePreferences = asyncHandler(async (req, res, next) => {
   const {
     cities, propertyTypes, budgetMin, budgetMax,
-    surfaceMin, surfaceMax,
+    surfaceMin, surfaceMax, features,
   } = req.body;
 
   // Find user
@@ -108,6 +126,7 @@ const updatePreferences = asyncHandler(async (req, res, next) => {
     ...(budgetMax !== undefined && { budgetMax }),
     ...(surfaceMin !== undefined && { surfaceMin }),
     ...(surfaceMax !== undefined && { surfaceMax }),
+    ...(features && { features }),
   };
 
   // Save user
@@ -129,9 +148,7 @@ const updatePreferences = asyncHandler(async (req, res, next) => {
  * @route GET /api/v1/users/stats
  */
 const getUserStats = asyncHandler(async (req, res, next) => {
-  const user = await User.findById(req.userId)
-    .populate('favorites', 'price surface type location_id.city')
-    .lean();
+  const user = await User.findByPk(req.userId);
 
   if (!user) {
     throw new AppError(
@@ -141,23 +158,33 @@ const getUserStats = asyncHandler(async (req, res, next) => {
     );
   }
 
+  const favoriteIds = (await UserFavorite.findAll({
+    where: { userId: user.id },
+    attributes: ['propertyId'],
+  })).map(favorite => favorite.propertyId);
+
+  const Property = require('../models/Property');
+  const favorites = await Property.find({ _id: { $in: favoriteIds } })
+    .select('price surface type location_id.city')
+    .lean();
+
   // Calculate statistics
   const stats = {
-    totalFavorites: user.favorites.length,
+    totalFavorites: favoriteIds.length,
     accountAge: Math.floor((Date.now() - new Date(user.createdAt)) / (1000 * 60 * 60 * 24)), // Days
     lastLogin: user.lastLogin,
   };
 
   // Favorite properties statistics
-  if (user.favorites.length > 0) {
-    const prices = user.favorites.map(f => f.price).filter(p => p > 0);
-    const surfaces = user.favorites.map(f => f.surface).filter(s => s > 0);
+  if (favorites.length > 0) {
+    const prices = favorites.map(f => f.price).filter(p => p > 0);
+    const surfaces = favorites.map(f => f.surface).filter(s => s > 0);
     
     stats.favorites = {
       avgPrice: prices.length > 0 ? Math.round(prices.reduce((a, b) => a + b, 0) / prices.length) : 0,
       avgSurface: surfaces.length > 0 ? Math.round(surfaces.reduce((a, b) => a + b, 0) / surfaces.length) : 0,
-      cities: [...new Set(user.favorites.map(f => f.location_id?.city).filter(Boolean))],
-      types: [...new Set(user.favorites.map(f => f.type).filter(Boolean))],
+      cities: [...new Set(favorites.map(f => f.location_id?.city).filter(Boolean))],
+      types: [...new Set(favorites.map(f => f.type).filter(Boolean))],
     };
   }
 
@@ -278,6 +305,233 @@ const changePassword = asyncHandler(async (req, res, next) => {
   }));
 });
 
+/**
+ * Get recently viewed properties, most recent first
+ * @route GET /api/v1/users/recently-viewed
+ */
+const getRecentlyViewed = asyncHandler(async (req, res, next) => {
+  const user = await User.findByPk(req.userId);
+
+  if (!user) {
+    throw new AppError(
+      ERROR_MESSAGES.USER_NOT_FOUND,
+      404,
+      ERROR_CODES.USER_NOT_FOUND
+    );
+  }
+
+  const history = user.recentlyViewed || [];
+
+  const Property = require('../models/Property');
+  const properties = await Property.find({
+    _id: { $in: history.map(item => item.propertyId) },
+    validated: true,
+  })
+    .populate('promoter_id', 'name verified')
+    .lean();
+
+  const propertiesById = new Map(properties.map(property => [property._id, property]));
+  const available = history.filter(item => propertiesById.has(item.propertyId));
+
+  // Forget listings that were removed or unpublished
+  if (available.length < history.length) {
+    user.recentlyViewed = available;
+    await user.save();
+  }
+
+  res.json(successResponse({
+    properties: available.map(item => ({
+      ...propertiesById.get(item.propertyId),
+      viewedAt: item.viewedAt,
+    })),
+    total: available.length,
+  }));
+});
+
+/**
+ * Clear recently viewed properties
+ * @route DELETE /api/v1/users/recently-viewed
+ */
+const clearRecentlyViewed = asyncHandler(async (req, res, next) => {
+  const user = await User.findByPk(req.userId);
+
+  if (!user) {
+    throw new AppError(
+      ERROR_MESSAGES.USER_NOT_FOUND,
+      404,
+      ERROR_CODES.USER_NOT_FOUND
+    );
+  }
+
+  user.recentlyViewed = [];
+  await user.save();
+
+  logger.info('Recently viewed history cleared', { userId: user.id });
+
+  res.json(successResponse({
+    properties: [],
+    total: 0,
+  }));
+});
+
+/**
+ * Get search history, most recent first
+ * @route GET /api/v1/users/search-history
+ */
+const getSearchHistory = asyncHandler(async (req, res, next) => {
+  const user = await User.findByPk(req.userId);
+
+  if (!user) {
+    throw new AppError(
+      ERROR_MESSAGES.USER_NOT_FOUND,
+      404,
+      ERROR_CODES.USER_NOT_FOUND
+    );
+  }
+
+  const history = user.searchHistory || [];
+
+  res.json(successResponse({
+    searches: history,
+    total: history.length,
+  }));
+});
+
+/**
+ * Delete one search from the history
+ * @route DELETE /api/v1/users/search-history/:id
+ */
+const deleteSearchHistoryEntry = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const user = await User.findByPk(req.userId);
+
+  if (!user) {
+    throw new AppError(
+      ERROR_MESSAGES.USER_NOT_FOUND,
+      404,
+      ERROR_CODES.USER_NOT_FOUND
+    );
+  }
+
+  if (!(user.searchHistory || []).some(item => item.id === id)) {
+    throw new AppError(
+      ERROR_MESSAGES.SEARCH_NOT_FOUND,
+      404,
+      ERROR_CODES.SEARCH_NOT_FOUND
+    );
+  }
+
+  await user.removeFromSearchHistory(id);
+
+  res.json(successResponse({
+    searches: user.searchHistory,
+    total: user.searchHistory.length,
+  }));
+});
+
+/**
+ * Clear search history
+ * @route DELETE /api/v1/users/search-history
+ */
+const clearSearchHistory = asyncHandler(async (req, res, next) => {
+  const user = await User.findByPk(req.userId);
+
+  if (!user) {
+    throw new AppError(
+      ERROR_MESSAGES.USER_NOT_FOUND,
+      404,
+      ERROR_CODES.USER_NOT_FOUND
+    );
+  }
+
+  user.searchHistory = [];
+  await user.save();
+
+  logger.info('Search history cleared', { userId: user.id });
+
+  res.json(successResponse({
+    searches: [],
+    total: 0,
+  }));
+});
+
+/**
+ * Get listings recommended from the user's preferences, favorites, recently
+ * viewed listings and searches, spread across promoters
+ * @route GET /api/v1/users/recommendations
+ */
+const getRecommendations = asyncHandler(async (req, res, next) => {
+  const { limit } = req.query;
+  const user = await User.findByPk(req.userId);
+
+  if (!user) {
+    throw new AppError(
+      ERROR_MESSAGES.USER_NOT_FOUND,
+      404,
+      ERROR_CODES.USER_NOT_FOUND
+    );
+  }
+
+  const Property = require('../models/Property');
+  const favoriteIds = (await UserFavorite.findAll({
+    where: { userId: user.id },
+    attributes: ['propertyId'],
+    order: [['created_at', 'DESC']],
+  })).map(favorite => favorite.propertyId);
+  const viewedIds = (user.recentlyViewed || [])
+    .slice(0, RECOMMENDATIONS.RECENT_SIGNALS)
+    .map(item => item.propertyId)
+    .filter(id => !favoriteIds.includes(id));
+
+  const signalProperties = await Property.find({ _id: { $in: [...favoriteIds, ...viewedIds] } })
+    .select('type price surface location_id.city apartment_details_id.features')
+    .lean();
+  const propertiesById = new Map(signalProperties.map(property => [property._id, property]));
+  const toProperties = ids => ids.map(id => propertiesById.get(id)).filter(Boolean);
+
+  const profile = buildUserProfile(user.preferences, {
+    favorites: toProperties(favoriteIds),
+    recentlyViewed: toProperties(viewedIds),
+    searches: (user.searchHistory || [])
+      .slice(0, RECOMMENDATIONS.RECENT_SIGNALS)
+      .map(entry => entry.query),
+  });
+
+  // Candidates share a city or a type with the profile; already seen listings are left out
+  const toPatterns = values => values.map(value => new RegExp(`^${accentInsensitivePattern(value)}$`, 'i'));
+  const cities = getTargetValues(profile, 'cities');
+  const types = getTargetValues(profile, 'types');
+  const scope = [
+    ...(cities.length > 0 ? [{ 'location_id.city': { $in: toPatterns(cities) } }] : []),
+    ...(types.length > 0 ? [{ type: { $in: toPatterns(types) } }] : []),
+  ];
+
+  const query = {
+    _id: { $nin: [...favoriteIds, ...viewedIds] },
+    validated: true,
+  };
+  if (scope.length > 0) query.$or = scope;
+
+  // Without any signal, start from the most popular listings
+  const candidates = await Property.find(query)
+    .sort(scope.length > 0 ? '-created_at' : '-views')
+    .limit(RECOMMENDATIONS.CANDIDATE_POOL)
+    .populate('promoter_id', 'name verified')
+    .lean();
+
+  const scored = candidates
+    .map(property => ({ ...property, recommendation: scoreRecommendation(profile, property) }))
+    .sort((a, b) => b.recommendation.score - a.recommendation.score || b.views - a.views);
+
+  const properties = diversify(scored, limit);
+
+  res.json(successResponse({
+    properties,
+    total: properties.length,
+    basedOn: profile.signals,
+  }));
+});
+
 module.exports = {
   getProfile,
   updateProfile,
@@ -285,4 +539,10 @@ module.exports = {
   getUserStats,
   deleteAccount,
   changePassword,
+  getRecentlyViewed,
+  clearRecentlyViewed,
+  getSearchHistory,
+  deleteSearchHistoryEntry,
+  clearSearchHistory,
+  getRecommendations,
 };
\ No newline at end of file
@@ -109,4 +109,22 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { authMiddleware, optionalAuth };
\ No newline at end of file
+/**
+ * Restrict a route to some roles; use after authMiddleware
+ * @param {...string} roles - USER_ROLES values
+ * @returns {function} - Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: ERROR_CODES.AUTH_FORBIDDEN,
+        message: ERROR_MESSAGES.FORBIDDEN,
+      },
+    });
+  }
+  next();
+};
+
+module.exports = { authMiddleware, optionalAuth, requireRole };
\ No newline at end of file
@@ -1,5 +1,13 @@
 const Joi = require('joi');
-const { ERROR_CODES, ERROR_MESSAGES, VALIDATION } = require('../config/constants');
+const {
+  ERROR_CODES, ERROR_MESSAGES, VALIDATION, PROPERTY_TYPES, GEO_SEARCH, MAP_CLUSTERS,
+  SIMILAR_PROPERTIES, VIEW_TRACKING, TRENDING, RECOMMENDATIONS, PROPERTY_FEATURES, FAVORITES,
+  COMPARISON, VEFA_STATUS, CONSTRUCTION_UPDATES,
+} = require('../config/constants');
+const financeConfig = require('../config/finance');
+const { parseBbox, validateSearchArea } = require('../utils/geo');
+const { deliveryDateBound } = require('../utils/deliveryDate');
+const { decodeCursor } = require('../utils/helpers');
 
 // Custom Joi validators
 const tunisianPhone = Joi.string().pattern(VALIDATION.PHONE_REGEX).messages({
@@ -13,6 +21,93 @@ const password = Joi.string()
     'string.min': `Le mot de passe doit contenir au moins ${VALIDATION.MIN_PASSWORD_LENGTH} caractères`,
   });
 
+// Bounding box "minLng,minLat,maxLng,maxLat", converted to an array of numbers
+const bbox = Joi.string().custom((value, helpers) => {
+  const parsed = parseBbox(value);
+  if (!parsed) {
+    return helpers.message('La zone doit être au format minLng,minLat,maxLng,maxLat');
+  }
+  const [minLng, minLat, maxLng, maxLat] = parsed;
+  if (maxLng - minLng > GEO_SEARCH.MAX_BBOX_SPAN_DEG || maxLat - minLat > GEO_SEARCH.MAX_BBOX_SPAN_DEG) {
+    return helpers.message('La zone demandée est trop grande');
+  }
+  return parsed;
+});
+
+// GeoJSON Polygon / MultiPolygon drawn on the map
+const searchArea = Joi.object({
+  type: Joi.string().valid('Polygon', 'MultiPolygon').required(),
+  coordinates: Joi.array().min(1).required(),
+}).custom((value, helpers) => {
+  const problem = validateSearchArea(value);
+  return problem ? helpers.message(problem) : value;
+});
+
+// Delivery date bound: ISO day or a period as written in listings ("T2 2026", "avril 2025")
+const deliveryDateFilter = Joi.string().trim().max(50).custom((value, helpers) => {
+  return deliveryDateBound(value, 'after') ? value : helpers.message('Date de livraison invalide');
+});
+
+// Filters understood by Property.search()
+const propertyFilters = {
+  city: Joi.string(),
+  type: Joi.string().valid(...Object.values(PROPERTY_TYPES)),
+  priceMin: Joi.number().min(0),
+  priceMax: Joi.number().min(0),
+  surfaceMin: Joi.number().min(0),
+  surfaceMax: Joi.number().min(0),
+  rooms: Joi.number().integer().min(1),
+  features: Joi.alternatives().try(
+    Joi.array().items(Joi.string()),
+    Joi.string()
+  ),
+  yieldMin: Joi.number().min(0).max(100),
+  isVefa: Joi.boolean(),
+  deliveryDateBefore: deliveryDateFilter,
+  deliveryDateAfter: deliveryDateFilter,
+};
+
+// Free-text query; results default to relevance order when present
+const textQuery = {
+  q: Joi.string().trim().min(2).max(100),
+};
+
+const propertySort = Joi.string()
+  .valid('relevance', 'newest', 'price_asc', 'price_desc', 'surface_asc', 'surface_desc', 'views', 'yield_desc', 'yield_asc')
+  .when('q', {
+    is: Joi.exist(),
+    then: Joi.any().default('relevance'),
+    otherwise: Joi.any().default('newest'),
+  });
+
+// Opaque cursor returned as pagination.nextCursor by a previous page
+const cursor = Joi.string().max(500).custom((value, helpers) => {
+  return decodeCursor(value) ? value : helpers.message('Curseur de pagination invalide');
+});
+
+// Favorite note and tags; tags are trimmed and lowercased so filters match
+const favoriteNote = Joi.string().trim().allow('').max(FAVORITES.MAX_NOTE_LENGTH).messages({
+  'string.max': `La note ne peut pas dépasser ${FAVORITES.MAX_NOTE_LENGTH} caractères`,
+});
+const favoriteTag = Joi.string().trim().lowercase().min(1).max(FAVORITES.MAX_TAG_LENGTH);
+const favoriteTags = Joi.array().items(favoriteTag).unique().max(FAVORITES.MAX_TAGS).messages({
+  'array.max': `Un favori ne peut pas avoir plus de ${FAVORITES.MAX_TAGS} étiquettes`,
+});
+
+const pagination = {
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  after: cursor,
+};
+
+// Text relevance scores cannot be encoded in a cursor
+const noCursorWithRelevance = (value, helpers) => {
+  if (value.after && value.sort === 'relevance') {
+    return helpers.message('La pagination par curseur nécessite un tri autre que la pertinence');
+  }
+  return value;
+};
+
 // Validation schemas
 const validationSchemas = {
   // Auth validation
@@ -53,6 +148,7 @@ const validationSchemas = {
     budgetMax: Joi.number().min(0),
     surfaceMin: Joi.number().min(0),
     surfaceMax: Joi.number().min(0),
+    features: Joi.array().items(Joi.string().valid(...PROPERTY_FEATURES)).unique(),
   }).custom((value, helpers) => {
     if (value.budgetMin && value.budgetMax && value.budgetMin > value.budgetMax) {
       return helpers.error('Le budget minimum ne peut pas être supérieur au budget maximum');
@@ -65,22 +161,203 @@ const validationSchemas = {
 
   // Property validation
   propertySearch: Joi.object({
-    city: Joi.string(),
-    type: Joi.string(),
-    priceMin: Joi.number().min(0),
-    priceMax: Joi.number().min(0),
-    surfaceMin: Joi.number().min(0),
-    surfaceMax: Joi.number().min(0),
-    rooms: Joi.number().integer().min(1),
-    features: Joi.alternatives().try(
-      Joi.array().items(Joi.string()),
-      Joi.string()
-    ),
-    isVefa: Joi.boolean(),
-    deliveryDateBefore: Joi.string(),
-    sort: Joi.string().valid('newest', 'price_asc', 'price_desc', 'surface_asc', 'surface_desc', 'views'),
-    page: Joi.number().integer().min(1).default(1),
-    limit: Joi.number().integer().min(1).max(100).default(20),
+    ...propertyFilters,
+    ...textQuery,
+    sort: propertySort,
+    facets: Joi.boolean().default(false),
+    ...pagination,
+  }).custom(noCursorWithRelevance),
+
+  propertyAreaSearch: Joi.object({
+    ...propertyFilters,
+    ...textQuery,
+    area: searchArea.required(),
+    sort: propertySort,
+    facets: Joi.boolean().default(false),
+    ...pagination,
+  }).custom(noCursorWithRelevance),
+
+  // Either a point and radius, or a map viewport (bbox)
+  propertyNearby: Joi.object({
+    ...propertyFilters,
+    lat: Joi.number().min(-90).max(90),
+    lng: Joi.number().min(-180).max(180),
+    radiusKm: Joi.number().positive().max(GEO_SEARCH.MAX_RADIUS_KM).default(GEO_SEARCH.DEFAULT_RADIUS_KM),
+    bbox,
+    page: pagination.page,
+    limit: pagination.limit,
+  }).and('lat', 'lng').or('lat', 'bbox'),
+
+  propertyClusters: Joi.object({
+    ...propertyFilters,
+    ...textQuery,
+    bbox: bbox.required(),
+    zoom: Joi.number().integer().min(0).max(MAP_CLUSTERS.MAX_ZOOM).required(),
+  }),
+
+  propertySimilar: Joi.object({
+    limit: Joi.number().integer().min(1).max(SIMILAR_PROPERTIES.MAX_LIMIT).default(SIMILAR_PROPERTIES.DEFAULT_LIMIT),
+  }),
+
+  paymentPlan: Joi.object({
+    format: Joi.string().valid('json', 'ics').default('json'),
+  }),
+
+  propertyCompare: Joi.object({
+    propertyIds: Joi.array().items(Joi.string().trim())
+      .min(COMPARISON.MIN_PROPERTIES).max(COMPARISON.MAX_PROPERTIES).unique().required()
+      .messages({
+        'any.required': 'Liste des IDs de propriétés requise',
+        'array.min': `Sélectionnez au moins ${COMPARISON.MIN_PROPERTIES} propriétés à comparer`,
+        'array.max': `Vous pouvez comparer au maximum ${COMPARISON.MAX_PROPERTIES} propriétés`,
+        'array.unique': 'Chaque propriété ne peut être comparée qu\'une fois',
+      }),
+  }),
+
+  propertyTrending: Joi.object({
+    window: Joi.string().valid(...Object.keys(TRENDING.WINDOWS)).default(TRENDING.DEFAULT_WINDOW),
+    city: Joi.string().trim().max(100),
+    type: Joi.string().valid(...Object.values(PROPERTY_TYPES)),
+    limit: Joi.number().integer().min(1).max(TRENDING.MAX_LIMIT).default(TRENDING.DEFAULT_LIMIT),
+  }),
+
+  recommendations: Joi.object({
+    limit: Joi.number().integer().min(1).max(RECOMMENDATIONS.MAX_LIMIT).default(RECOMMENDATIONS.DEFAULT_LIMIT),
+  }),
+
+  constructionUpdate: Joi.object({
+    status: Joi.string().valid(...Object.values(VEFA_STATUS)),
+    percentage: Joi.number().min(0).max(100),
+    photos: Joi.array().items(Joi.string().uri({ scheme: ['http', 'https'] }))
+      .max(CONSTRUCTION_UPDATES.MAX_PHOTOS),
+    comment: Joi.string().trim().max(CONSTRUCTION_UPDATES.MAX_COMMENT_LENGTH),
+    reportedAt: Joi.date().iso().max('now').messages({
+      'date.max': 'La date de l\'avancement ne peut pas être dans le futur',
+    }),
+  }).or('status', 'percentage', 'photos', 'comment').messages({
+    'object.missing': 'Indiquez au moins un statut, un pourcentage, des photos ou un commentaire',
+  }),
+
+  constructionTimeline: Joi.object({
+    page: pagination.page,
+    limit: Joi.number().integer().min(1).max(CONSTRUCTION_UPDATES.MAX_LIMIT).default(CONSTRUCTION_UPDATES.DEFAULT_LIMIT),
+  }),
+
+  viewStats: Joi.object({
+    days: Joi.number().integer().min(1).max(VIEW_TRACKING.MAX_STATS_DAYS).default(VIEW_TRACKING.DEFAULT_STATS_DAYS),
+  }),
+
+  // Finance validation
+  financeSimulate: Joi.object({
+    propertyId: Joi.string(),
+    price: Joi.number().positive(),
+    downPayment: Joi.number().min(0),
+    downPaymentPercent: Joi.number().min(0).max(100),
+    annualRate: Joi.number().min(0).max(financeConfig.limits.maxAnnualRate),
+    durationYears: Joi.number().integer().min(1).max(financeConfig.limits.maxDurationYears),
+    preset: Joi.string().valid(...Object.keys(financeConfig.presets)),
+    monthlyIncome: Joi.number().positive(),
+    monthlyDebts: Joi.number().min(0).default(0),
+    amortization: Joi.string().valid('monthly', 'yearly').default('monthly'),
+  }).xor('propertyId', 'price').oxor('downPayment', 'downPaymentPercent').messages({
+    'object.missing': 'Indiquez une propriété ou un prix',
+    'object.xor': 'Indiquez une propriété ou un prix, pas les deux',
+    'object.oxor': 'Indiquez l\'apport en dinars ou en pourcentage, pas les deux',
+  }),
+
+  // Promoter validation
+  promoterProperties: Joi.object({
+    ...pagination,
+  }),
+
+  // Favorites validation
+  favoriteList: Joi.object({
+    ...pagination,
+    tag: favoriteTag,
+    collectionId: Joi.string().guid(),
+  }),
+
+  favoriteAdd: Joi.object({
+    note: favoriteNote,
+    tags: favoriteTags,
+  }),
+
+  favoriteUpdate: Joi.object({
+    note: favoriteNote,
+    tags: favoriteTags,
+  }).min(1),
+
+  favoriteExport: Joi.object({
+    format: Joi.string().valid('json', 'csv', 'pdf').default('json'),
+  }),
+
+  favoriteCheck: Joi.object({
+    propertyIds: Joi.array().items(Joi.string()).min(1).max(FAVORITES.MAX_CHECK_IDS).required().messages({
+      'any.required': 'Liste des IDs de propriétés requise',
+      'array.min': 'Liste des IDs de propriétés requise',
+    }),
+  }),
+
+  favoritePropertyId: Joi.object({
+    propertyId: Joi.string().required(),
+  }),
+
+  // Collections validation
+  collectionName: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required().messages({
+      'any.required': 'Le nom de la collection est obligatoire',
+      'string.empty': 'Le nom de la collection est obligatoire',
+      'string.max': 'Le nom de la collection ne peut pas dépasser 100 caractères',
+    }),
+  }),
+
+  collectionPage: Joi.object({
+    page: pagination.page,
+    limit: pagination.limit,
+  }),
+
+  collectionProperties: Joi.object({
+    propertyIds: Joi.array().items(Joi.string()).min(1).max(FAVORITES.MAX_CHECK_IDS).unique().required(),
+  }),
+
+  collectionProperty: Joi.object({
+    id: Joi.string().guid().required().messages({
+      'string.guid': 'Identifiant invalide',
+    }),
+    propertyId: Joi.string().required(),
+  }),
+
+  shareToken: Joi.object({
+    token: Joi.string().pattern(/^[A-Za-z0-9_-]{16,64}$/).required().messages({
+      'string.pattern.base': 'Lien de partage invalide',
+    }),
+  }),
+
+  savedSearchCreate: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    filters: Joi.object(propertyFilters).min(1).required().messages({
+      'object.min': 'La recherche doit contenir au moins un critère',
+    }),
+    alertsEnabled: Joi.boolean().default(true),
+  }),
+
+  savedSearchUpdate: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    filters: Joi.object(propertyFilters).min(1).messages({
+      'object.min': 'La recherche doit contenir au moins un critère',
+    }),
+    alertsEnabled: Joi.boolean(),
+  }).min(1),
+
+  searchHistoryReplay: Joi.object({
+    ...pagination,
+  }),
+
+  // Search validation
+  searchSuggest: Joi.object({
+    q: Joi.string().trim().min(1).max(100).required(),
+    lang: Joi.string().valid('fr', 'ar'),
+    limit: Joi.number().integer().min(1).max(10).default(5),
   }),
 
   // ID validation
@@ -93,19 +370,23 @@ const validationSchemas = {
   propertyId: Joi.object({
     id: Joi.string().required(),
   }),
+
+  uuidId: Joi.object({
+    id: Joi.string().guid().required().messages({
+      'string.guid': 'Identifiant invalide',
+    }),
+  }),
 };
 
 // Validation middleware factory
-const validate = (schema) => {
+// `source` selects the request part to validate (params, query or body);
+// it defaults to the query for GET requests and the body otherwise.
+const validate = (schema, source = null) => {
   return (req, res, next) => {
-    const validationSource = {
-      body: req.body,
-      query: req.query,
-      params: req.params,
-    };
+    const target = source || (req.method === 'GET' ? 'query' : 'body');
 
     const { error, value } = schema.validate(
-      schema._ids ? req.params : (req.method === 'GET' ? req.query : req.body),
+      req[target],
       {
         abortEarly: false,
         stripUnknown: true,
@@ -129,13 +410,7 @@ const validate = (schema) => {
     }
 
     // Replace request data with validated data
-    if (schema._ids) {
-      req.params = value;
-    } else if (req.method === 'GET') {
-      req.query = value;
-    } else {
-      req.body = value;
-    }
+    req[target] = value;
 
     next();
   };
@@ -151,11 +426,48 @@ module.exports = {
   // User validations
   validateUpdateProfile: validate(validationSchemas.updateProfile),
   validateUpdatePreferences: validate(validationSchemas.updatePreferences),
+  validateRecommendations: validate(validationSchemas.recommendations),
   
   // Property validations
   validatePropertySearch: validate(validationSchemas.propertySearch),
-  validatePropertyId: validate(validationSchemas.propertyId),
+  validatePropertyNearby: validate(validationSchemas.propertyNearby),
+  validatePropertyAreaSearch: validate(validationSchemas.propertyAreaSearch),
+  validatePropertyClusters: validate(validationSchemas.propertyClusters),
+  validatePropertySimilar: validate(validationSchemas.propertySimilar),
+  validatePropertyTrending: validate(validationSchemas.propertyTrending),
+  validatePropertyCompare: validate(validationSchemas.propertyCompare),
+  validatePaymentPlan: validate(validationSchemas.paymentPlan),
+  validateViewStats: validate(validationSchemas.viewStats),
+  validateConstructionUpdate: validate(validationSchemas.constructionUpdate),
+  validateConstructionTimeline: validate(validationSchemas.constructionTimeline),
+  validatePropertyId: validate(validationSchemas.propertyId, 'params'),
+  
+  // Finance validations
+  validateFinanceSimulate: validate(validationSchemas.financeSimulate),
+
+  // Promoter validations
+  validatePromoterProperties: validate(validationSchemas.promoterProperties),
+  
+  // Favorites validations
+  validateFavoriteList: validate(validationSchemas.favoriteList),
+  validateFavoriteAdd: validate(validationSchemas.favoriteAdd),
+  validateFavoriteUpdate: validate(validationSchemas.favoriteUpdate),
+  validateFavoriteCheck: validate(validationSchemas.favoriteCheck),
+  validateFavoriteExport: validate(validationSchemas.favoriteExport),
+  validateFavoritePropertyId: validate(validationSchemas.favoritePropertyId, 'params'),
+  validateCollectionName: validate(validationSchemas.collectionName),
+  validateCollectionPage: validate(validationSchemas.collectionPage),
+  validateCollectionProperties: validate(validationSchemas.collectionProperties),
+  validateCollectionProperty: validate(validationSchemas.collectionProperty, 'params'),
+  validateShareToken: validate(validationSchemas.shareToken, 'params'),
+  
+  // Search validations
+  validateSearchSuggest: validate(validationSchemas.searchSuggest),
+  validateSearchHistoryReplay: validate(validationSchemas.searchHistoryReplay),
+  validateSavedSearchCreate: validate(validationSchemas.savedSearchCreate),
+  validateSavedSearchUpdate: validate(validationSchemas.savedSearchUpdate),
   
   // ID validations
-  validateMongoId: validate(validationSchemas.mongoId),
+  validateMongoId: validate(validationSchemas.mongoId, 'params'),
+  validateUuidId: validate(validationSchemas.uuidId, 'params'),
 };
\ No newline at end of file
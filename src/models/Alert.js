@@ -0,0 +1,75 @@
+// src/models/Alert.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/postgres');
+const User = require('./User');
+const SavedSearch = require('./SavedSearch');
+const { ALERTS } = require('../config/constants');
+
+// One alert per saved search and matching property, whatever the delivery outcome
+const Alert = sequelize.define('Alert', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  savedSearchId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'saved_searches',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  propertyId: {
+    type: DataTypes.STRING, // MongoDB property _id
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      isIn: [Object.values(ALERTS.TYPES)]
+    }
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: ALERTS.STATUS.PENDING,
+    validate: {
+      isIn: [Object.values(ALERTS.STATUS)]
+    }
+  },
+  // Listing snapshot for the notification (title, price, city, ...)
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  sentAt: {
+    type: DataTypes.DATE
+  },
+  error: {
+    type: DataTypes.TEXT
+  }
+}, {
+  tableName: 'alerts',
+  indexes: [
+    { fields: ['saved_search_id', 'property_id', 'type'], unique: true },
+    { fields: ['user_id', 'created_at'] },
+    { fields: ['status'] }
+  ]
+});
+
+Alert.belongsTo(User, { foreignKey: 'userId', as: 'user', onDelete: 'CASCADE' });
+Alert.belongsTo(SavedSearch, { foreignKey: 'savedSearchId', as: 'savedSearch', onDelete: 'CASCADE' });
+
+module.exports = Alert;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { VEFA_STATUS, CONSTRUCTION_UPDATES } = require('../config/constants');
+
+// Dated progress report posted by the promoter of a VEFA listing
+const constructionUpdateSchema = new mongoose.Schema({
+  property_id: {
+    type: String,
+    ref: 'Property',
+    required: true,
+  },
+  promoter_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promoter',
+    required: true,
+  },
+  // Status reported by this update and the one the listing had before
+  status: {
+    type: String,
+    enum: Object.values(VEFA_STATUS),
+  },
+  previous_status: {
+    type: String,
+    enum: Object.values(VEFA_STATUS),
+  },
+  percentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+  },
+  photos: {
+    type: [{
+      type: String,
+      validate: {
+        validator: function(v) {
+          return /^https?:\/\/.+/.test(v);
+        },
+        message: 'Invalid photo URL',
+      },
+    }],
+    validate: {
+      validator: photos => photos.length <= CONSTRUCTION_UPDATES.MAX_PHOTOS,
+      message: 'Too many photos',
+    },
+  },
+  comment: {
+    type: String,
+    maxlength: CONSTRUCTION_UPDATES.MAX_COMMENT_LENGTH,
+  },
+  // Date of the site visit, may be earlier than the posting date
+  reported_at: {
+    type: Date,
+    required: true,
+  },
+  posted_by: {
+    type: String, // PostgreSQL user id
+    required: true,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  versionKey: false,
+});
+
+// Indexes
+constructionUpdateSchema.index({ property_id: 1, reported_at: -1, _id: -1 });
+
+const ConstructionUpdate = mongoose.model('ConstructionUpdate', constructionUpdateSchema, 'construction_updates');
+
+module.exports = ConstructionUpdate;
@@ -0,0 +1,52 @@
+// src/models/FavoriteCollection.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/postgres');
+const User = require('./User');
+const UserFavorite = require('./UserFavorite');
+
+const FavoriteCollection = sequelize.define('FavoriteCollection', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100],
+      notEmpty: true
+    }
+  },
+  // Read-only public link; null when the collection is not shared
+  shareToken: {
+    type: DataTypes.STRING(64),
+    unique: true
+  },
+  sharedAt: {
+    type: DataTypes.DATE
+  }
+}, {
+  tableName: 'favorite_collections',
+  indexes: [
+    { fields: ['user_id'] }
+  ]
+});
+
+FavoriteCollection.belongsTo(User, { foreignKey: 'userId', as: 'user', onDelete: 'CASCADE' });
+User.hasMany(FavoriteCollection, { foreignKey: 'userId', as: 'collections' });
+
+// A favorite sits in at most one collection; deleting the collection keeps the favorite
+FavoriteCollection.hasMany(UserFavorite, { foreignKey: 'collectionId', as: 'favorites', onDelete: 'SET NULL' });
+UserFavorite.belongsTo(FavoriteCollection, { foreignKey: 'collectionId', as: 'collection' });
+
+module.exports = FavoriteCollection;
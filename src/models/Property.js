@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
-const { PROPERTY_TYPES, VEFA_STATUS, PROPERTY_FEATURES } = require('../config/constants');
+const {
+  PROPERTY_TYPES, VEFA_STATUS, PROPERTY_FEATURES, SEARCH_FACETS, SIMILAR_PROPERTIES, PRICE_HISTORY,
+  DELIVERY_DATES, RENTAL_YIELD,
+} = require('../config/constants');
+const { parseArrayFromQuery, calculatePricePerM2 } = require('../utils/helpers');
+const { sanitizeSearchInput } = require('../utils/validators');
+const { toGeoPoint } = require('../utils/geo');
+const { buildSearchKeywords, buildTextSearch, accentInsensitivePattern } = require('../utils/textSearch');
+const { getNeighbouringGovernorates, scoreSimilarity } = require('../utils/similarity');
+const { parseDeliveryDate, deliveryDateBound } = require('../utils/deliveryDate');
+const {
+  parseRentalPotential, buildRentalEstimate, buildRentIndex, estimateFromComparables,
+} = require('../utils/rentalYield');
 
 // Embedded schemas
 const locationSchema = new mongoose.Schema({
@@ -19,6 +31,17 @@ const locationSchema = new mongoose.Schema({
     lat: Number,
     lng: Number,
   },
+  // GeoJSON mirror of `coordinates` used by the 2dsphere index
+  geo: {
+    type: {
+      type: String,
+      enum: ['Point'],
+    },
+    coordinates: {
+      type: [Number], // [lng, lat]
+      default: undefined,
+    },
+  },
 }, { _id: false });
 
 const vefaDetailsSchema = new mongoose.Schema({
@@ -26,11 +49,27 @@ const vefaDetailsSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
-  delivery_date: String,
+  delivery_date: String, // As announced: "avril 2025", "T2 2026", "fin 2025"...
+  // Parsed from delivery_date on save: first and last day of the announced period
+  delivery_window: {
+    start: Date,
+    end: Date,
+    precision: {
+      type: String,
+      enum: Object.values(DELIVERY_DATES.PRECISIONS),
+    },
+  },
   construction_progress: {
     type: String,
     enum: Object.values(VEFA_STATUS),
   },
+  // Latest progress posted by the promoter (see ConstructionUpdate)
+  construction_percentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+  },
+  progress_updated_at: Date,
   payment_schedule: [{
     percentage: Number,
     description: String,
@@ -55,6 +94,34 @@ const apartmentDetailsSchema = new mongoose.Schema({
   }],
 }, { _id: false });
 
+const priceHistorySchema = new mongoose.Schema({
+  price: {
+    type: Number,
+    required: true,
+  },
+  pricePerM2: Number,
+  changed_at: {
+    type: Date,
+    default: Date.now,
+  },
+  source: {
+    type: String,
+    enum: Object.values(PRICE_HISTORY.SOURCES),
+  },
+}, { _id: false });
+
+const rentalEstimateSchema = new mongoose.Schema({
+  monthlyRent: Number, // TND
+  source: {
+    type: String,
+    enum: Object.values(RENTAL_YIELD.SOURCES),
+  },
+  comparables: Number, // Listings the estimate was taken from
+  grossYield: Number, // % of the price, null without a price
+  netYield: Number,
+  estimatedAt: Date,
+}, { _id: false });
+
 // Main property schema
 const propertySchema = new mongoose.Schema({
   _id: {
@@ -68,12 +135,10 @@ const propertySchema = new mongoose.Schema({
   title: {
     type: String,
     required: true,
-    index: 'text', // Enable text search
   },
   description: {
     type: String,
     required: true,
-    index: 'text', // Enable text search
   },
   published_date: {
     type: Date,
@@ -102,7 +167,7 @@ const propertySchema = new mongoose.Schema({
     min: 0,
     index: true,
   },
-  rental_potential: String,
+  rental_potential: String, // Free text: "Loyer estimé 1 200 DT/mois", "rendement 7 %"...
   images: [{
     type: String,
     validate: {
@@ -137,11 +202,21 @@ const propertySchema = new mongoose.Schema({
     ref: 'Promoter',
     required: true,
   },
+  // Every price the listing had, oldest first (capped at PRICE_HISTORY.MAX_ENTRIES)
+  priceHistory: {
+    type: [priceHistorySchema],
+    default: undefined,
+  },
   // Additional fields for search optimization
   pricePerM2: {
     type: Number,
   },
-  searchKeywords: [String], // For better search
+  searchKeywords: [String], // Normalized French/Arabic tokens, see utils/textSearch
+  // Monthly rent read from rental_potential or estimated from comparable listings
+  rentalEstimate: {
+    type: rentalEstimateSchema,
+    default: undefined,
+  },
 }, {
   timestamps: true,
   toJSON: {
@@ -154,55 +229,407 @@ const propertySchema = new mongoose.Schema({
 
 // Indexes for performance
 propertySchema.index({ 'location_id.city': 1, type: 1, price: 1 });
-propertySchema.index({ 'location_id.coordinates': '2dsphere' }); // Geospatial index
+propertySchema.index({ 'location_id.geo': '2dsphere' }); // Geospatial index
 propertySchema.index({ created_at: -1 });
 propertySchema.index({ views: -1 });
 propertySchema.index({ 'VEFA_details_id.is_vefa': 1 });
-propertySchema.index({ 'VEFA_details_id.delivery_date': 1 });
+propertySchema.index({ 'VEFA_details_id.delivery_window.start': 1 });
+propertySchema.index({ 'VEFA_details_id.delivery_window.end': 1 });
 propertySchema.index({ 'apartment_details_id.rooms': 1 });
 propertySchema.index({ promoter_id: 1 });
+propertySchema.index({ searchKeywords: 1 }); // Prefix lookups for autocomplete
+propertySchema.index({ 'rentalEstimate.netYield': -1 });
+// Single text index; no language stemming since keywords are normalized for fr and ar
+propertySchema.index(
+  { title: 'text', description: 'text', searchKeywords: 'text' },
+  {
+    name: 'property_text_search',
+    default_language: 'none',
+    language_override: 'text_language',
+    weights: { searchKeywords: 5, title: 3, description: 1 },
+  }
+);
+
+// Aggregation stage recomputing pricePerM2 like calculatePricePerM2 (Math.round, unset when unknown)
+const PRICE_PER_M2_STAGE = {
+  $set: {
+    pricePerM2: {
+      $cond: [
+        { $and: [{ $gt: ['$price', 0] }, { $gt: ['$surface', 0] }] },
+        { $floor: { $add: [{ $divide: ['$price', '$surface'] }, 0.5] } },
+        '$$REMOVE',
+      ],
+    },
+  },
+};
+
+// Aggregation stage recomputing rentalEstimate yields like computeYields after a price change
+const yieldExpression = months => ({
+  $cond: [
+    { $gt: ['$price', 0] },
+    {
+      $divide: [
+        {
+          $floor: {
+            $add: [
+              { $divide: [{ $multiply: ['$rentalEstimate.monthlyRent', months * 10000] }, '$price'] },
+              0.5,
+            ],
+          },
+        },
+        100,
+      ],
+    },
+    null,
+  ],
+});
+const RENTAL_YIELD_STAGE = {
+  $set: {
+    rentalEstimate: {
+      $cond: [
+        { $gt: ['$rentalEstimate.monthlyRent', 0] },
+        {
+          $mergeObjects: ['$rentalEstimate', {
+            grossYield: yieldExpression(12),
+            netYield: yieldExpression((12 - RENTAL_YIELD.VACANCY_MONTHS) * (1 - RENTAL_YIELD.COSTS_RATE)),
+          }],
+        },
+        '$rentalEstimate',
+      ],
+    },
+  },
+};
+
+const priceHistoryEntry = (price, surface, changedAt, source) => ({
+  price,
+  pricePerM2: calculatePricePerM2(price, surface) ?? undefined,
+  changed_at: changedAt,
+  source,
+});
 
 // Calculate price per m2 before saving
 propertySchema.pre('save', function(next) {
-  if (this.price > 0 && this.surface > 0) {
-    this.pricePerM2 = Math.round(this.price / this.surface);
+  if (this.isNew || this.isModified('price') || this.isModified('surface')) {
+    this.pricePerM2 = calculatePricePerM2(this.price, this.surface) ?? undefined;
+  }
+  next();
+});
+
+// Record the first price and every later change
+propertySchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('price')) {
+    const source = this.isNew ? PRICE_HISTORY.SOURCES.INITIAL : PRICE_HISTORY.SOURCES.UPDATE;
+    const history = this.priceHistory || [];
+    this.priceHistory = [
+      ...history,
+      priceHistoryEntry(this.price, this.surface, new Date(), source),
+    ].slice(-PRICE_HISTORY.MAX_ENTRIES);
+  }
+  next();
+});
+
+// Pipeline stage appending entries to priceHistory, keeping the last MAX_ENTRIES.
+// Listings created before price tracking start with `initial` instead of nothing.
+const appendPriceHistoryStage = (entries, initial = []) => ({
+  $set: {
+    priceHistory: {
+      $slice: [
+        { $concatArrays: [{ $ifNull: ['$priceHistory', { $literal: initial }] }, { $literal: entries }] },
+        -PRICE_HISTORY.MAX_ENTRIES,
+      ],
+    },
+  },
+});
+
+const updateTouches = (update, field) => (
+  field in update || field in (update.$set || {}) || field in (update.$inc || {})
+);
+
+// Query updates changing the price remember the matched listings and their
+// price, so that the post hook can record the change like updatePrice()
+propertySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], async function() {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update) || !updateTouches(update, 'price')) return;
+
+  const query = this.model.find(this.getFilter())
+    .select('price surface created_at')
+    .lean();
+  // updateOne and findOneAndUpdate only change the first match
+  this._previousPrices = this.op === 'updateMany'
+    ? await query
+    : await query.sort(this.getOptions().sort || {}).limit(1);
+});
+
+// Updates that bypass save() still keep pricePerM2 and yields in sync and get
+// a price history entry. Pipeline updates (such as updatePrice) do this themselves.
+propertySchema.post(['updateOne', 'updateMany', 'findOneAndUpdate'], async function() {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return;
+
+  // The filter may match on the old price: re-select the listings by id
+  const filter = this._previousPrices
+    ? { _id: { $in: this._previousPrices.map(property => property._id) } }
+    : this.getFilter();
+
+  if (updateTouches(update, 'price') || updateTouches(update, 'surface')) {
+    await this.model.updateMany(filter, [PRICE_PER_M2_STAGE, RENTAL_YIELD_STAGE]);
+  }
+  if (this._previousPrices?.length) {
+    await this.model.recordPriceChanges(this._previousPrices);
+  }
+});
+
+// Refresh normalized search keywords when searchable fields change
+propertySchema.pre('save', function(next) {
+  const searchable = ['title', 'description', 'type', 'location_id', 'apartment_details_id'];
+  if (searchable.some(path => this.isModified(path))) {
+    this.searchKeywords = buildSearchKeywords(this);
+  }
+  next();
+});
+
+// Keep the parsed delivery window in sync with the announced delivery date
+propertySchema.pre('save', function(next) {
+  if (this.VEFA_details_id && this.isModified('VEFA_details_id')) {
+    this.set(
+      'VEFA_details_id.delivery_window',
+      parseDeliveryDate(this.VEFA_details_id.delivery_date) ?? undefined
+    );
+  }
+  next();
+});
+
+// Read the rent announced in rental_potential and keep yields in line with the price.
+// Estimates from comparables are set by refreshRentalEstimates().
+propertySchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('rental_potential') || this.isModified('price')) {
+    const monthlyRent = parseRentalPotential(this.rental_potential, this.price);
+    const current = this.rentalEstimate;
+
+    if (monthlyRent) {
+      this.rentalEstimate = buildRentalEstimate({ monthlyRent, source: RENTAL_YIELD.SOURCES.LISTING }, this.price);
+    } else if (current?.source === RENTAL_YIELD.SOURCES.LISTING) {
+      this.rentalEstimate = undefined;
+    } else if (current?.monthlyRent) {
+      this.rentalEstimate = buildRentalEstimate(current.toObject(), this.price);
+    }
+  }
+  next();
+});
+
+// Keep the GeoJSON point in sync with lat/lng coordinates
+propertySchema.pre('save', function(next) {
+  if (this.isModified('location_id')) {
+    this.set('location_id.geo', toGeoPoint(this.location_id.coordinates));
   }
   next();
 });
 
-// Instance method to increment views
+/**
+ * Static method to change the price of a listing: records the change in
+ * priceHistory and recomputes pricePerM2 in a single atomic update.
+ * Price drops are announced with a 'priceDrop' event ({property, previousPrice})
+ * so that the caller's layer can alert users; the model sends no notification.
+ * @param {string} propertyId - Property ID
+ * @param {number} price - New price
+ * @param {object} options - source of the change (PRICE_HISTORY.SOURCES)
+ * @returns {object|null} - {property (before the change), previousPrice, price, changed, dropped}
+ */
+propertySchema.statics.updatePrice = async function(propertyId, price, {
+  source = PRICE_HISTORY.SOURCES.UPDATE,
+} = {}) {
+  const property = await this.findById(propertyId).lean();
+  if (!property) return null;
+
+  const previousPrice = property.price;
+  const result = {
+    property, previousPrice, price, changed: false, dropped: false,
+  };
+  if (previousPrice === price) return result;
+
+  // Listings created before price tracking start their history with the old price
+  const entries = property.priceHistory?.length
+    ? []
+    : [priceHistoryEntry(previousPrice, property.surface, property.created_at, PRICE_HISTORY.SOURCES.INITIAL)];
+  entries.push(priceHistoryEntry(price, property.surface, new Date(), source));
+
+  // Matching on the previous price skips the update if another import changed it meanwhile
+  const { modifiedCount } = await this.updateOne(
+    { _id: propertyId, price: previousPrice },
+    [
+      { $set: { price } },
+      appendPriceHistoryStage(entries),
+      PRICE_PER_M2_STAGE,
+      RENTAL_YIELD_STAGE,
+    ]
+  );
+
+  result.changed = modifiedCount === 1;
+  result.dropped = result.changed && price > 0 && price < previousPrice;
+  if (result.dropped) {
+    this.emit('priceDrop', { property: { ...property, price }, previousPrice });
+  }
+  return result;
+};
+
+/**
+ * Static method to record price changes already written by a query update:
+ * appends a history entry to each listing whose price changed and emits
+ * 'priceDrop' for the ones that dropped, like updatePrice()
+ * @param {array} previous - Listings before the update (_id, price, surface, created_at)
+ * @param {object} options - source of the change (PRICE_HISTORY.SOURCES)
+ * @returns {array} - Changed listings ({property, previousPrice})
+ */
+propertySchema.statics.recordPriceChanges = async function(previous, {
+  source = PRICE_HISTORY.SOURCES.UPDATE,
+} = {}) {
+  const previousPrices = new Map(previous.map(property => [property._id, property]));
+  const current = await this.find({ _id: { $in: [...previousPrices.keys()] } }).lean();
+
+  const changes = current
+    .filter(property => property.price !== previousPrices.get(property._id).price)
+    .map(property => ({ property, before: previousPrices.get(property._id) }));
+
+  await Promise.all(changes.map(({ property, before }) => this.updateOne(
+    { _id: property._id },
+    [appendPriceHistoryStage(
+      [priceHistoryEntry(property.price, property.surface, new Date(), source)],
+      [priceHistoryEntry(before.price, before.surface, before.created_at, PRICE_HISTORY.SOURCES.INITIAL)]
+    )]
+  )));
+
+  changes
+    .filter(({ property, before }) => property.price > 0 && property.price < before.price)
+    .forEach(({ property, before }) => {
+      this.emit('priceDrop', { property, previousPrice: before.price });
+    });
+
+  return changes.map(({ property, before }) => ({ property, previousPrice: before.price }));
+};
+
+/**
+ * Static method to load the comparable rent index
+ * @param {object} query - Extra condition on the listings used
+ * @returns {Map} - Result of buildRentIndex
+ */
+propertySchema.statics.rentIndex = async function(query = {}) {
+  const samples = await this.find({
+    ...query,
+    validated: true,
+    surface: { $gt: 0 },
+    'rentalEstimate.source': RENTAL_YIELD.SOURCES.LISTING,
+  })
+    .select('surface location_id.city location_id.district apartment_details_id.rooms rentalEstimate.monthlyRent')
+    .lean();
+
+  return buildRentIndex(samples);
+};
+
+// Stored when neither the listing nor its comparables give a rent, so that
+// the listing is not estimated again until the next refreshRentalEstimates()
+const unknownRentalEstimate = () => ({ source: RENTAL_YIELD.SOURCES.NONE, estimatedAt: new Date() });
+
+/**
+ * Static method to estimate the rent of a listing without one from the
+ * listings of its city, and store the result (the `none` marker when
+ * there are too few comparables)
+ * @param {object} property - Property (plain object)
+ * @returns {object} - rentalEstimate subdocument
+ */
+propertySchema.statics.estimateRent = async function(property) {
+  let estimate = null;
+  if (property.location_id?.city && property.surface > 0) {
+    const index = await this.rentIndex({
+      'location_id.city': new RegExp(`^${accentInsensitivePattern(property.location_id.city)}$`, 'i'),
+    });
+    estimate = estimateFromComparables(index, property);
+  }
+
+  const rentalEstimate = estimate || unknownRentalEstimate();
+  await this.updateOne(
+    { _id: property._id, rentalEstimate: { $exists: false } },
+    { $set: { rentalEstimate } }
+  );
+  return rentalEstimate;
+};
+
+/**
+ * Static method to store rent estimates from comparables on every listing
+ * whose rental_potential gives no rent. Run after imports (seeds) since new
+ * listings change the comparable medians. Listings without enough
+ * comparables get the `none` marker.
+ * @returns {object} - {estimated, unknown}
+ */
+propertySchema.statics.refreshRentalEstimates = async function() {
+  const BATCH_SIZE = 500;
+  const index = await this.rentIndex();
+  const result = { estimated: 0, unknown: 0 };
+
+  let operations = [];
+  const flush = async () => {
+    if (operations.length > 0) await this.bulkWrite(operations, { ordered: false });
+    operations = [];
+  };
+
+  const cursor = this.find({ 'rentalEstimate.source': { $ne: RENTAL_YIELD.SOURCES.LISTING } })
+    .select('price surface location_id.city location_id.district apartment_details_id.rooms')
+    .lean()
+    .cursor();
+
+  for await (const property of cursor) {
+    const estimate = estimateFromComparables(index, property);
+    result[estimate ? 'estimated' : 'unknown']++;
+
+    operations.push({
+      updateOne: {
+        filter: { _id: property._id },
+        update: { $set: { rentalEstimate: estimate || unknownRentalEstimate() } },
+      },
+    });
+    if (operations.length === BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return result;
+};
+
+// Instance method to increment views (atomic, no full document save)
 propertySchema.methods.incrementViews = async function() {
+  await this.constructor.updateOne({ _id: this._id }, { $inc: { views: 1 } });
   this.views += 1;
-  await this.save();
 };
 
-// Instance method to check if delivery date has passed
+// Instance method to check if the whole announced delivery period has passed
 propertySchema.methods.isDeliveryDatePassed = function() {
-  if (!this.VEFA_details_id?.delivery_date) return false;
-  
-  // Parse French date format (e.g., "avril 2025")
-  const months = {
-    'janvier': 0, 'février': 1, 'mars': 2, 'avril': 3,
-    'mai': 4, 'juin': 5, 'juillet': 6, 'août': 7,
-    'septembre': 8, 'octobre': 9, 'novembre': 10, 'décembre': 11
-  };
-  
-  const [month, year] = this.VEFA_details_id.delivery_date.toLowerCase().split(' ');
-  if (months[month] !== undefined && year) {
-    const deliveryDate = new Date(parseInt(year), months[month]);
-    return deliveryDate < new Date();
-  }
-  
-  return false;
+  const window = this.VEFA_details_id?.delivery_window?.end
+    ? this.VEFA_details_id.delivery_window
+    : parseDeliveryDate(this.VEFA_details_id?.delivery_date);
+
+  return Boolean(window) && window.end < new Date();
+};
+
+// Instance method to flag VEFA projects still not delivered after their delivery period
+propertySchema.methods.isDelayed = function() {
+  return Boolean(this.VEFA_details_id?.is_vefa)
+    && this.VEFA_details_id.construction_progress !== VEFA_STATUS.DELIVERED
+    && this.isDeliveryDatePassed();
 };
 
 // Static method for advanced search
 propertySchema.statics.search = async function(filters = {}) {
   const query = { validated: true };
   
+  // Full-text query, normalized the same way as searchKeywords
+  if (filters.q) {
+    const search = buildTextSearch(filters.q);
+    if (search) {
+      query.$text = { $search: search };
+    }
+  }
+  
   // City filter
   if (filters.city) {
-    query['location_id.city'] = new RegExp(filters.city, 'i');
+    query['location_id.city'] = new RegExp(sanitizeSearchInput(filters.city), 'i');
   }
   
   // Type filter
@@ -229,9 +656,15 @@ propertySchema.statics.search = async function(filters = {}) {
     query['apartment_details_id.rooms'] = filters.rooms;
   }
   
-  // Features
-  if (filters.features && Array.isArray(filters.features)) {
-    query['apartment_details_id.features'] = { $all: filters.features };
+  // Features (array or comma-separated query string)
+  const features = parseArrayFromQuery(filters.features);
+  if (features.length > 0) {
+    query['apartment_details_id.features'] = { $all: features };
+  }
+  
+  // Minimum net rental yield (%)
+  if (filters.yieldMin) {
+    query['rentalEstimate.netYield'] = { $gte: filters.yieldMin };
   }
   
   // VEFA filter
@@ -239,39 +672,166 @@ propertySchema.statics.search = async function(filters = {}) {
     query['VEFA_details_id.is_vefa'] = filters.isVefa;
   }
   
-  // Delivery date filter
+  // Delivery window: delivered by `before` (end of the announced period),
+  // not before `after` (its start). Unreadable bounds only require a known date.
   if (filters.deliveryDateBefore) {
-    // This would need more complex logic to parse French dates
-    query['VEFA_details_id.delivery_date'] = { $exists: true };
+    const before = deliveryDateBound(filters.deliveryDateBefore, 'before');
+    query['VEFA_details_id.delivery_window.end'] = before ? { $lte: before } : { $exists: true };
+  }
+  if (filters.deliveryDateAfter) {
+    const after = deliveryDateBound(filters.deliveryDateAfter, 'after');
+    query['VEFA_details_id.delivery_window.start'] = after ? { $gte: after } : { $exists: true };
   }
   
   return query;
 };
 
-// Static method to find similar properties
-propertySchema.statics.findSimilar = async function(propertyId, limit = 6) {
-  const property = await this.findById(propertyId);
-  if (!property) return [];
-  
+// Search filters behind each facet. A facet ignores its own filters so that
+// the UI can still offer the other values ("Appartement (120), Villa (14)").
+const FACET_FILTERS = {
+  types: ['type'],
+  rooms: ['rooms'],
+  price: ['priceMin', 'priceMax'],
+  features: ['features'],
+};
+
+// Static method for facet counts over a search
+propertySchema.statics.facets = async function(filters = {}, extraQuery = {}) {
+  const facetKeys = Object.values(FACET_FILTERS).flat();
+  const pickFilters = (keys) => Object.fromEntries(
+    Object.entries(filters).filter(([key]) => keys.includes(key))
+  );
+
+  const base = {
+    ...(await this.search(pickFilters(Object.keys(filters).filter(key => !facetKeys.includes(key))))),
+    ...extraQuery,
+  };
+
+  const facetMatch = {};
+  for (const [facet, ownKeys] of Object.entries(FACET_FILTERS)) {
+    const { validated, ...query } = await this.search(
+      pickFilters(facetKeys.filter(key => !ownKeys.includes(key)))
+    );
+    facetMatch[facet] = query;
+  }
+
+  const { ROOM_BUCKETS, PRICE_BUCKETS } = SEARCH_FACETS;
+
+  const [result] = await this.aggregate([
+    { $match: base },
+    {
+      $facet: {
+        types: [
+          { $match: facetMatch.types },
+          { $group: { _id: '$type', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+        ],
+        rooms: [
+          { $match: facetMatch.rooms },
+          { $match: { 'apartment_details_id.rooms': { $gte: ROOM_BUCKETS[0] } } },
+          {
+            $bucket: {
+              groupBy: '$apartment_details_id.rooms',
+              boundaries: ROOM_BUCKETS,
+              default: 'max',
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        price: [
+          { $match: facetMatch.price },
+          { $match: { price: { $gt: 0 } } }, // 0 means "prix sur demande"
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: PRICE_BUCKETS,
+              default: 'max',
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        features: [
+          { $match: facetMatch.features },
+          { $unwind: '$apartment_details_id.features' },
+          { $match: { 'apartment_details_id.features': { $in: PROPERTY_FEATURES } } },
+          { $group: { _id: '$apartment_details_id.features', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+        ],
+      },
+    },
+  ]);
+
+  const lastRoom = ROOM_BUCKETS[ROOM_BUCKETS.length - 1];
+  const lastPrice = PRICE_BUCKETS[PRICE_BUCKETS.length - 1];
+
+  return {
+    types: result.types.map(({ _id, count }) => ({ value: _id, count })),
+    rooms: result.rooms.map(({ _id, count }) => ({
+      value: _id === 'max' ? `${lastRoom}+` : String(_id),
+      count,
+    })),
+    price: result.price.map(({ _id, count }) => {
+      if (_id === 'max') {
+        return { min: lastPrice, max: null, count };
+      }
+      return { min: _id, max: PRICE_BUCKETS[PRICE_BUCKETS.indexOf(_id) + 1], count };
+    }),
+    features: result.features.map(({ _id, count }) => ({ value: _id, count })),
+  };
+};
+
+// Static method to find similar properties, ranked by similarity score
+propertySchema.statics.findSimilar = async function(propertyId, limit = SIMILAR_PROPERTIES.DEFAULT_LIMIT) {
+  const property = await this.findById(propertyId).lean();
+  if (!property) return null;
+
   const query = {
     _id: { $ne: propertyId },
     validated: true,
     type: property.type,
-    'location_id.city': property.location_id.city,
-    price: {
-      $gte: property.price * 0.8,
-      $lte: property.price * 1.2,
-    },
-    surface: {
-      $gte: property.surface * 0.8,
-      $lte: property.surface * 1.2,
-    },
   };
-  
-  return this.find(query)
-    .limit(limit)
+
+  // Loose price / surface window; the ranking is done by scoreSimilarity
+  if (property.price > 0) {
+    query.price = {
+      $gte: property.price * (1 - SIMILAR_PROPERTIES.PRICE_RANGE),
+      $lte: property.price * (1 + SIMILAR_PROPERTIES.PRICE_RANGE),
+    };
+  }
+  if (property.surface > 0) {
+    query.surface = {
+      $gte: property.surface * (1 - SIMILAR_PROPERTIES.PRICE_RANGE),
+      $lte: property.surface * (1 + SIMILAR_PROPERTIES.PRICE_RANGE),
+    };
+  }
+
+  const findCandidates = (cityCondition) => this.find({ ...query, 'location_id.city': cityCondition })
     .sort('-views')
-    .populate('promoter_id');
+    .limit(SIMILAR_PROPERTIES.CANDIDATE_POOL)
+    .populate('promoter_id', 'name verified')
+    .lean();
+
+  const candidates = await findCandidates(property.location_id.city);
+
+  // Few matches in the city: look in the bordering governorates as well
+  const neighbours = getNeighbouringGovernorates(property.location_id.city);
+  const widened = candidates.length < limit && neighbours.length > 0;
+  if (widened) {
+    candidates.push(...await findCandidates({
+      $in: neighbours.map(city => new RegExp(`^${accentInsensitivePattern(city)}$`, 'i')),
+    }));
+  }
+
+  const properties = candidates
+    .map(candidate => ({ ...candidate, similarity: scoreSimilarity(property, candidate) }))
+    .sort((a, b) => b.similarity.score - a.similarity.score || b.views - a.views)
+    .slice(0, limit);
+
+  return {
+    property,
+    properties,
+    widenedTo: widened ? neighbours : [],
+  };
 };
 
 const Property = mongoose.model('Property', propertySchema, 'properties');
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { TRENDING } = require('../config/constants');
+
+// Hourly view / favorite counts per property, kept a few days for trending scores.
+// City and type are copied from the property so feeds can be scoped without a join.
+const propertyActivitySchema = new mongoose.Schema({
+  property_id: {
+    type: String,
+    ref: 'Property',
+    required: true,
+  },
+  hour: {
+    type: Date, // Start of the UTC hour
+    required: true,
+  },
+  city: String,
+  type: String,
+  views: {
+    type: Number,
+    default: 0,
+  },
+  favorites: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  versionKey: false,
+});
+
+// Indexes
+propertyActivitySchema.index({ property_id: 1, hour: 1 }, { unique: true });
+propertyActivitySchema.index({ hour: -1, city: 1, type: 1 });
+propertyActivitySchema.index({ hour: 1 }, { expireAfterSeconds: TRENDING.RETENTION_HOURS * 60 * 60 });
+
+/**
+ * Get the UTC hour a date belongs to
+ * @param {Date} date - Date
+ * @returns {Date} - Start of that hour
+ */
+const startOfUTCHour = (date = new Date()) => {
+  const hour = new Date(date);
+  hour.setUTCMinutes(0, 0, 0);
+  return hour;
+};
+
+// Static method to count a view or a favorite in the current hour
+propertyActivitySchema.statics.increment = function(property, field, date = new Date()) {
+  return this.updateOne(
+    { property_id: property._id, hour: startOfUTCHour(date) },
+    {
+      $inc: { [field]: 1 },
+      $setOnInsert: {
+        city: property.location_id?.city,
+        type: property.type,
+      },
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Static method to rank properties by time-decayed activity: each hourly bucket
+ * counts views + FAVORITE_WEIGHT * favorites, halved every `halfLifeHours`
+ * @param {object} options - hours, halfLifeHours, match (city/type), limit
+ * @returns {array} - [{_id: propertyId, score, views, favorites}]
+ */
+propertyActivitySchema.statics.trending = function({
+  hours, halfLifeHours, match = {}, limit,
+}) {
+  const now = new Date();
+  const since = new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+  return this.aggregate([
+    { $match: { ...match, hour: { $gte: startOfUTCHour(since) } } },
+    {
+      $addFields: {
+        decay: {
+          $exp: {
+            $multiply: [
+              -Math.LN2 / halfLifeHours,
+              { $divide: [{ $subtract: [now, '$hour'] }, 60 * 60 * 1000] },
+            ],
+          },
+        },
+      },
+    },
+    {
+      $group: {
+        _id: '$property_id',
+        score: {
+          $sum: {
+            $multiply: [
+              '$decay',
+              { $add: ['$views', { $multiply: ['$favorites', TRENDING.FAVORITE_WEIGHT] }] },
+            ],
+          },
+        },
+        views: { $sum: '$views' },
+        favorites: { $sum: '$favorites' },
+      },
+    },
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+};
+
+const PropertyActivity = mongoose.model('PropertyActivity', propertyActivitySchema, 'property_activity');
+
+module.exports = PropertyActivity;
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// One document per viewer and property while the dedup window is open.
+// The unique _id makes "first view in the window" an atomic insert.
+const propertyViewMarkerSchema = new mongoose.Schema({
+  _id: {
+    type: String, // "<propertyId>:<viewerKey>"
+  },
+  expires_at: {
+    type: Date,
+    required: true,
+  },
+}, {
+  versionKey: false,
+});
+
+// MongoDB removes markers once the window is over
+propertyViewMarkerSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const PropertyViewMarker = mongoose.model('PropertyViewMarker', propertyViewMarkerSchema, 'property_view_markers');
+
+module.exports = PropertyViewMarker;
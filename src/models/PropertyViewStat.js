@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// Daily view counts per property, one document per property and UTC day
+const propertyViewStatSchema = new mongoose.Schema({
+  property_id: {
+    type: String,
+    ref: 'Property',
+    required: true,
+  },
+  promoter_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promoter',
+  },
+  date: {
+    type: Date, // UTC midnight
+    required: true,
+  },
+  views: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  versionKey: false,
+});
+
+// Indexes
+propertyViewStatSchema.index({ property_id: 1, date: 1 }, { unique: true });
+propertyViewStatSchema.index({ promoter_id: 1, date: 1 });
+
+/**
+ * Get the UTC day a date belongs to
+ * @param {Date} date - Date
+ * @returns {Date} - UTC midnight of that day
+ */
+const startOfUTCDay = (date = new Date()) => {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// First day of a period of `days` days ending today
+const periodStart = (days) => {
+  const since = startOfUTCDay();
+  since.setUTCDate(since.getUTCDate() - (days - 1));
+  return since;
+};
+
+// Static method to add one view to today's counter
+propertyViewStatSchema.statics.increment = function(property, date = new Date()) {
+  return this.updateOne(
+    { property_id: property._id, date: startOfUTCDay(date) },
+    {
+      $inc: { views: 1 },
+      $setOnInsert: { promoter_id: property.promoter_id },
+    },
+    { upsert: true }
+  );
+};
+
+// Static method to get a zero-filled daily series for the last `days` days
+propertyViewStatSchema.statics.dailySeries = async function(match, days) {
+  const today = startOfUTCDay();
+  const since = periodStart(days);
+
+  const rows = await this.aggregate([
+    { $match: { ...match, date: { $gte: since } } },
+    { $group: { _id: '$date', views: { $sum: '$views' } } },
+  ]);
+
+  const viewsByDay = new Map(rows.map(({ _id, views }) => [_id.getTime(), views]));
+
+  const series = [];
+  for (let day = new Date(since); day <= today; day.setUTCDate(day.getUTCDate() + 1)) {
+    series.push({
+      date: day.toISOString().slice(0, 10),
+      views: viewsByDay.get(day.getTime()) || 0,
+    });
+  }
+
+  return {
+    total: series.reduce((sum, { views }) => sum + views, 0),
+    series,
+  };
+};
+
+// Static method to get the most viewed properties over the last `days` days
+propertyViewStatSchema.statics.topProperties = function(match, days, limit = 10) {
+  return this.aggregate([
+    { $match: { ...match, date: { $gte: periodStart(days) } } },
+    { $group: { _id: '$property_id', views: { $sum: '$views' } } },
+    { $sort: { views: -1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: 'properties',
+        localField: '_id',
+        foreignField: '_id',
+        pipeline: [{ $project: { title: 1 } }],
+        as: 'property',
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        propertyId: '$_id',
+        title: { $first: '$property.title' },
+        views: 1,
+      },
+    },
+  ]);
+};
+
+const PropertyViewStat = mongoose.model('PropertyViewStat', propertyViewStatSchema, 'property_view_stats');
+
+module.exports = PropertyViewStat;
@@ -0,0 +1,54 @@
+// src/models/SavedSearch.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/postgres');
+const User = require('./User');
+
+const SavedSearch = sequelize.define('SavedSearch', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100],
+      notEmpty: true
+    }
+  },
+  // Normalized property filters (city, type, priceMin, priceMax, surfaceMin, surfaceMax, features, isVefa, rooms, yieldMin)
+  filters: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  alertsEnabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  lastAlertAt: {
+    type: DataTypes.DATE
+  }
+}, {
+  tableName: 'saved_searches',
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['alerts_enabled'] }
+  ]
+});
+
+SavedSearch.belongsTo(User, { foreignKey: 'userId', as: 'user', onDelete: 'CASCADE' });
+User.hasMany(SavedSearch, { foreignKey: 'userId', as: 'savedSearches' });
+
+module.exports = SavedSearch;
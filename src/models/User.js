@@ -2,6 +2,9 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/postgres');
 const bcrypt = require('bcryptjs');
+const { randomUUID } = require('crypto');
+const { stableStringify } = require('../utils/helpers');
+const { LANGUAGES, RECENTLY_VIEWED, USER_ROLES } = require('../config/constants');
 
 const User = sequelize.define('User', {
   id: {
@@ -44,13 +47,25 @@ const User = sequelize.define('User', {
     }
   },
   role: {
-    type: DataTypes.ENUM('user', 'agent', 'admin'),
-    defaultValue: 'user'
+    type: DataTypes.ENUM(...Object.values(USER_ROLES)),
+    defaultValue: USER_ROLES.USER
+  },
+  // MongoDB _id of the promoter an agent posts for
+  promoterId: {
+    type: DataTypes.STRING(24)
   },
   isVerified: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
+  language: {
+    type: DataTypes.STRING(2),
+    allowNull: false,
+    defaultValue: LANGUAGES.FR,
+    validate: {
+      isIn: [Object.values(LANGUAGES)]
+    }
+  },
   preferences: {
     type: DataTypes.JSONB,
     defaultValue: {
@@ -69,7 +84,8 @@ const User = sequelize.define('User', {
         email: true,
         sms: false,
         newListings: true,
-        priceAlerts: true
+        priceAlerts: true,
+        projectUpdates: true
       }
     }
   },
@@ -90,14 +106,15 @@ const User = sequelize.define('User', {
       }
     }
   },
-  favorites: {
-    type: DataTypes.ARRAY(DataTypes.STRING),
-    defaultValue: []
-  },
   searchHistory: {
     type: DataTypes.JSONB,
     defaultValue: []
   },
+  recentlyViewed: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [] // [{ propertyId, viewedAt }], most recent first
+  },
   lastLogin: {
     type: DataTypes.DATE
   },
@@ -145,41 +162,48 @@ User.prototype.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-User.prototype.addToFavorites = function(propertyId) {
-  if (!this.favorites.includes(propertyId)) {
-    this.favorites.push(propertyId);
-  }
-  return this.save();
-};
-
-User.prototype.removeFromFavorites = function(propertyId) {
-  this.favorites = this.favorites.filter(id => id !== propertyId);
-  return this.save();
-};
-
-User.prototype.addToSearchHistory = function(searchQuery) {
+User.prototype.addToSearchHistory = function(searchQuery, resultsCount = 0) {
   const maxHistorySize = 50;
+  const key = stableStringify(searchQuery);
   
   // Remove duplicate if exists
-  this.searchHistory = this.searchHistory.filter(
-    item => JSON.stringify(item.query) !== JSON.stringify(searchQuery)
+  const others = (this.searchHistory || []).filter(
+    item => stableStringify(item.query) !== key
   );
   
-  // Add new search to beginning
-  this.searchHistory.unshift({
-    query: searchQuery,
-    timestamp: new Date(),
-    results_count: searchQuery.results_count || 0
-  });
-  
-  // Keep only last maxHistorySize searches
-  if (this.searchHistory.length > maxHistorySize) {
-    this.searchHistory = this.searchHistory.slice(0, maxHistorySize);
-  }
+  // Add new search to beginning and keep only the last maxHistorySize searches.
+  // Assign a new array so Sequelize detects the JSONB change.
+  this.searchHistory = [
+    {
+      id: randomUUID(),
+      query: searchQuery,
+      timestamp: new Date(),
+      results_count: resultsCount,
+    },
+    ...others,
+  ].slice(0, maxHistorySize);
   
   return this.save();
 };
 
+User.prototype.removeFromSearchHistory = function(entryId) {
+  this.searchHistory = (this.searchHistory || []).filter(item => item.id !== entryId);
+  return this.save();
+};
+
+User.prototype.addToRecentlyViewed = function(propertyId) {
+  // Move the property to the top instead of keeping duplicates
+  const others = (this.recentlyViewed || []).filter(item => item.propertyId !== propertyId);
+
+  // Assign a new array so Sequelize detects the JSONB change
+  this.recentlyViewed = [
+    { propertyId, viewedAt: new Date() },
+    ...others,
+  ].slice(0, RECENTLY_VIEWED.MAX_ITEMS);
+
+  return this.save();
+};
+
 User.prototype.updateLocation = function(coordinates) {
   this.coordinates = coordinates;
   return this.save();
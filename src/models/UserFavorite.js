@@ -0,0 +1,59 @@
+// src/models/UserFavorite.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/postgres');
+const User = require('./User');
+const { FAVORITES } = require('../config/constants');
+
+const UserFavorite = sequelize.define('UserFavorite', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  propertyId: {
+    type: DataTypes.STRING,
+    allowNull: false // MongoDB property _id
+  },
+  note: {
+    type: DataTypes.TEXT,
+    validate: {
+      len: [0, FAVORITES.MAX_NOTE_LENGTH]
+    }
+  },
+  tags: {
+    type: DataTypes.ARRAY(DataTypes.STRING(FAVORITES.MAX_TAG_LENGTH)),
+    allowNull: false,
+    defaultValue: []
+  },
+  collectionId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'favorite_collections',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'user_favorites',
+  indexes: [
+    { fields: ['user_id', 'property_id'], unique: true },
+    { fields: ['user_id', 'created_at'] },
+    { fields: ['property_id'] },
+    { fields: ['collection_id'] },
+    { fields: ['tags'], using: 'gin' }
+  ]
+});
+
+UserFavorite.belongsTo(User, { foreignKey: 'userId', as: 'user', onDelete: 'CASCADE' });
+User.hasMany(UserFavorite, { foreignKey: 'userId', as: 'favorites' });
+
+module.exports = UserFavorite;
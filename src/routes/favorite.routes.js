@@ -1,8 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const favoriteController = require('../controllers/favoriteController');
+const collectionController = require('../controllers/collectionController');
 const { authMiddleware } = require('../middleware/auth.middleware');
-const { validatePropertyId } = require('../middleware/validation.middleware');
+const {
+  validateFavoriteList, validateFavoriteAdd, validateFavoriteUpdate, validateFavoriteCheck, validateFavoriteExport,
+  validateFavoritePropertyId, validateCollectionName, validateCollectionPage, validateCollectionProperties,
+  validateCollectionProperty, validateUuidId,
+} = require('../middleware/validation.middleware');
 
 // All routes require authentication
 router.use(authMiddleware);
@@ -12,6 +17,7 @@ router.use(authMiddleware);
  * /api/v1/favorites:
  *   get:
  *     summary: Get user's favorite properties
+ *     description: Most recently added first, each with favoritedAt, note and tags.
  *     tags: [Favorites]
  *     security:
  *       - bearerAuth: []
@@ -26,8 +32,24 @@ router.use(authMiddleware);
  *         schema:
  *           type: integer
  *           default: 20
+ *       - in: query
+ *         name: after
+ *         description: Cursor from pagination.nextCursor (replaces page)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tag
+ *         description: Only favorites with this tag
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: collectionId
+ *         description: Only favorites in this collection
+ *         schema:
+ *           type: string
+ *           format: uuid
  */
-router.get('/', favoriteController.getFavorites);
+router.get('/', validateFavoriteList, favoriteController.getFavorites);
 
 /**
  * @swagger
@@ -44,12 +66,23 @@ router.get('/stats', favoriteController.getFavoriteStats);
  * @swagger
  * /api/v1/favorites/export:
  *   get:
- *     summary: Export favorites as JSON
+ *     summary: Export favorites
+ *     description: >
+ *       JSON, CSV (UTF-8 with BOM, ";" separated, opens directly in Excel) or a
+ *       printable PDF shortlist with price, surface, city, promoter contact and
+ *       listing link. The PDF leaves out private notes and tags.
  *     tags: [Favorites]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, pdf]
+ *           default: json
  */
-router.get('/export', favoriteController.exportFavorites);
+router.get('/export', validateFavoriteExport, favoriteController.exportFavorites);
 
 /**
  * @swagger
@@ -73,32 +106,266 @@ router.get('/export', favoriteController.exportFavorites);
  *                 items:
  *                   type: string
  */
-router.post('/check', favoriteController.checkFavorites);
+router.post('/check', validateFavoriteCheck, favoriteController.checkFavorites);
 
 /**
  * @swagger
- * /api/v1/favorites/{propertyId}:
+ * /api/v1/favorites/collections:
+ *   get:
+ *     summary: Get favorite collections
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
  *   post:
- *     summary: Add property to favorites
+ *     summary: Create a favorite collection
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Shortlist Tunis
+ */
+router.get('/collections', collectionController.getCollections);
+router.post('/collections', validateCollectionName, collectionController.createCollection);
+
+/**
+ * @swagger
+ * /api/v1/favorites/collections/{id}:
+ *   get:
+ *     summary: Get a collection with its properties
  *     tags: [Favorites]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: propertyId
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *   put:
+ *     summary: Rename a collection
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *   delete:
+ *     summary: Delete a collection
+ *     description: Its properties stay in the favorites.
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
+ *           format: uuid
+ */
+router.get('/collections/:id', validateUuidId, validateCollectionPage, collectionController.getCollection);
+router.put('/collections/:id', validateUuidId, validateCollectionName, collectionController.updateCollection);
+router.delete('/collections/:id', validateUuidId, collectionController.deleteCollection);
+
+/**
+ * @swagger
+ * /api/v1/favorites/collections/{id}/properties:
+ *   post:
+ *     summary: Move favorites into a collection
+ *     description: >
+ *       A favorite belongs to one collection at most, so it leaves its previous
+ *       collection. IDs that are not favorites are returned in notFavorited.
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - propertyIds
+ *             properties:
+ *               propertyIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
  */
 router.post(
-  '/:propertyId',
-  validatePropertyId,
-  favoriteController.addFavorite
+  '/collections/:id/properties',
+  validateUuidId,
+  validateCollectionProperties,
+  collectionController.addCollectionProperties
+);
+
+/**
+ * @swagger
+ * /api/v1/favorites/collections/{id}/properties/{propertyId}:
+ *   delete:
+ *     summary: Take a property out of a collection
+ *     description: The property stays in the favorites.
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.delete(
+  '/collections/:id/properties/:propertyId',
+  validateCollectionProperty,
+  collectionController.removeCollectionProperty
 );
 
+/**
+ * @swagger
+ * /api/v1/favorites/collections/{id}/share:
+ *   post:
+ *     summary: Create a read-only share link
+ *     description: >
+ *       Anyone with the link can see the collection at /api/v1/shared/collections/{token}
+ *       without logging in. Notes and tags are not shown. Creating a new link revokes the previous one.
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *   delete:
+ *     summary: Revoke the share link
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.post('/collections/:id/share', validateUuidId, collectionController.shareCollection);
+router.delete('/collections/:id/share', validateUuidId, collectionController.unshareCollection);
+
 /**
  * @swagger
  * /api/v1/favorites/{propertyId}:
+ *   post:
+ *     summary: Add property to favorites
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *               tags:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Property added to favorites
+ *       200:
+ *         description: Property was already in favorites
+ *       404:
+ *         description: Property not found
+ *   put:
+ *     summary: Update the note or tags of a favorite
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Favorite updated
+ *       404:
+ *         description: Property is not in favorites
  *   delete:
  *     summary: Remove property from favorites
  *     tags: [Favorites]
@@ -111,9 +378,23 @@ router.post(
  *         schema:
  *           type: string
  */
+router.post(
+  '/:propertyId',
+  validateFavoritePropertyId,
+  validateFavoriteAdd,
+  favoriteController.addFavorite
+);
+
+router.put(
+  '/:propertyId',
+  validateFavoritePropertyId,
+  validateFavoriteUpdate,
+  favoriteController.updateFavorite
+);
+
 router.delete(
   '/:propertyId',
-  validatePropertyId,
+  validateFavoritePropertyId,
   favoriteController.removeFavorite
 );
 
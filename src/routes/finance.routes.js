@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const { getPresets, simulate } = require('../controllers/financeController');
+const { validateFinanceSimulate } = require('../middleware/validation.middleware');
+
+/**
+ * @swagger
+ * /api/v1/finance/presets:
+ *   get:
+ *     summary: Get home loan presets
+ *     description: Common Tunisian home loan products with indicative rates, maximum duration, minimum down payment and price ceiling.
+ *     tags: [Finance]
+ *     responses:
+ *       200:
+ *         description: Presets, defaults and debt-ratio cap
+ */
+router.get('/presets', getPresets);
+
+/**
+ * @swagger
+ * /api/v1/finance/simulate:
+ *   post:
+ *     summary: Simulate a home loan
+ *     description: >
+ *       Monthly payment, total interest and amortization table for a listing
+ *       (propertyId) or a price. Values left out come from the preset, then
+ *       from the defaults. Unmet preset conditions are listed in `warnings`.
+ *       With monthlyIncome, repayments are checked against the debt-ratio cap.
+ *     tags: [Finance]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               propertyId:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *               downPayment:
+ *                 type: number
+ *                 description: In TND (or use downPaymentPercent)
+ *               downPaymentPercent:
+ *                 type: number
+ *               annualRate:
+ *                 type: number
+ *                 description: Yearly rate in %
+ *               durationYears:
+ *                 type: integer
+ *               preset:
+ *                 type: string
+ *                 enum: [credit_habitat, premier_logement, foprolos, epargne_logement]
+ *               monthlyIncome:
+ *                 type: number
+ *                 description: Net monthly income of the household
+ *               monthlyDebts:
+ *                 type: number
+ *                 description: Repayments of other loans
+ *               amortization:
+ *                 type: string
+ *                 enum: [monthly, yearly]
+ *                 default: monthly
+ *     responses:
+ *       200:
+ *         description: Loan simulation
+ *       400:
+ *         description: Validation error, unknown price or down payment above the price
+ *       404:
+ *         description: Property not found
+ */
+router.post('/simulate', validateFinanceSimulate, simulate);
+
+module.exports = router;
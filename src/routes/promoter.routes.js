@@ -2,10 +2,13 @@ const express = require('express');
 const router = express.Router();
 const Promoter = require('../models/Promoter');
 const Property = require('../models/Property');
-const { asyncHandler } = require('../middleware/error.middleware');
-const { successResponse, generatePaginationMeta } = require('../utils/helpers');
-const { validateMongoId } = require('../middleware/validation.middleware');
-const { PAGINATION } = require('../config/constants');
+const PropertyViewStat = require('../models/PropertyViewStat');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
+const { successResponse, paginateQuery } = require('../utils/helpers');
+const { ERROR_CODES, ERROR_MESSAGES } = require('../config/constants');
+const {
+  validateMongoId, validatePromoterProperties, validateViewStats,
+} = require('../middleware/validation.middleware');
 
 /**
  * @swagger
@@ -63,13 +66,15 @@ router.get('/:id', validateMongoId, asyncHandler(async (req, res) => {
  *         schema:
  *           type: integer
  *           default: 20
+ *       - in: query
+ *         name: after
+ *         description: Cursor from pagination.nextCursor (replaces page)
+ *         schema:
+ *           type: string
  */
-router.get('/:id/properties', validateMongoId, asyncHandler(async (req, res) => {
+router.get('/:id/properties', validateMongoId, validatePromoterProperties, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const {
-    page = PAGINATION.DEFAULT_PAGE,
-    limit = PAGINATION.DEFAULT_LIMIT,
-  } = req.query;
+  const { page, limit, after } = req.query;
   
   // Check if promoter exists
   const promoter = await Promoter.findById(id);
@@ -89,12 +94,12 @@ router.get('/:id/properties', validateMongoId, asyncHandler(async (req, res) =>
   
   // Get properties
   const query = { promoter_id: id, validated: true };
-  const total = await Property.countDocuments(query);
-  const properties = await Property.find(query)
-    .sort('-created_at')
-    .skip((page - 1) * limit)
-    .limit(limit)
-    .lean();
+  const { items: properties, pagination } = await paginateQuery(Property, query, {
+    sort: { created_at: -1 },
+    page,
+    limit,
+    after,
+  });
   
   res.json(successResponse({
     promoter: {
@@ -103,7 +108,51 @@ router.get('/:id/properties', validateMongoId, asyncHandler(async (req, res) =>
       verified: promoter.verified,
     },
     properties,
-    pagination: generatePaginationMeta(total, page, limit),
+    pagination,
+  }));
+}));
+
+/**
+ * @swagger
+ * /api/v1/promoters/{id}/views:
+ *   get:
+ *     summary: Get daily views of all the promoter's properties
+ *     tags: [Promoters]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 365
+ */
+router.get('/:id/views', validateMongoId, validateViewStats, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { days } = req.query;
+  
+  const promoter = await Promoter.findById(id).select('name').lean();
+  
+  if (!promoter) {
+    throw new AppError(ERROR_MESSAGES.PROMOTER_NOT_FOUND, 404, ERROR_CODES.PROMOTER_NOT_FOUND);
+  }
+  
+  const promoterId = promoter._id;
+  const [{ total, series }, topProperties] = await Promise.all([
+    PropertyViewStat.dailySeries({ promoter_id: promoterId }, days),
+    PropertyViewStat.topProperties({ promoter_id: promoterId }, days),
+  ]);
+  
+  res.json(successResponse({
+    promoterId,
+    days,
+    periodViews: total,
+    series,
+    topProperties,
   }));
 }));
 
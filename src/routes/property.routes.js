@@ -1,7 +1,19 @@
 // src/routes/properties.js
 const express = require('express');
 const router = express.Router();
-const { getProperties, getProperty } = require('../controllers/propertyController');
+const {
+  getProperties, searchPropertiesInArea, getNearbyProperties, getPropertyClusters, getSimilarProperties, getProperty,
+  getPropertyViews, getPriceHistory, getTrendingProperties, compareProperties, getPaymentPlan,
+} = require('../controllers/propertyController');
+const { getConstructionTimeline, addConstructionUpdate } = require('../controllers/constructionController');
+const {
+  validatePropertySearch, validatePropertyAreaSearch, validatePropertyNearby, validatePropertyClusters,
+  validatePropertySimilar, validatePropertyId, validateViewStats, validatePropertyTrending, validatePropertyCompare,
+  validatePaymentPlan, validateConstructionUpdate, validateConstructionTimeline,
+} = require('../middleware/validation.middleware');
+const { authMiddleware, optionalAuth, requireRole } = require('../middleware/auth.middleware');
+const { USER_ROLES } = require('../config/constants');
+const { propertyView: propertyViewLimiter } = require('../middleware/rateLimiter');
 
 // Debug pour vérifier que la route est bien définie
 console.log('🔗 Property routes loaded');
@@ -12,17 +24,519 @@ console.log('🔗 Property routes loaded');
  *   get:
  *     summary: Get all properties with filtering and pagination
  *     tags: [Properties]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         description: Free-text search (French or Arabic, accent-insensitive)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [Appartement, Maison, Villa, Terrain, Commercial, Bureau]
+ *       - in: query
+ *         name: priceMin
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: priceMax
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: surfaceMin
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: surfaceMax
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: rooms
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: features
+ *         description: Comma-separated list of features (all must match)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: yieldMin
+ *         description: Minimum net rental yield in %
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: isVefa
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: deliveryDateBefore
+ *         description: Delivered by this date. ISO day (2026-06-30) or a period as in listings ("T2 2026", "avril 2025", "fin 2025"), counted up to its last day
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: deliveryDateAfter
+ *         description: Delivered from this date on. ISO day or a period, counted from its first day
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, newest, price_asc, price_desc, surface_asc, surface_desc, views, yield_desc, yield_asc]
+ *           description: Defaults to relevance when q is set, newest otherwise. yield_* rank by net rental yield and leave out listings without one
+ *       - in: query
+ *         name: facets
+ *         description: Include facet counts (types, rooms, price buckets, features); each facet ignores its own filter
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: after
+ *         description: Cursor from pagination.nextCursor; stable while new listings are added (not available with relevance sort)
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Properties retrieved successfully
  */
-router.get('/', getProperties);
+router.get('/', optionalAuth, validatePropertySearch, getProperties);
+
+/**
+ * @swagger
+ * /api/v1/properties/search:
+ *   post:
+ *     summary: Search properties inside a polygon drawn on the map
+ *     description: Accepts the same filters as the property listing, plus a GeoJSON area.
+ *     tags: [Properties]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - area
+ *             properties:
+ *               area:
+ *                 type: object
+ *                 description: GeoJSON Polygon or MultiPolygon ([lng, lat] positions, closed rings)
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [Polygon, MultiPolygon]
+ *                   coordinates:
+ *                     type: array
+ *                     items:
+ *                       type: array
+ *               city:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *               priceMin:
+ *                 type: number
+ *               priceMax:
+ *                 type: number
+ *               features:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               sort:
+ *                 type: string
+ *               facets:
+ *                 type: boolean
+ *               after:
+ *                 type: string
+ *               page:
+ *                 type: integer
+ *               limit:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Properties inside the area
+ *       400:
+ *         description: Validation error (invalid, self-intersecting or oversized polygon)
+ */
+router.post('/search', optionalAuth, validatePropertyAreaSearch, searchPropertiesInArea);
+
+/**
+ * @swagger
+ * /api/v1/properties/nearby:
+ *   get:
+ *     summary: Get properties around a point or inside a map viewport, sorted by distance
+ *     description: Accepts the same filters as the property listing. Provide either lat/lng (with radiusKm) or bbox.
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 5
+ *           maximum: 50
+ *       - in: query
+ *         name: bbox
+ *         description: Map viewport as minLng,minLat,maxLng,maxLat
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Properties with their distance (distanceKm) from the search origin
+ *       400:
+ *         description: Validation error
+ */
+router.get('/nearby', validatePropertyNearby, getNearbyProperties);
+
+/**
+ * @swagger
+ * /api/v1/properties/clusters:
+ *   get:
+ *     summary: Get map clusters for a viewport
+ *     description: >
+ *       Groups listings into grid cells with count, average price and centroid.
+ *       From zoom 15 the individual listings are returned instead.
+ *       Accepts the same filters as the property listing.
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: query
+ *         name: bbox
+ *         required: true
+ *         description: Map viewport as minLng,minLat,maxLng,maxLat
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: zoom
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 22
+ *     responses:
+ *       200:
+ *         description: Clusters (mode=clusters) or listings (mode=listings)
+ *       400:
+ *         description: Validation error
+ */
+router.get('/clusters', validatePropertyClusters, getPropertyClusters);
+
+/**
+ * @swagger
+ * /api/v1/properties/trending:
+ *   get:
+ *     summary: Get trending listings
+ *     description: >
+ *       Ranks listings by recent views and favorites, each hour of activity
+ *       weighing half as much every 6 hours (24h window) or 36 hours (7d window).
+ *       When there is not enough recent activity the feed is completed with the
+ *       most viewed listings (trending is null on those).
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: string
+ *           enum: [24h, 7d]
+ *           default: 24h
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [Appartement, Maison, Villa, Terrain, Commercial, Bureau]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 12
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Trending listings, highest score first
+ */
+router.get('/trending', validatePropertyTrending, getTrendingProperties);
+
+/**
+ * @swagger
+ * /api/v1/properties/compare:
+ *   post:
+ *     summary: Compare 2 to 5 properties side by side
+ *     description: >
+ *       Returns one row per field (price, price/m², surface, rooms, floor, VEFA
+ *       status and delivery date, promoter verification and rating) with a cell
+ *       per property, in the order of `propertyIds`. Unknown values are sent as
+ *       `{value: null, missing: true}`; `best` lists the columns with the best
+ *       value when they differ. Features are compared against the feature
+ *       catalogue, and distances between listings are given as a km matrix.
+ *     tags: [Properties]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - propertyIds
+ *             properties:
+ *               propertyIds:
+ *                 type: array
+ *                 minItems: 2
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Comparison matrix
+ *       404:
+ *         description: One of the properties does not exist or is not published
+ */
+router.post('/compare', validatePropertyCompare, compareProperties);
+
+/**
+ * @swagger
+ * /api/v1/properties/{id}/similar:
+ *   get:
+ *     summary: Get properties similar to a listing
+ *     description: >
+ *       Ranks listings of the same type by price per m², rooms, shared features,
+ *       distance and VEFA status. When the city has few matches, listings from the
+ *       neighbouring governorates are included (see widenedTo).
+ *       Each result has a similarity object with the score (0-100), the points
+ *       per criterion (breakdown) and the criteria that match (why).
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 6
+ *           maximum: 20
+ *     responses:
+ *       200:
+ *         description: Similar properties, best score first
+ *       404:
+ *         description: Property not found
+ */
+router.get('/:id/similar', validatePropertyId, validatePropertySimilar, getSimilarProperties);
+
+/**
+ * @swagger
+ * /api/v1/properties/{id}/views:
+ *   get:
+ *     summary: Get daily views of a property
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 365
+ *     responses:
+ *       200:
+ *         description: Zero-filled daily series (UTC days) with period and all-time totals
+ *       404:
+ *         description: Property not found
+ */
+router.get('/:id/views', validatePropertyId, validateViewStats, getPropertyViews);
+
+/**
+ * @swagger
+ * /api/v1/properties/{id}/price-history:
+ *   get:
+ *     summary: Get the price history of a property
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Price changes oldest first, with current, lowest and highest price
+ *       404:
+ *         description: Property not found
+ */
+router.get('/:id/price-history', validatePropertyId, getPriceHistory);
+
+/**
+ * @swagger
+ * /api/v1/properties/{id}/payment-plan:
+ *   get:
+ *     summary: Get the VEFA payment plan of a property
+ *     description: >
+ *       Turns the payment schedule and the price into dated amounts in TND and
+ *       checks that percentages sum to 100. Each instalment is `due` once the
+ *       construction reached its stage, `overdue` when its date has passed too,
+ *       `delayed` when the date has passed but the works are behind, and
+ *       `upcoming` otherwise. Listings without a schedule get a standard
+ *       Tunisian VEFA schedule with `estimate: true`.
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         description: ics downloads the due dates as an iCalendar file
+ *         schema:
+ *           type: string
+ *           enum: [json, ics]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Payment plan
+ *       400:
+ *         description: The property is not sold off-plan (VEFA)
+ *       404:
+ *         description: Property not found
+ */
+router.get('/:id/payment-plan', validatePropertyId, validatePaymentPlan, getPaymentPlan);
+
+/**
+ * @swagger
+ * /api/v1/properties/{id}/construction-updates:
+ *   get:
+ *     summary: Get the construction timeline of a VEFA property
+ *     description: >
+ *       Progress updates posted by the promoter, latest first, with the current
+ *       status and percentage. `delayed` is true when the announced delivery
+ *       period is over and the project is still not "Livré".
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Construction timeline
+ *       400:
+ *         description: The property is not sold off-plan (VEFA)
+ *       404:
+ *         description: Property not found
+ *   post:
+ *     summary: Post a construction progress update
+ *     description: >
+ *       For agents of the listing's promoter and admins. A status change on the
+ *       latest update becomes the listing's construction_progress and notifies
+ *       the users who favorited it.
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [En planification, En cours de construction, En finition, Livré]
+ *               percentage:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *               photos:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                   format: uri
+ *               comment:
+ *                 type: string
+ *               reportedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Date of the progress, defaults to now
+ *     responses:
+ *       201:
+ *         description: Update posted
+ *       403:
+ *         description: Not an agent of the listing's promoter
+ */
+router.get('/:id/construction-updates', validatePropertyId, validateConstructionTimeline, getConstructionTimeline);
+router.post(
+  '/:id/construction-updates',
+  authMiddleware,
+  requireRole(USER_ROLES.AGENT, USER_ROLES.ADMIN),
+  validatePropertyId,
+  validateConstructionUpdate,
+  addConstructionUpdate
+);
 
 /**
  * @swagger
  * /api/v1/properties/{id}:
  *   get:
  *     summary: Get property by ID
+ *     description: >
+ *       Records a view, counted once per user (or IP and browser) every 30 minutes.
+ *       Crawlers and automated clients are not counted.
  *     tags: [Properties]
  *     parameters:
  *       - in: path
@@ -35,7 +549,9 @@ router.get('/', getProperties);
  *         description: Property retrieved successfully
  *       404:
  *         description: Property not found
+ *       429:
+ *         description: Too many property views
  */
-router.get('/:id', getProperty);
+router.get('/:id', validatePropertyId, optionalAuth, propertyViewLimiter, getProperty);
 
 module.exports = router;
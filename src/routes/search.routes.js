@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const { optionalAuth } = require('../middleware/auth.middleware');
+const { validateSearchSuggest } = require('../middleware/validation.middleware');
+
+/**
+ * @swagger
+ * /api/v1/search/suggest:
+ *   get:
+ *     summary: Autocomplete suggestions for cities, districts, promoters and listing titles
+ *     description: >
+ *       Accent-insensitive. Labels are returned in Arabic when lang=ar, or when the
+ *       authenticated user's language is ar. Each suggestion carries the number of
+ *       matching validated properties.
+ *     tags: [Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [fr, ar]
+ *       - in: query
+ *         name: limit
+ *         description: Maximum suggestions per type
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 10
+ *     responses:
+ *       200:
+ *         description: Typed suggestions (city, district, promoter, title)
+ */
+router.get('/suggest', optionalAuth, validateSearchSuggest, searchController.suggest);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const { getSharedCollection } = require('../controllers/collectionController');
+const { validateShareToken, validateCollectionPage } = require('../middleware/validation.middleware');
+
+// Public, read-only views of content shared by users (no authentication)
+
+/**
+ * @swagger
+ * /api/v1/shared/collections/{token}:
+ *   get:
+ *     summary: Get a shared favorite collection
+ *     description: >
+ *       Read-only view of a collection shared by its owner. Private notes, tags
+ *       and owner details are not included.
+ *     tags: [Favorites]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Collection name and its published properties
+ *       404:
+ *         description: Unknown or revoked link
+ */
+router.get('/collections/:token', validateShareToken, validateCollectionPage, getSharedCollection);
+
+module.exports = router;
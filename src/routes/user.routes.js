@@ -1,8 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const savedSearchController = require('../controllers/savedSearchController');
+const { replaySearch } = require('../controllers/propertyController');
 const { authMiddleware } = require('../middleware/auth.middleware');
-const { validateUpdateProfile, validateUpdatePreferences } = require('../middleware/validation.middleware');
+const {
+  validateUpdateProfile, validateUpdatePreferences, validateRecommendations, validateUuidId, validateSearchHistoryReplay,
+  validateSavedSearchCreate, validateSavedSearchUpdate,
+} = require('../middleware/validation.middleware');
 
 // All routes require authentication
 router.use(authMiddleware);
@@ -78,6 +83,10 @@ router.put(
  *                 type: number
  *               surfaceMax:
  *                 type: number
+ *               features:
+ *                 type: array
+ *                 items:
+ *                   type: string
  */
 router.put(
   '/preferences',
@@ -85,6 +94,30 @@ router.put(
   userController.updatePreferences
 );
 
+/**
+ * @swagger
+ * /api/v1/users/recommendations:
+ *   get:
+ *     summary: Get personalized property recommendations
+ *     description: >
+ *       Ranks validated listings against the stated preferences and the user's
+ *       favorites, recently viewed listings and searches. Listings already
+ *       favorited or viewed are left out, and repeated promoters or near-identical
+ *       listings are pushed down. Each result has a recommendation score (0-100)
+ *       with the reasons it matched.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 30
+ */
+router.get('/recommendations', validateRecommendations, userController.getRecommendations);
+
 /**
  * @swagger
  * /api/v1/users/stats:
@@ -96,6 +129,102 @@ router.put(
  */
 router.get('/stats', userController.getUserStats);
 
+/**
+ * @swagger
+ * /api/v1/users/recently-viewed:
+ *   get:
+ *     summary: Get recently viewed properties
+ *     description: Last 50 listings viewed while logged in, most recent first. Unpublished listings are left out.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     summary: Clear recently viewed properties
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/recently-viewed', userController.getRecentlyViewed);
+router.delete('/recently-viewed', userController.clearRecentlyViewed);
+
+/**
+ * @swagger
+ * /api/v1/users/search-history:
+ *   get:
+ *     summary: Get search history
+ *     description: >
+ *       Last 50 property searches made while logged in, most recent first, with
+ *       their normalized filters and result count at the time.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     summary: Clear search history
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/search-history', userController.getSearchHistory);
+router.delete('/search-history', userController.clearSearchHistory);
+
+/**
+ * @swagger
+ * /api/v1/users/search-history/{id}/replay:
+ *   get:
+ *     summary: Re-run a saved search
+ *     description: >
+ *       Runs the stored filters against current listings. newListings counts the
+ *       matching listings published since the original search; they are flagged isNew.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Current results of the search
+ *       404:
+ *         description: Search not found in history
+ */
+router.get('/search-history/:id/replay', validateUuidId, validateSearchHistoryReplay, replaySearch);
+
+/**
+ * @swagger
+ * /api/v1/users/search-history/{id}:
+ *   delete:
+ *     summary: Delete a search from the history
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.delete('/search-history/:id', validateUuidId, userController.deleteSearchHistoryEntry);
+
 /**
  * @swagger
  * /api/v1/users/password:
@@ -143,4 +272,86 @@ router.put('/password', userController.changePassword);
  */
 router.delete('/account', userController.deleteAccount);
 
+/**
+ * @swagger
+ * /api/v1/users/saved-searches:
+ *   get:
+ *     summary: Get saved searches
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     summary: Save a search
+ *     description: >
+ *       With alertsEnabled, newly imported listings matching the filters create
+ *       alerts, sent if preferences.notifications.newListings is on.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - filters
+ *             properties:
+ *               name:
+ *                 type: string
+ *               filters:
+ *                 type: object
+ *                 description: city, type, priceMin, priceMax, surfaceMin, surfaceMax, rooms, features, isVefa, yieldMin, deliveryDateBefore, deliveryDateAfter
+ *               alertsEnabled:
+ *                 type: boolean
+ *                 default: true
+ */
+router.get('/saved-searches', savedSearchController.getSavedSearches);
+router.post('/saved-searches', validateSavedSearchCreate, savedSearchController.createSavedSearch);
+
+/**
+ * @swagger
+ * /api/v1/users/saved-searches/{id}:
+ *   put:
+ *     summary: Update a saved search
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               filters:
+ *                 type: object
+ *               alertsEnabled:
+ *                 type: boolean
+ *   delete:
+ *     summary: Delete a saved search
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.put('/saved-searches/:id', validateUuidId, validateSavedSearchUpdate, savedSearchController.updateSavedSearch);
+router.delete('/saved-searches/:id', validateUuidId, savedSearchController.deleteSavedSearch);
+
 module.exports = router;
\ No newline at end of file
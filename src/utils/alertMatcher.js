@@ -0,0 +1,305 @@
+const SavedSearch = require('../models/SavedSearch');
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const UserFavorite = require('../models/UserFavorite');
+const { notify } = require('./notifier');
+const { normalizeText } = require('./textSearch');
+const { parseArrayFromQuery } = require('./helpers');
+const { deliveryDateBound } = require('./deliveryDate');
+const logger = require('./logger');
+const { ALERTS, LANGUAGES } = require('../config/constants');
+
+/**
+ * Check a property against saved search filters, with the same rules as
+ * Property.search() so alerts agree with what the search page shows
+ * @param {object} property - Property (plain object)
+ * @param {object} filters - Saved search filters
+ * @returns {boolean} - True if the property matches
+ */
+const matchesFilters = (property, filters) => {
+  const {
+    city, type, priceMin, priceMax, surfaceMin, surfaceMax, rooms, isVefa, yieldMin,
+    deliveryDateBefore, deliveryDateAfter,
+  } = filters;
+
+  if (city && !normalizeText(property.location_id?.city).includes(normalizeText(city))) return false;
+  if (type && property.type !== type) return false;
+  if (priceMin && !(property.price >= priceMin)) return false;
+  if (priceMax && !(property.price <= priceMax)) return false;
+  if (surfaceMin && !(property.surface >= surfaceMin)) return false;
+  if (surfaceMax && !(property.surface <= surfaceMax)) return false;
+  if (rooms && property.apartment_details_id?.rooms !== rooms) return false;
+  if (yieldMin && !(property.rentalEstimate?.netYield >= yieldMin)) return false;
+
+  const features = parseArrayFromQuery(filters.features);
+  const propertyFeatures = property.apartment_details_id?.features || [];
+  if (!features.every(feature => propertyFeatures.includes(feature))) return false;
+
+  if (isVefa !== undefined && Boolean(property.VEFA_details_id?.is_vefa) !== isVefa) return false;
+
+  if (deliveryDateBefore || deliveryDateAfter) {
+    const window = property.VEFA_details_id?.delivery_window;
+    if (!window?.start) return false;
+
+    const before = deliveryDateBefore && deliveryDateBound(deliveryDateBefore, 'before');
+    const after = deliveryDateAfter && deliveryDateBound(deliveryDateAfter, 'after');
+    if (before && !(window.end <= before)) return false;
+    if (after && !(window.start >= after)) return false;
+  }
+
+  return true;
+};
+
+// Listing snapshot stored on the alert and sent in the notification
+const alertPayload = (property, search) => ({
+  savedSearchName: search.name,
+  title: property.title,
+  price: property.price,
+  surface: property.surface,
+  type: property.type,
+  city: property.location_id?.city,
+  image: property.images?.[0],
+});
+
+/**
+ * Send one notification per user for their pending alerts and record the outcome
+ * @param {object} user - User (id, email, language)
+ * @param {array} alerts - Alert instances
+ * @param {object} subject - Bilingual subject
+ * @returns {boolean} - True if delivered
+ */
+const deliverAlerts = async (user, alerts, subject) => {
+  const ids = alerts.map(alert => alert.id);
+  const language = user.language || LANGUAGES.FR;
+
+  try {
+    await notify({
+      type: alerts[0].type,
+      userId: user.id,
+      email: user.email,
+      language,
+      subject: subject[language] || subject.fr,
+      items: alerts.map(alert => ({
+        alertId: alert.id,
+        savedSearchId: alert.savedSearchId,
+        propertyId: alert.propertyId,
+        ...alert.payload,
+      })),
+    });
+    await Alert.update({ status: ALERTS.STATUS.SENT, sentAt: new Date() }, { where: { id: ids } });
+    return true;
+  } catch (error) {
+    logger.error('Alert delivery failed', { userId: user.id, error: error.message });
+    await Alert.update({ status: ALERTS.STATUS.FAILED, error: error.message }, { where: { id: ids } });
+    return false;
+  }
+};
+
+/**
+ * Match newly imported properties against saved searches with alerts enabled,
+ * create one alert per search and property, and notify each user once.
+ * Users who turned off preferences.notifications.newListings get alerts
+ * recorded as skipped, without notification.
+ * @param {array} properties - New properties (plain objects)
+ * @returns {object} - Summary counts
+ */
+const matchNewProperties = async (properties) => {
+  const listings = properties.filter(property => property.validated !== false);
+  const summary = {
+    properties: listings.length, searches: 0, alerts: 0, sent: 0, skipped: 0, failed: 0,
+  };
+  if (listings.length === 0) return summary;
+
+  const searches = await SavedSearch.findAll({
+    where: { alertsEnabled: true },
+    include: [{
+      model: User,
+      as: 'user',
+      where: { isActive: true },
+      attributes: ['id', 'email', 'language', 'preferences'],
+    }],
+  });
+  summary.searches = searches.length;
+
+  const pendingByUser = new Map();
+
+  for (const search of searches) {
+    const matches = listings.filter(property => matchesFilters(property, search.filters));
+    if (matches.length === 0) continue;
+
+    // A property re-imported later must not alert twice
+    const existing = await Alert.findAll({
+      where: {
+        savedSearchId: search.id,
+        propertyId: matches.map(property => property._id),
+        type: ALERTS.TYPES.NEW_LISTING,
+      },
+      attributes: ['propertyId'],
+    });
+    const alerted = new Set(existing.map(alert => alert.propertyId));
+    const fresh = matches.filter(property => !alerted.has(property._id));
+    if (fresh.length === 0) continue;
+
+    const wantsAlerts = search.user.preferences?.notifications?.newListings !== false;
+    const alerts = await Alert.bulkCreate(fresh.map(property => ({
+      userId: search.userId,
+      savedSearchId: search.id,
+      propertyId: property._id,
+      type: ALERTS.TYPES.NEW_LISTING,
+      status: wantsAlerts ? ALERTS.STATUS.PENDING : ALERTS.STATUS.SKIPPED,
+      payload: alertPayload(property, search),
+    })));
+
+    await search.update({ lastAlertAt: new Date() });
+    summary.alerts += alerts.length;
+
+    if (!wantsAlerts) {
+      summary.skipped += alerts.length;
+      continue;
+    }
+
+    if (!pendingByUser.has(search.userId)) {
+      pendingByUser.set(search.userId, { user: search.user, alerts: [] });
+    }
+    pendingByUser.get(search.userId).alerts.push(...alerts);
+  }
+
+  for (const { user, alerts } of pendingByUser.values()) {
+    const delivered = await deliverAlerts(user, alerts, ALERTS.SUBJECTS.NEW_LISTINGS);
+    summary[delivered ? 'sent' : 'failed'] += alerts.length;
+  }
+
+  return summary;
+};
+
+/**
+ * Alert the users who favorited a listing that its price dropped.
+ * Only users with preferences.notifications.priceAlerts on are alerted.
+ * @param {object} property - Property with its new price (plain object)
+ * @param {number} previousPrice - Price before the drop
+ * @returns {object} - Summary counts
+ */
+const createPriceDropAlerts = async (property, previousPrice) => {
+  const summary = { alerts: 0, sent: 0, failed: 0 };
+
+  // Price 0 means "price on request", neither side is a real price
+  if (!(previousPrice > 0) || !(property.price > 0)) return summary;
+
+  const dropPercent = (previousPrice - property.price) / previousPrice * 100;
+  if (dropPercent < ALERTS.MIN_PRICE_DROP_PERCENT) return summary;
+
+  const favorites = await UserFavorite.findAll({
+    where: { propertyId: property._id },
+    include: [{
+      model: User,
+      as: 'user',
+      where: { isActive: true },
+      attributes: ['id', 'email', 'language', 'preferences'],
+    }],
+  });
+
+  const recipients = favorites
+    .map(favorite => favorite.user)
+    .filter(user => user.preferences?.notifications?.priceAlerts !== false);
+
+  for (const user of recipients) {
+    const alert = await Alert.create({
+      userId: user.id,
+      propertyId: property._id,
+      type: ALERTS.TYPES.PRICE_DROP,
+      payload: {
+        title: property.title,
+        previousPrice,
+        price: property.price,
+        dropPercent: Math.round(dropPercent * 10) / 10,
+        type: property.type,
+        city: property.location_id?.city,
+        image: property.images?.[0],
+      },
+    });
+    summary.alerts += 1;
+
+    const delivered = await deliverAlerts(user, [alert], ALERTS.SUBJECTS.PRICE_DROP);
+    summary[delivered ? 'sent' : 'failed'] += 1;
+  }
+
+  return summary;
+};
+
+/**
+ * Alert the users who favorited a VEFA listing that its construction status
+ * changed. Only users with preferences.notifications.projectUpdates on are alerted.
+ * @param {object} property - Property (plain object)
+ * @param {object} update - ConstructionUpdate reporting the new status
+ * @returns {object} - Summary counts
+ */
+const createConstructionStatusAlerts = async (property, update) => {
+  const summary = { alerts: 0, sent: 0, failed: 0 };
+
+  const favorites = await UserFavorite.findAll({
+    where: { propertyId: property._id },
+    include: [{
+      model: User,
+      as: 'user',
+      where: { isActive: true },
+      attributes: ['id', 'email', 'language', 'preferences'],
+    }],
+  });
+
+  const recipients = favorites
+    .map(favorite => favorite.user)
+    .filter(user => user.preferences?.notifications?.projectUpdates !== false);
+
+  for (const user of recipients) {
+    const alert = await Alert.create({
+      userId: user.id,
+      propertyId: property._id,
+      type: ALERTS.TYPES.CONSTRUCTION_STATUS,
+      payload: {
+        title: property.title,
+        previousStatus: update.previous_status || null,
+        status: update.status,
+        percentage: update.percentage ?? null,
+        comment: update.comment || null,
+        photo: update.photos?.[0],
+        reportedAt: update.reported_at,
+        deliveryDate: property.VEFA_details_id?.delivery_date,
+        city: property.location_id?.city,
+        image: property.images?.[0],
+      },
+    });
+    summary.alerts += 1;
+
+    const delivered = await deliverAlerts(user, [alert], ALERTS.SUBJECTS.CONSTRUCTION_STATUS);
+    summary[delivered ? 'sent' : 'failed'] += 1;
+  }
+
+  return summary;
+};
+
+/**
+ * Alert the users who favorited a listing whenever the Property model records
+ * a price drop. Imports (seeds) collect the drops and alert after the import instead.
+ * @param {object} Property - Property model
+ * @returns {function} - Stops watching
+ */
+const watchPriceDrops = (Property) => {
+  const onPriceDrop = ({ property, previousPrice }) => {
+    // Notifications must not fail the update
+    createPriceDropAlerts(property, previousPrice).catch(error => {
+      logger.error('Price drop alerts failed', { propertyId: property._id, error: error.message });
+    });
+  };
+
+  Property.on('priceDrop', onPriceDrop);
+  return () => Property.off('priceDrop', onPriceDrop);
+};
+
+module.exports = {
+  matchesFilters,
+  deliverAlerts,
+  matchNewProperties,
+  createPriceDropAlerts,
+  createConstructionStatusAlerts,
+  watchPriceDrops,
+};
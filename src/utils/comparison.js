@@ -0,0 +1,142 @@
+const { PROPERTY_FEATURES } = require('../config/constants');
+const { calculateDistance } = require('./validators');
+const { getLocationCoordinates } = require('./geo');
+const { calculatePricePerM2 } = require('./helpers');
+
+// Unknown values are sent as {value: null, missing: true} so the UI can show "non renseigné"
+const cell = value => (value === null || value === undefined
+  ? { value: null, missing: true }
+  : { value, missing: false });
+
+const positive = value => (value > 0 ? value : null);
+
+// Compared fields, in display order. `best` tells which end of a numeric row is
+// the better one; price 0 ("prix sur demande") and rating 0 (no reviews) count as unknown.
+const ROWS = [
+  { field: 'price', unit: 'TND', best: 'min', value: p => positive(p.price) },
+  {
+    field: 'pricePerM2',
+    unit: 'TND/m²',
+    best: 'min',
+    value: p => positive(p.pricePerM2) ?? calculatePricePerM2(p.price, p.surface),
+  },
+  { field: 'surface', unit: 'm²', best: 'max', value: p => positive(p.surface) },
+  { field: 'rooms', best: 'max', value: p => p.apartment_details_id?.rooms },
+  { field: 'bedrooms', best: 'max', value: p => p.apartment_details_id?.bedrooms },
+  { field: 'bathrooms', best: 'max', value: p => p.apartment_details_id?.bathrooms },
+  { field: 'floor', value: p => p.apartment_details_id?.floor },
+  { field: 'totalFloors', value: p => p.apartment_details_id?.total_floors },
+  { field: 'isVefa', value: p => p.VEFA_details_id?.is_vefa },
+  // Construction progress and delivery only mean something for VEFA listings
+  { field: 'vefaStatus', value: p => (p.VEFA_details_id?.is_vefa ? p.VEFA_details_id.construction_progress : null) },
+  { field: 'deliveryDate', value: p => (p.VEFA_details_id?.is_vefa ? p.VEFA_details_id.delivery_date || null : null) },
+  { field: 'promoterName', value: p => p.promoter_id?.name },
+  { field: 'promoterVerified', value: p => p.promoter_id?.verified },
+  { field: 'promoterRating', best: 'max', value: p => positive(p.promoter_id?.rating) },
+];
+
+/**
+ * Indexes of the best values of a row, only when the known values differ
+ * @param {array} cells - Row cells
+ * @param {string} direction - min or max
+ * @returns {array} - Column indexes
+ */
+const bestIndexes = (cells, direction) => {
+  const known = cells.map(({ value }) => value).filter(value => value !== null);
+  if (new Set(known).size < 2) return [];
+
+  const target = direction === 'min' ? Math.min(...known) : Math.max(...known);
+  return cells.reduce((indexes, { value }, index) => (value === target ? [...indexes, index] : indexes), []);
+};
+
+/**
+ * Compare features against the PROPERTY_FEATURES catalogue
+ * @param {array} properties - Compared properties
+ * @returns {object} - common features, differing features with presence per
+ *   property (null when the listing has no features), and missing flags
+ */
+const compareFeatures = (properties) => {
+  const featureSets = properties.map((property) => {
+    const features = property.apartment_details_id?.features;
+    return features?.length > 0 ? new Set(features) : null;
+  });
+  const known = featureSets.filter(Boolean);
+
+  const common = [];
+  const differing = [];
+  PROPERTY_FEATURES.forEach((feature) => {
+    const holders = known.filter(features => features.has(feature)).length;
+    if (holders === 0) return;
+
+    if (holders === known.length && known.length === properties.length) {
+      common.push(feature);
+    } else {
+      differing.push({
+        feature,
+        present: featureSets.map(features => (features ? features.has(feature) : null)),
+      });
+    }
+  });
+
+  return {
+    common,
+    differing,
+    missing: featureSets.map(features => features === null),
+  };
+};
+
+/**
+ * Distances between listings in km, rounded to 10 m
+ * @param {array} properties - Compared properties
+ * @returns {object} - Symmetric matrix (null where coordinates are missing) and missing flags
+ */
+const compareDistances = (properties) => {
+  const coordinates = properties.map(property => getLocationCoordinates(property.location_id));
+
+  const matrix = coordinates.map((from, i) => coordinates.map((to, j) => {
+    if (i === j) return 0;
+    if (!from || !to) return null;
+    return Math.round(calculateDistance(from.lat, from.lng, to.lat, to.lng) * 100) / 100;
+  }));
+
+  return {
+    unit: 'km',
+    matrix,
+    missing: coordinates.map(point => point === null),
+  };
+};
+
+/**
+ * Build the side-by-side comparison matrix. Columns follow the order of
+ * `properties`.
+ * @param {array} properties - Lean properties with promoter_id populated
+ * @returns {object} - {properties, rows, features, distances}
+ */
+const buildComparison = properties => ({
+  properties: properties.map(property => ({
+    id: property._id,
+    title: property.title,
+    type: property.type,
+    url: property.url,
+    image: property.images?.[0] || null,
+    city: property.location_id?.city || null,
+    district: property.location_id?.district || null,
+  })),
+  rows: ROWS.map(({
+    field, unit, best, value,
+  }) => {
+    const cells = properties.map(property => cell(value(property)));
+    return {
+      field,
+      ...(unit && { unit }),
+      values: cells,
+      ...(best && { best: bestIndexes(cells, best) }),
+    };
+  }),
+  features: compareFeatures(properties),
+  distances: compareDistances(properties),
+});
+
+module.exports = {
+  buildComparison,
+};
@@ -0,0 +1,145 @@
+const { DELIVERY_DATES } = require('../config/constants');
+const { normalizeText } = require('./textSearch');
+
+const { PRECISIONS } = DELIVERY_DATES;
+
+// Lookup tables are keyed by normalized words (see normalizeText)
+const normalizedMap = entries => new Map(entries.map(([word, value]) => [normalizeText(word), value]));
+
+// French (with the abbreviations found in listings), Tunisian and Middle Eastern Arabic
+const MONTHS = normalizedMap([
+  ['janvier', 0], ['janv', 0], ['février', 1], ['fév', 1], ['févr', 1], ['mars', 2],
+  ['avril', 3], ['avr', 3], ['mai', 4], ['juin', 5], ['juillet', 6], ['juil', 6],
+  ['août', 7], ['septembre', 8], ['sept', 8], ['octobre', 9], ['oct', 9],
+  ['novembre', 10], ['nov', 10], ['décembre', 11], ['déc', 11],
+  ['جانفي', 0], ['فيفري', 1], ['مارس', 2], ['أفريل', 3], ['ماي', 4], ['جوان', 5],
+  ['جويلية', 6], ['أوت', 7], ['سبتمبر', 8], ['أكتوبر', 9], ['نوفمبر', 10], ['ديسمبر', 11],
+  ['يناير', 0], ['فبراير', 1], ['أبريل', 3], ['مايو', 4], ['يونيو', 5], ['يوليو', 6], ['أغسطس', 7],
+]);
+
+const QUARTER_WORDS = new Set(['trimestre', 'الثلاثي', 'الثلاثية', 'الربع'].map(normalizeText));
+
+const QUARTER_ORDINALS = normalizedMap([
+  ['premier', 1], ['deuxième', 2], ['second', 2], ['troisième', 3], ['quatrième', 4],
+  ['الأول', 1], ['الأولى', 1], ['الثاني', 2], ['الثانية', 2],
+  ['الثالث', 3], ['الثالثة', 3], ['الرابع', 4], ['الرابعة', 4],
+]);
+
+// "fin 2025" is read as the last quarter, "début 2026" as the first one
+const END_OF_YEAR_WORDS = new Set(['fin', 'نهاية', 'أواخر'].map(normalizeText));
+const START_OF_YEAR_WORDS = new Set(['début', 'بداية', 'مطلع', 'أوائل'].map(normalizeText));
+
+const MIN_YEAR = 2000;
+const MAX_YEAR = 2100;
+
+/**
+ * Build a delivery window from its first month and length
+ * @param {number} year - Year
+ * @param {number} month - First month (0-11)
+ * @param {number} months - Number of months in the period
+ * @param {string} precision - DELIVERY_DATES.PRECISIONS value
+ * @returns {object} - {start, end, precision}; end is the last day of the period
+ */
+const deliveryWindow = (year, month, months, precision) => ({
+  start: new Date(Date.UTC(year, month, 1)),
+  end: new Date(Date.UTC(year, month + months, 0)),
+  precision,
+});
+
+/**
+ * Read a quarter number from tokens: "T2", "Q2", "2ème trimestre",
+ * "deuxième trimestre", "الثلاثية الثانية"
+ * @param {array} tokens - Normalized tokens
+ * @returns {number|null} - Quarter (1-4) or null
+ */
+const findQuarter = (tokens) => {
+  const short = tokens.map(token => /^[tq]([1-4])$/.exec(token)).find(Boolean);
+  if (short) return Number(short[1]);
+
+  if (!tokens.some(token => QUARTER_WORDS.has(token))) return null;
+
+  for (const token of tokens) {
+    if (QUARTER_ORDINALS.has(token)) return QUARTER_ORDINALS.get(token);
+    const ordinal = /^([1-4])(er|ere|e|eme|nd|nde)?$/.exec(token);
+    if (ordinal) return Number(ordinal[1]);
+  }
+  return null;
+};
+
+/**
+ * Parse a delivery date as written in listings: "avril 2025", "04/2025",
+ * "T2 2026", "2ème trimestre 2026", "fin 2025", "2026", "أفريل 2025",
+ * "الثلاثية الثانية 2026", "نهاية 2025"...
+ * @param {string} text - Free-text delivery date
+ * @returns {object|null} - {start, end, precision} or null if no year is found
+ */
+const parseDeliveryDate = (text) => {
+  const normalized = normalizeText(text);
+  if (!normalized) return null;
+
+  // "04/2025", "04-2025", "2025-04" (but not the "4-2025" of "Q4-2025")
+  const monthYear = /(?:^|[^a-z0-9])(\d{1,2})\s*[/.-]\s*(\d{4})(?!\d)/.exec(normalized);
+  const yearMonth = /(?:^|[^a-z0-9])(\d{4})-(\d{1,2})(?!\d)/.exec(normalized);
+  if (monthYear || yearMonth) {
+    const year = Number(monthYear ? monthYear[2] : yearMonth[1]);
+    const month = Number(monthYear ? monthYear[1] : yearMonth[2]) - 1;
+    if (year >= MIN_YEAR && year <= MAX_YEAR && month >= 0 && month <= 11) {
+      return deliveryWindow(year, month, 1, PRECISIONS.MONTH);
+    }
+  }
+
+  const tokens = normalized.split(/[^a-z0-9\u0621-\u064a]+/).filter(Boolean);
+  const yearToken = tokens.find(token => /^\d{4}$/.test(token));
+  const year = Number(yearToken);
+  if (!yearToken || year < MIN_YEAR || year > MAX_YEAR) return null;
+
+  const monthToken = tokens.find(token => MONTHS.has(token));
+  if (monthToken) {
+    return deliveryWindow(year, MONTHS.get(monthToken), 1, PRECISIONS.MONTH);
+  }
+
+  const quarter = findQuarter(tokens);
+  if (quarter) {
+    return deliveryWindow(year, (quarter - 1) * 3, 3, PRECISIONS.QUARTER);
+  }
+  if (tokens.some(token => END_OF_YEAR_WORDS.has(token))) {
+    return deliveryWindow(year, 9, 3, PRECISIONS.QUARTER);
+  }
+  if (tokens.some(token => START_OF_YEAR_WORDS.has(token))) {
+    return deliveryWindow(year, 0, 3, PRECISIONS.QUARTER);
+  }
+
+  return deliveryWindow(year, 0, 12, PRECISIONS.YEAR);
+};
+
+/**
+ * Resolve a delivery date search bound. Accepts an ISO day ("2026-06-30") or
+ * anything parseDeliveryDate understands; a period counts up to its last day
+ * for `before` and from its first day for `after`.
+ * @param {string} value - Filter value
+ * @param {string} bound - before or after
+ * @returns {Date|null} - Bound date or null if unreadable
+ */
+const deliveryDateBound = (value, bound) => {
+  if (typeof value !== 'string') return null;
+
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+  if (day) {
+    const [year, month, date] = day.slice(1).map(Number);
+    const result = new Date(Date.UTC(year, month - 1, date));
+    // Date.UTC rolls "2026-02-31" over to March 3rd
+    const exists = result.getUTCFullYear() === year
+      && result.getUTCMonth() === month - 1
+      && result.getUTCDate() === date;
+    return exists ? result : null;
+  }
+
+  const window = parseDeliveryDate(value);
+  if (!window) return null;
+  return bound === 'before' ? window.end : window.start;
+};
+
+module.exports = {
+  parseDeliveryDate,
+  deliveryDateBound,
+};
@@ -0,0 +1,166 @@
+const PDFDocument = require('pdfkit');
+const { AppError } = require('../middleware/error.middleware');
+const { formatPrice, formatSurface, formatTunisianPhone } = require('./validators');
+const { ERROR_CODES, ERROR_MESSAGES } = require('../config/constants');
+
+// Excel reads the BOM as UTF-8 (Arabic titles) and, in French locales, splits on ";"
+const CSV_BOM = '\uFEFF';
+const CSV_SEPARATOR = ';';
+
+const CSV_COLUMNS = [
+  ['ID', item => item.id],
+  ['Titre', item => item.title],
+  ['Type', item => item.type],
+  ['Prix (DT)', item => item.price],
+  ['Surface (m²)', item => item.surface],
+  ['Ville', item => item.location.city],
+  ['Quartier', item => item.location.district],
+  ['Adresse', item => item.location.address],
+  ['Pièces', item => item.details.rooms],
+  ['Équipements', item => (item.details.features || []).join(', ')],
+  ['Promoteur', item => item.promoter.name],
+  ['Téléphone', item => item.promoter.phone && formatTunisianPhone(item.promoter.phone), { phone: true }],
+  ['Email', item => item.promoter.email],
+  ['Annonce', item => item.url],
+  ['Ajouté le', item => item.favoritedAt && new Date(item.favoritedAt).toISOString()],
+  ['Collection', item => item.collection],
+  ['Étiquettes', item => (item.tags || []).join(', ')],
+  ['Note', item => item.note],
+];
+
+/**
+ * Escape a CSV cell. Cells starting like a formula are prefixed so spreadsheets
+ * show them as text instead of evaluating them.
+ * International phone numbers (+216...) are kept as they are in the phone column.
+ * @param {*} value - Cell value
+ * @param {object} options - phone: true for the phone column
+ * @returns {string} - Escaped cell
+ */
+const csvCell = (value, { phone = false } = {}) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  const isPhoneNumber = phone && /^\+[\d ]+$/.test(text);
+  if (!isPhoneNumber && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build the favorites CSV
+ * @param {array} favorites - Favorites as in the JSON export
+ * @returns {string} - CSV with BOM, CRLF line endings
+ */
+const buildFavoritesCsv = (favorites) => {
+  const lines = [
+    CSV_COLUMNS.map(([header]) => csvCell(header)).join(CSV_SEPARATOR),
+    ...favorites.map(item => CSV_COLUMNS.map(([, value, options]) => csvCell(value(item), options)).join(CSV_SEPARATOR)),
+  ];
+  return CSV_BOM + lines.join('\r\n') + '\r\n';
+};
+
+// PDF fonts: the built-in Helvetica only covers Latin-1, so Arabic needs a TTF
+// font given through PDF_FONT_PATH / PDF_FONT_BOLD_PATH
+const getPdfFonts = () => ({
+  regular: process.env.PDF_FONT_PATH || 'Helvetica',
+  bold: process.env.PDF_FONT_BOLD_PATH || process.env.PDF_FONT_PATH || 'Helvetica-Bold',
+  embedded: Boolean(process.env.PDF_FONT_PATH),
+});
+
+// Characters the built-in font cannot draw
+const NON_LATIN_PATTERN = /[^\s\u0020-\u00ff\u2013\u2014\u2019\u20ac]/;
+
+/**
+ * Prepare text for the PDF. Intl number formatting uses narrow no-break spaces.
+ * @param {*} value - Text
+ * @param {boolean} embedded - True when a TTF font is used
+ * @returns {string} - Printable text
+ * @throws {AppError} - When the built-in font cannot draw the text: dropping
+ *   characters would print wrong titles and names
+ */
+const pdfText = (value, embedded) => {
+  const text = String(value ?? '').replace(/[\u00a0\u202f]/g, ' ');
+  if (!embedded && NON_LATIN_PATTERN.test(text)) {
+    throw new AppError(ERROR_MESSAGES.PDF_FONT_MISSING, 500, ERROR_CODES.PDF_FONT_MISSING);
+  }
+  return text;
+};
+
+/**
+ * Build a printable favorites shortlist as PDF. The whole document is laid out
+ * before it is returned, so an export that cannot be printed fails before
+ * anything is sent.
+ * @param {object} exportData - {user, favorites} as in the JSON export
+ * @returns {object} - Finished PDFKit document, a readable stream
+ * @throws {AppError} - When the text needs PDF_FONT_PATH and it is not set
+ */
+const buildFavoritesPdf = ({ user, favorites }) => {
+  const fonts = getPdfFonts();
+  const text = value => pdfText(value, fonts.embedded);
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    bufferPages: true,
+    info: { Title: 'Nestify - Sélection de biens', Author: 'Nestify' },
+  });
+
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  doc.font(fonts.bold).fontSize(18).text('Sélection de biens');
+  doc.font(fonts.regular).fontSize(10).fillColor('#555555')
+    .text(text(`${user.name} · ${new Date(user.exportDate).toLocaleDateString('fr-TN')} · ${favorites.length} bien(s)`));
+  doc.moveDown(1.5);
+
+  favorites.forEach((item, index) => {
+    // Keep each listing on a single page
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 110) {
+      doc.addPage();
+    }
+
+    const title = text(item.title) || text([item.type, item.location.city].filter(Boolean).join(' - '));
+    const phone = item.promoter.phone ? formatTunisianPhone(item.promoter.phone) : null;
+
+    doc.font(fonts.bold).fontSize(12).fillColor('#000000')
+      .text(`${index + 1}. ${title}`, { width });
+    doc.font(fonts.regular).fontSize(10).fillColor('#222222')
+      .text(text([
+        formatPrice(item.price),
+        item.surface ? formatSurface(item.surface) : null,
+        [item.location.district, item.location.city].filter(Boolean).join(', '),
+      ].filter(Boolean).join('  ·  ')), { width });
+
+    const contact = [item.promoter.name, phone, item.promoter.email].filter(Boolean).join('  ·  ');
+    if (contact) {
+      doc.fillColor('#555555').text(text(`Promoteur : ${contact}`), { width });
+    }
+    if (item.url) {
+      doc.fillColor('#1a56db').text(item.url, { width, link: item.url, underline: true });
+    }
+
+    doc.moveDown(0.5);
+    doc.strokeColor('#dddddd').moveTo(doc.page.margins.left, doc.y).lineTo(doc.page.margins.left + width, doc.y).stroke();
+    doc.moveDown(0.8);
+  });
+
+  // Page numbers once all pages exist. Writing in the bottom margin would
+  // otherwise make PDFKit start a new page.
+  const { start, count } = doc.bufferedPageRange();
+  for (let page = start; page < start + count; page += 1) {
+    doc.switchToPage(page);
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font(fonts.regular).fontSize(8).fillColor('#888888').text(
+      `${page - start + 1} / ${count}`,
+      doc.page.margins.left,
+      doc.page.height - bottom + 20,
+      { width, align: 'center', lineBreak: false }
+    );
+    doc.page.margins.bottom = bottom;
+  }
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  buildFavoritesCsv,
+  buildFavoritesPdf,
+};
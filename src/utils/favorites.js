@@ -0,0 +1,51 @@
+const Property = require('../models/Property');
+
+// Newest favorites first, id as tie-breaker so cursors never skip or repeat a row
+const FAVORITE_ORDER = [['created_at', 'DESC'], ['id', 'DESC']];
+
+/**
+ * Favorite details returned to its owner with each property
+ * @param {object} favorite - UserFavorite instance
+ * @returns {object} - favoritedAt, note, tags and collectionId
+ */
+const favoriteDetails = favorite => ({
+  favoritedAt: favorite.createdAt,
+  note: favorite.note,
+  tags: favorite.tags,
+  collectionId: favorite.collectionId,
+});
+
+/**
+ * Load properties for favorites, in the favorites order
+ * @param {array} favorites - UserFavorite instances
+ * @param {object} options - validatedOnly, select, populate (promoter fields),
+ *   details (maps a favorite to the fields added to its property)
+ * @returns {array} - Properties with isFavorited and favorite details
+ */
+const loadFavoriteProperties = async (favorites, {
+  validatedOnly = true, select, populate, details = favoriteDetails,
+} = {}) => {
+  const query = { _id: { $in: favorites.map(favorite => favorite.propertyId) } };
+  if (validatedOnly) query.validated = true;
+
+  let request = Property.find(query);
+  if (select) request = request.select(select);
+  if (populate) request = request.populate('promoter_id', populate);
+  const properties = await request.lean();
+
+  const propertiesById = new Map(properties.map(property => [property._id, property]));
+
+  return favorites
+    .filter(favorite => propertiesById.has(favorite.propertyId))
+    .map(favorite => ({
+      ...propertiesById.get(favorite.propertyId),
+      isFavorited: true,
+      ...details(favorite),
+    }));
+};
+
+module.exports = {
+  FAVORITE_ORDER,
+  favoriteDetails,
+  loadFavoriteProperties,
+};
@@ -0,0 +1,168 @@
+const financeConfig = require('../config/finance');
+
+// Amounts are kept to the millime
+const roundTnd = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Monthly payment of a fixed-rate loan
+ * @param {number} principal - Loan amount
+ * @param {number} monthlyRate - Monthly rate (0.0075 for 9 % a year)
+ * @param {number} months - Number of monthly payments
+ * @returns {number} - Monthly payment
+ */
+const monthlyPayment = (principal, monthlyRate, months) => {
+  if (monthlyRate === 0) return principal / months;
+  return principal * monthlyRate / (1 - (1 + monthlyRate) ** -months);
+};
+
+/**
+ * Largest loan a monthly payment can repay
+ * @param {number} payment - Monthly payment
+ * @param {number} monthlyRate - Monthly rate
+ * @param {number} months - Number of monthly payments
+ * @returns {number} - Loan amount
+ */
+const maxLoanForPayment = (payment, monthlyRate, months) => {
+  if (monthlyRate === 0) return payment * months;
+  return payment * (1 - (1 + monthlyRate) ** -months) / monthlyRate;
+};
+
+/**
+ * Monthly amortization table. The last payment absorbs rounding so the
+ * balance ends at exactly 0.
+ * @param {number} principal - Loan amount
+ * @param {number} monthlyRate - Monthly rate
+ * @param {number} months - Number of monthly payments
+ * @param {number} payment - Rounded monthly payment
+ * @returns {array} - {month, payment, interest, principal, balance}
+ */
+const buildAmortization = (principal, monthlyRate, months, payment) => {
+  const rows = [];
+  let balance = principal;
+
+  for (let month = 1; month <= months; month += 1) {
+    const interest = roundTnd(balance * monthlyRate);
+    const repaid = month === months ? balance : roundTnd(payment - interest);
+    balance = roundTnd(balance - repaid);
+    rows.push({
+      month,
+      payment: roundTnd(repaid + interest),
+      interest,
+      principal: repaid,
+      balance,
+    });
+  }
+
+  return rows;
+};
+
+// Sum a monthly table per loan year
+const yearlyAmortization = rows => rows.reduce((years, row) => {
+  const year = Math.ceil(row.month / 12);
+  if (!years[year - 1]) {
+    years[year - 1] = {
+      year, payment: 0, interest: 0, principal: 0, balance: 0,
+    };
+  }
+  const summary = years[year - 1];
+  summary.payment = roundTnd(summary.payment + row.payment);
+  summary.interest = roundTnd(summary.interest + row.interest);
+  summary.principal = roundTnd(summary.principal + row.principal);
+  summary.balance = row.balance;
+  return years;
+}, []);
+
+/**
+ * Check a preset's conditions; the simulation is still run when they are not met
+ * @param {object} preset - Preset from the finance configuration
+ * @param {object} loan - price, downPaymentPercent, durationYears
+ * @returns {array} - Warnings ({code, limit})
+ */
+const presetWarnings = (preset, { price, downPaymentPercent, durationYears }) => {
+  const warnings = [];
+  if (downPaymentPercent < preset.minDownPaymentPercent) {
+    warnings.push({ code: 'DOWN_PAYMENT_BELOW_MINIMUM', limit: preset.minDownPaymentPercent });
+  }
+  if (durationYears > preset.maxDurationYears) {
+    warnings.push({ code: 'DURATION_ABOVE_MAXIMUM', limit: preset.maxDurationYears });
+  }
+  if (preset.maxPrice && price > preset.maxPrice) {
+    warnings.push({ code: 'PRICE_ABOVE_CEILING', limit: preset.maxPrice });
+  }
+  return warnings;
+};
+
+/**
+ * Simulate a fixed-rate home loan. Values left out come from the preset,
+ * then from the configuration defaults.
+ * @param {object} params - price, downPayment or downPaymentPercent, annualRate,
+ *   durationYears, preset, monthlyIncome, monthlyDebts, amortization (monthly or yearly)
+ * @param {object} config - Finance configuration
+ * @returns {object|null} - Loan figures, amortization table and affordability
+ *   check, or null when the down payment covers the price
+ */
+const simulateLoan = ({
+  price, downPayment, downPaymentPercent, annualRate, durationYears, preset,
+  monthlyIncome, monthlyDebts = 0, amortization = 'monthly',
+}, config = financeConfig) => {
+  const presetConfig = preset ? config.presets[preset] : null;
+
+  const rate = annualRate ?? presetConfig?.annualRate ?? config.defaults.annualRate;
+  const years = durationYears ?? presetConfig?.maxDurationYears ?? config.defaults.durationYears;
+  const percent = downPaymentPercent ?? presetConfig?.minDownPaymentPercent ?? config.defaults.downPaymentPercent;
+  const down = roundTnd(downPayment ?? price * percent / 100);
+
+  const loanAmount = roundTnd(price - down);
+  if (loanAmount <= 0) return null;
+
+  const monthlyRate = rate / 100 / 12;
+  const months = years * 12;
+  const payment = roundTnd(monthlyPayment(loanAmount, monthlyRate, months));
+  const rows = buildAmortization(loanAmount, monthlyRate, months, payment);
+
+  const totalPaid = roundTnd(rows.reduce((sum, row) => sum + row.payment, 0));
+  const totalInterest = roundTnd(totalPaid - loanAmount);
+  const actualPercent = Math.round(down / price * 10000) / 100;
+
+  let affordability = null;
+  if (monthlyIncome) {
+    const maxMonthlyPayment = roundTnd(Math.max(0, monthlyIncome * config.debtRatioCap - monthlyDebts));
+    const debtRatio = Math.round((payment + monthlyDebts) / monthlyIncome * 10000) / 10000;
+    const maxLoanAmount = roundTnd(maxLoanForPayment(maxMonthlyPayment, monthlyRate, months));
+
+    affordability = {
+      monthlyIncome,
+      monthlyDebts,
+      debtRatio,
+      debtRatioCap: config.debtRatioCap,
+      affordable: debtRatio <= config.debtRatioCap,
+      maxMonthlyPayment,
+      maxLoanAmount,
+      maxPrice: roundTnd(maxLoanAmount + down),
+    };
+  }
+
+  return {
+    preset: presetConfig ? { key: preset, label: presetConfig.label } : null,
+    price,
+    downPayment: down,
+    downPaymentPercent: actualPercent,
+    loanAmount,
+    annualRate: rate,
+    durationYears: years,
+    months,
+    monthlyPayment: payment,
+    totalInterest,
+    totalPaid,
+    totalCost: roundTnd(totalPaid + down),
+    warnings: presetConfig
+      ? presetWarnings(presetConfig, { price, downPaymentPercent: actualPercent, durationYears: years })
+      : [],
+    affordability,
+    amortization: amortization === 'yearly' ? yearlyAmortization(rows) : rows,
+  };
+};
+
+module.exports = {
+  simulateLoan,
+};
@@ -0,0 +1,207 @@
+const { GEO_SEARCH } = require('../config/constants');
+
+const EARTH_RADIUS_KM = 6371;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Build a GeoJSON point from {lat, lng} coordinates
+ * @param {object} coordinates - Coordinates with lat and lng
+ * @returns {object|undefined} - GeoJSON point or undefined if incomplete
+ */
+const toGeoPoint = (coordinates) => {
+  if (!coordinates) return undefined;
+
+  const { lat, lng } = coordinates;
+  if (typeof lat !== 'number' || typeof lng !== 'number') return undefined;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return undefined;
+
+  return {
+    type: 'Point',
+    coordinates: [lng, lat],
+  };
+};
+
+/**
+ * Read {lat, lng} back from a property location
+ * @param {object} location - Property location_id
+ * @returns {object|null} - Coordinates or null
+ */
+const getLocationCoordinates = (location) => {
+  if (location?.geo?.coordinates?.length === 2) {
+    const [lng, lat] = location.geo.coordinates;
+    return { lat, lng };
+  }
+  if (typeof location?.coordinates?.lat === 'number' && typeof location?.coordinates?.lng === 'number') {
+    return { lat: location.coordinates.lat, lng: location.coordinates.lng };
+  }
+  return null;
+};
+
+/**
+ * Parse a bounding box query value
+ * @param {string} value - "minLng,minLat,maxLng,maxLat"
+ * @returns {array|null} - [minLng, minLat, maxLng, maxLat] or null if malformed
+ */
+const parseBbox = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const parts = value.split(',').map(v => Number(v.trim()));
+  if (parts.length !== 4 || parts.some(Number.isNaN)) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90) return null;
+  if (minLng >= maxLng || minLat >= maxLat) return null;
+
+  return parts;
+};
+
+/**
+ * Convert a bounding box to a closed GeoJSON polygon
+ * @param {array} bbox - [minLng, minLat, maxLng, maxLat]
+ * @returns {object} - GeoJSON polygon
+ */
+const bboxToPolygon = ([minLng, minLat, maxLng, maxLat]) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [minLng, minLat],
+    [maxLng, minLat],
+    [maxLng, maxLat],
+    [minLng, maxLat],
+    [minLng, minLat],
+  ]],
+});
+
+/**
+ * Get the center of a bounding box
+ * @param {array} bbox - [minLng, minLat, maxLng, maxLat]
+ * @returns {object} - {lat, lng}
+ */
+const bboxCenter = ([minLng, minLat, maxLng, maxLat]) => ({
+  lat: (minLat + maxLat) / 2,
+  lng: (minLng + maxLng) / 2,
+});
+
+/**
+ * Approximate area of a closed [lng, lat] ring on the sphere
+ * @param {array} ring - Closed ring of positions
+ * @returns {number} - Area in km²
+ */
+const ringAreaKm2 = (ring) => {
+  let total = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[i + 1];
+    total += toRadians(lng2 - lng1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+  }
+  return Math.abs(total * EARTH_RADIUS_KM * EARTH_RADIUS_KM / 2);
+};
+
+// Orientation of the triplet (p, q, r): 0 collinear, 1 clockwise, -1 counter-clockwise
+const orientation = (p, q, r) => {
+  const value = (q[1] - p[1]) * (r[0] - q[0]) - (q[0] - p[0]) * (r[1] - q[1]);
+  if (value === 0) return 0;
+  return value > 0 ? 1 : -1;
+};
+
+const onSegment = (p, q, r) => (
+  q[0] <= Math.max(p[0], r[0]) && q[0] >= Math.min(p[0], r[0])
+  && q[1] <= Math.max(p[1], r[1]) && q[1] >= Math.min(p[1], r[1])
+);
+
+const segmentsIntersect = (p1, q1, p2, q2) => {
+  const o1 = orientation(p1, q1, p2);
+  const o2 = orientation(p1, q1, q2);
+  const o3 = orientation(p2, q2, p1);
+  const o4 = orientation(p2, q2, q1);
+
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (o1 === 0 && onSegment(p1, p2, q1))
+    || (o2 === 0 && onSegment(p1, q2, q1))
+    || (o3 === 0 && onSegment(p2, p1, q2))
+    || (o4 === 0 && onSegment(p2, q1, q2));
+};
+
+/**
+ * Check whether a closed ring crosses itself
+ * @param {array} ring - Closed ring of positions
+ * @returns {boolean} - True if two non-adjacent edges intersect
+ */
+const ringSelfIntersects = (ring) => {
+  const edges = ring.length - 1;
+  for (let i = 0; i < edges; i++) {
+    for (let j = i + 2; j < edges; j++) {
+      // First and last edges share the closing vertex
+      if (i === 0 && j === edges - 1) continue;
+      if (segmentsIntersect(ring[i], ring[i + 1], ring[j], ring[j + 1])) {
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+const isPosition = (position) => (
+  Array.isArray(position)
+  && position.length === 2
+  && position.every(Number.isFinite)
+  && position[0] >= -180 && position[0] <= 180
+  && position[1] >= -90 && position[1] <= 90
+);
+
+/**
+ * Validate a GeoJSON Polygon / MultiPolygon drawn as a search area
+ * @param {object} geometry - GeoJSON geometry
+ * @returns {string|null} - Problem description, or null if the area is usable
+ */
+const validateSearchArea = (geometry) => {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  let vertices = 0;
+  let areaKm2 = 0;
+
+  for (const polygon of polygons) {
+    if (!Array.isArray(polygon) || polygon.length === 0) {
+      return 'Chaque polygone doit contenir au moins un contour';
+    }
+
+    for (const ring of polygon) {
+      if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) {
+        return 'Chaque contour doit contenir au moins 4 positions [lng, lat] valides';
+      }
+
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        return 'Chaque contour doit être fermé (première et dernière positions identiques)';
+      }
+
+      vertices += ring.length;
+      if (vertices > GEO_SEARCH.MAX_POLYGON_VERTICES) {
+        return `Le polygone ne peut pas dépasser ${GEO_SEARCH.MAX_POLYGON_VERTICES} points`;
+      }
+
+      if (ringSelfIntersects(ring)) {
+        return 'Le polygone ne doit pas se croiser lui-même';
+      }
+    }
+
+    // Holes only shrink the area, the outer ring is enough for the size check
+    areaKm2 += ringAreaKm2(polygon[0]);
+  }
+
+  if (areaKm2 > GEO_SEARCH.MAX_AREA_KM2) {
+    return `La zone dessinée ne peut pas dépasser ${GEO_SEARCH.MAX_AREA_KM2} km²`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  toGeoPoint,
+  getLocationCoordinates,
+  parseBbox,
+  bboxToPolygon,
+  bboxCenter,
+  ringAreaKm2,
+  ringSelfIntersects,
+  validateSearchArea,
+};
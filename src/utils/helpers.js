@@ -18,6 +18,128 @@ const generatePaginationMeta = (total, page, limit) => {
   };
 };
 
+/**
+ * Generate cursor pagination metadata
+ * @param {number} limit - Items per page
+ * @param {string|null} nextCursor - Cursor of the next page, null on the last page
+ * @returns {object} - Pagination metadata
+ */
+const generateCursorPaginationMeta = (limit, nextCursor) => ({
+  itemsPerPage: limit,
+  hasNext: Boolean(nextCursor),
+  nextCursor,
+});
+
+/**
+ * Encode an opaque pagination cursor from the last item of a page
+ * @param {object} item - Last item (document) of the page
+ * @param {object} sort - Sort object, first key is the sort field
+ * @returns {string} - Base64url cursor
+ */
+const encodeCursor = (item, sort) => {
+  const [field] = Object.keys(sort);
+  const value = field.split('.').reduce((obj, key) => obj?.[key], item);
+
+  return Buffer.from(JSON.stringify({
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    d: value instanceof Date,
+    id: String(item._id),
+  })).toString('base64url');
+};
+
+/**
+ * Decode a pagination cursor
+ * @param {string} token - Cursor from a previous page
+ * @returns {object|null} - {value, id} or null if malformed
+ */
+const decodeCursor = (token) => {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (!id) return null;
+    return { value: d ? new Date(v) : v, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the MongoDB condition selecting items after a cursor
+ * @param {object} sort - Sort object ending with an _id tie-breaker
+ * @param {object} cursor - Decoded cursor
+ * @returns {object} - MongoDB condition
+ */
+const buildCursorCondition = (sort, cursor) => {
+  const [field, direction] = Object.entries(sort)[0];
+  const operator = direction === 1 ? '$gt' : '$lt';
+  const idOperator = sort._id === 1 ? '$gt' : '$lt';
+
+  if (field === '_id') {
+    return { _id: { [idOperator]: cursor.id } };
+  }
+
+  return {
+    $or: [
+      { [field]: { [operator]: cursor.value } },
+      { [field]: cursor.value, _id: { [idOperator]: cursor.id } },
+    ],
+  };
+};
+
+/**
+ * Paginate a MongoDB query by page number or, when `after` is given, by cursor.
+ * Cursor mode skips the total count and is stable while new documents are inserted.
+ * @param {object} Model - Mongoose model
+ * @param {object} query - MongoDB query
+ * @param {object} options - sort (object), page, limit, after, projection
+ * @returns {object} - {items, pagination}
+ */
+const paginateQuery = async (Model, query, {
+  sort, page = 1, limit, after, projection = {},
+}) => {
+  // _id tie-breaker keeps the order total, which cursors rely on
+  const [firstDirection] = Object.values(sort);
+  const sortObject = { ...sort, _id: typeof firstDirection === 'number' ? firstDirection : -1 };
+  const canUseCursor = !Object.values(sort).some(value => typeof value === 'object');
+
+  if (after) {
+    const cursor = decodeCursor(after);
+    const condition = buildCursorCondition(sortObject, cursor);
+    const items = await Model.find({ ...query, $and: [...(query.$and || []), condition] }, projection)
+      .sort(sortObject)
+      .limit(limit + 1)
+      .lean();
+
+    const hasNext = items.length > limit;
+    if (hasNext) items.pop();
+
+    return {
+      items,
+      pagination: generateCursorPaginationMeta(
+        limit,
+        hasNext ? encodeCursor(items[items.length - 1], sortObject) : null
+      ),
+    };
+  }
+
+  const [items, total] = await Promise.all([
+    Model.find(query, projection)
+      .sort(sortObject)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Model.countDocuments(query),
+  ]);
+
+  const pagination = generatePaginationMeta(total, page, limit);
+  if (canUseCursor) {
+    pagination.nextCursor = pagination.hasNext && items.length > 0
+      ? encodeCursor(items[items.length - 1], sortObject)
+      : null;
+  }
+
+  return { items, pagination };
+};
+
 /**
  * Build sort object for MongoDB
  * @param {string} sortParam - Sort parameter
@@ -31,6 +153,9 @@ const buildSortObject = (sortParam) => {
     surface_asc: { surface: 1 },
     surface_desc: { surface: -1 },
     views: { views: -1 },
+    yield_desc: { 'rentalEstimate.netYield': -1 },
+    yield_asc: { 'rentalEstimate.netYield': 1 },
+    relevance: { score: { $meta: 'textScore' } },
   };
   
   return sortOptions[sortParam] || sortOptions.newest;
@@ -76,6 +201,57 @@ const parseArrayFromQuery = (value) => {
   return [];
 };
 
+/**
+ * Calculate the price per m² of a listing
+ * @param {number} price - Price in TND
+ * @param {number} surface - Surface in m²
+ * @returns {number|null} - Rounded price per m², null when price or surface is unknown
+ */
+const calculatePricePerM2 = (price, surface) => {
+  if (!(price > 0) || !(surface > 0)) return null;
+  return Math.round(price / surface);
+};
+
+/**
+ * Normalize property search filters for storage: pagination and empty values
+ * are dropped, features are sorted and keys are in alphabetical order
+ * @param {object} filters - Validated search filters
+ * @returns {object} - Normalized filters
+ */
+const normalizeSearchQuery = (filters) => {
+  const { page, limit, after, facets, ...rest } = cleanObject(filters);
+
+  const features = parseArrayFromQuery(rest.features);
+  if (features.length > 0) {
+    rest.features = [...features].sort();
+  } else {
+    delete rest.features;
+  }
+
+  return Object.keys(rest).sort().reduce((normalized, key) => {
+    normalized[key] = rest[key] instanceof Date ? rest[key].toISOString() : rest[key];
+    return normalized;
+  }, {});
+};
+
+/**
+ * Serialize a value with object keys sorted at every level, so that equal
+ * queries compare equal after a JSONB round trip (which reorders keys)
+ * @param {*} value - Value to serialize
+ * @returns {string} - Stable JSON string
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
 /**
  * Get client IP address
  * @param {object} req - Express request object
@@ -88,6 +264,20 @@ const getClientIp = (req) => {
          req.ip;
 };
 
+/**
+ * Resolve the response language: explicit ?lang=, then the user's profile,
+ * then the Accept-Language header, defaulting to French
+ * @param {object} req - Express request object
+ * @returns {string} - 'fr' or 'ar'
+ */
+const resolveLanguage = (req) => {
+  const requested = req.query?.lang || req.user?.language;
+  if (requested === 'ar' || requested === 'fr') {
+    return requested;
+  }
+  return /^ar\b/i.test(req.headers?.['accept-language'] || '') ? 'ar' : 'fr';
+};
+
 /**
  * Generate success response
  * @param {object} data - Response data
@@ -197,11 +387,20 @@ const getDateRange = (period) => {
 
 module.exports = {
   generatePaginationMeta,
+  generateCursorPaginationMeta,
+  encodeCursor,
+  decodeCursor,
+  buildCursorCondition,
+  paginateQuery,
   buildSortObject,
   generateReference,
   cleanObject,
   parseArrayFromQuery,
+  calculatePricePerM2,
+  normalizeSearchQuery,
+  stableStringify,
   getClientIp,
+  resolveLanguage,
   successResponse,
   errorResponse,
   sleep,
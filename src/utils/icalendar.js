@@ -0,0 +1,80 @@
+// Minimal iCalendar (RFC 5545) writer for all-day events
+
+const MAX_LINE_OCTETS = 75;
+
+// Commas, semicolons, backslashes and newlines are escaped in text values
+const escapeText = value => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 octets without splitting a UTF-8 character
+ * @param {string} line - Content line
+ * @returns {string} - Folded line (continuations start with a space)
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const formatDate = date => date.toISOString().slice(0, 10).replace(/-/g, '');
+const formatTimestamp = date => `${date.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`;
+
+/**
+ * Build an iCalendar file of all-day events
+ * @param {object} calendar - name and events ({uid, date, summary, description, url})
+ * @returns {string} - Calendar text with CRLF line endings
+ */
+const buildCalendar = ({ name, events }) => {
+  const stamp = formatTimestamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Nestify//Nestify API//FR',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  events.forEach((event) => {
+    const nextDay = new Date(event.date.getTime() + 24 * 60 * 60 * 1000);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+      `DTEND;VALUE=DATE:${formatDate(nextDay)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+      ...(event.url ? [`URL:${event.url}`] : []),
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildCalendar,
+};
@@ -0,0 +1,65 @@
+const logger = require('./logger');
+
+/**
+ * Transport writing notifications to the application log (default).
+ * Real delivery (email, SMS, push) plugs in as another transport.
+ */
+const logTransport = {
+  name: 'log',
+  send: async (notification) => {
+    logger.info('Notification', {
+      type: notification.type,
+      userId: notification.userId,
+      subject: notification.subject,
+      items: notification.items.length,
+    });
+  },
+};
+
+/**
+ * In-memory transport keeping every notification, for tests and local runs
+ * @returns {object} - Transport with the `sent` notifications and `clear()`
+ */
+const createMemoryTransport = () => {
+  const sent = [];
+  return {
+    name: 'memory',
+    sent,
+    send: async (notification) => {
+      sent.push(notification);
+    },
+    clear: () => {
+      sent.length = 0;
+    },
+  };
+};
+
+let transport = process.env.NOTIFIER_TRANSPORT === 'memory' ? createMemoryTransport() : logTransport;
+
+/**
+ * Replace the transport used by notify()
+ * @param {object} next - Object with an async send(notification) method
+ */
+const setTransport = (next) => {
+  if (typeof next?.send !== 'function') {
+    throw new Error('Notifier transport must implement send(notification)');
+  }
+  transport = next;
+};
+
+const getTransport = () => transport;
+
+/**
+ * Deliver a notification through the current transport
+ * @param {object} notification - type, userId, email, language, subject, items
+ * @returns {Promise} - Rejects if the transport could not deliver
+ */
+const notify = (notification) => transport.send(notification);
+
+module.exports = {
+  logTransport,
+  createMemoryTransport,
+  setTransport,
+  getTransport,
+  notify,
+};
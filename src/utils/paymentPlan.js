@@ -0,0 +1,186 @@
+const { VEFA_STATUS, PAYMENT_PLAN } = require('../config/constants');
+const { normalizeText } = require('./textSearch');
+const { parseDeliveryDate, deliveryDateBound } = require('./deliveryDate');
+const { formatPrice } = require('./validators');
+const { buildCalendar } = require('./icalendar');
+
+const { STATUSES, DEFAULT_SCHEDULE, PERCENTAGE_TOLERANCE } = PAYMENT_PLAN;
+
+// Construction stages in order (VEFA_STATUS keys)
+const STAGES = Object.keys(VEFA_STATUS);
+
+// Words of a schedule description telling which stage calls the instalment,
+// checked in this order ("achèvement des finitions" is not the keys handover)
+const STAGE_KEYWORDS = [
+  ['FINISHING', ['finition', 'cloison', 'carrelage', 'menuiserie', 'peinture', 'تشطيب']],
+  ['CONSTRUCTION', ['fondation', 'gros oeuvre', 'structure', 'dalle', 'plancher', 'élévation', 'terrassement', 'أساسات', 'الهيكل']],
+  ['DELIVERED', ['clé', 'clef', 'livraison', 'remise', 'solde', 'تسليم', 'مفاتيح']],
+  ['PLANNING', ['réservation', 'signature', 'contrat', 'avance', 'acompte', 'حجز', 'توقيع', 'عقد']],
+].map(([stage, words]) => [stage, words.map(normalizeText)]);
+
+/**
+ * Guess the construction stage that calls an instalment from its description
+ * @param {string} description - Schedule description
+ * @returns {string|null} - VEFA_STATUS key or null
+ */
+const inferStage = (description) => {
+  const text = normalizeText(description);
+  if (!text) return null;
+
+  const match = STAGE_KEYWORDS.find(([, words]) => words.some(word => text.includes(word)));
+  return match ? match[0] : null;
+};
+
+const startOfDay = date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Status of an instalment: `due` once construction reached its stage,
+ * `overdue` if its date has passed as well, `delayed` when the date has
+ * passed but the works are behind, `upcoming` otherwise
+ * @param {object} instalment - stage and dueDate
+ * @param {number} currentStage - Index of the construction progress in STAGES
+ * @param {Date} now - Current date
+ * @returns {string} - PAYMENT_PLAN.STATUSES value
+ */
+const instalmentStatus = ({ stage, dueDate }, currentStage, now) => {
+  const datePassed = Boolean(dueDate) && dueDate < startOfDay(now);
+
+  // Without a known stage only the date can tell
+  if (!stage) return datePassed ? STATUSES.OVERDUE : STATUSES.UPCOMING;
+
+  const stageReached = STAGES.indexOf(stage) <= currentStage;
+  if (stageReached) return datePassed ? STATUSES.OVERDUE : STATUSES.DUE;
+  return datePassed ? STATUSES.DELAYED : STATUSES.UPCOMING;
+};
+
+/**
+ * Split the price between instalments. When percentages sum to 100 the last
+ * instalment takes the rounding difference so that amounts add up to the price.
+ * @param {number} price - Listing price (0 means "prix sur demande")
+ * @param {array} percentages - Instalment percentages
+ * @param {boolean} complete - True if percentages sum to 100
+ * @returns {array} - Amounts in TND, or nulls without a price
+ */
+const splitAmounts = (price, percentages, complete) => {
+  if (!(price > 0)) return percentages.map(() => null);
+
+  const amounts = percentages.map(percentage => Math.round(price * percentage / 100));
+  if (complete && amounts.length > 0) {
+    const others = amounts.slice(0, -1).reduce((sum, amount) => sum + amount, 0);
+    amounts[amounts.length - 1] = price - others;
+  }
+  return amounts;
+};
+
+/**
+ * Turn the VEFA payment schedule of a listing into dated TND instalments.
+ * Listings without a schedule get DEFAULT_SCHEDULE, spread between today and
+ * the end of the announced delivery period, and are flagged as an estimate.
+ * @param {object} property - Lean VEFA property
+ * @param {Date} now - Current date
+ * @returns {object} - Plan with instalments, percentage check and totals
+ */
+const buildPaymentPlan = (property, now = new Date()) => {
+  const vefa = property.VEFA_details_id;
+  const progress = STAGES.find(stage => VEFA_STATUS[stage] === vefa.construction_progress);
+  const currentStage = STAGES.indexOf(progress || 'PLANNING');
+  const delivery = vefa.delivery_window?.end
+    ? vefa.delivery_window
+    : parseDeliveryDate(vefa.delivery_date);
+
+  const estimate = !(vefa.payment_schedule?.length > 0);
+  const today = startOfDay(now);
+
+  const entries = estimate
+    ? DEFAULT_SCHEDULE.map(({
+      percentage, description, stage, progress: share,
+    }) => {
+      // Stages already reached are paid at signature
+      let dueDate = null;
+      if (STAGES.indexOf(stage) <= currentStage) {
+        dueDate = today;
+      } else if (delivery && delivery.end > today) {
+        dueDate = startOfDay(new Date(today.getTime() + share * (delivery.end - today)));
+      }
+      return {
+        description, percentage, stage, dueDate, dueDateText: null,
+      };
+    })
+    : vefa.payment_schedule.map(({ percentage, description, dueDate }) => ({
+      description: description || null,
+      percentage: percentage || 0,
+      stage: inferStage(description),
+      dueDate: deliveryDateBound(dueDate, 'after'),
+      dueDateText: dueDate || null,
+    }));
+
+  const totalPercentage = Math.round(entries.reduce((sum, entry) => sum + entry.percentage, 0) * 100) / 100;
+  const complete = Math.abs(totalPercentage - 100) <= PERCENTAGE_TOLERANCE;
+  const amounts = splitAmounts(property.price, entries.map(entry => entry.percentage), complete);
+
+  const instalments = entries.map((entry, index) => ({
+    index: index + 1,
+    ...entry,
+    stage: entry.stage && VEFA_STATUS[entry.stage],
+    amount: amounts[index],
+    estimatedDate: estimate,
+    status: instalmentStatus(entry, currentStage, now),
+  }));
+
+  const sumAmounts = statuses => (property.price > 0
+    ? instalments
+      .filter(instalment => statuses.includes(instalment.status))
+      .reduce((sum, instalment) => sum + instalment.amount, 0)
+    : null);
+
+  return {
+    estimate,
+    price: property.price > 0 ? property.price : null,
+    currency: 'TND',
+    constructionProgress: vefa.construction_progress || null,
+    delivery: {
+      date: vefa.delivery_date || null,
+      window: delivery || null,
+    },
+    percentages: {
+      total: totalPercentage,
+      valid: complete,
+    },
+    instalments,
+    totals: {
+      dueNow: sumAmounts([STATUSES.DUE, STATUSES.OVERDUE]),
+      upcoming: sumAmounts([STATUSES.UPCOMING, STATUSES.DELAYED]),
+    },
+  };
+};
+
+/**
+ * Build an iCalendar file with the dated instalments of a payment plan
+ * @param {object} property - Lean property
+ * @param {object} plan - Result of buildPaymentPlan
+ * @returns {string} - iCalendar text
+ */
+const buildPaymentPlanCalendar = (property, plan) => buildCalendar({
+  name: `Échéancier VEFA - ${property.title}`,
+  events: plan.instalments
+    .filter(instalment => instalment.dueDate)
+    .map(instalment => ({
+      uid: `${property._id}-${instalment.index}@nestify`,
+      date: instalment.dueDate,
+      summary: [
+        `Échéance VEFA ${instalment.percentage} %`,
+        instalment.amount !== null ? formatPrice(instalment.amount) : null,
+      ].filter(Boolean).join(' - '),
+      description: [
+        instalment.description,
+        property.title,
+        plan.estimate ? 'Estimation basée sur un échéancier VEFA type' : null,
+      ].filter(Boolean).join('\n'),
+      url: property.url,
+    })),
+});
+
+module.exports = {
+  buildPaymentPlan,
+  buildPaymentPlanCalendar,
+};
@@ -0,0 +1,278 @@
+const { RECOMMENDATIONS } = require('../config/constants');
+const { normalizeText } = require('./textSearch');
+const { round, scoreWeightedCriteria } = require('./scoring');
+
+const {
+  WEIGHTS, SIGNAL_WEIGHTS, PRICE_TOLERANCE, FRESHNESS_DAYS, PROMOTER_PENALTY, VARIANT_PENALTY,
+} = RECOMMENDATIONS;
+
+// Preferences store slugs such as "ben_arous" or "appartement", listings "Ben Arous"
+const normalizeKey = (value) => normalizeText(value).replace(/[_-]+/g, ' ');
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const positive = value => (value > 0 ? value : undefined);
+
+/**
+ * Read stated preferences. updatePreferences stores cities / budgetMin / budgetMax /
+ * surfaceMin / surfaceMax, the model defaults use regions / priceRange / surfaceRange.
+ * @param {object} preferences - User preferences
+ * @returns {object} - {cities, types, features, price: {min, max}, surface: {min, max}}
+ */
+const readPreferences = (preferences = {}) => ({
+  cities: [...(preferences.cities || []), ...(preferences.regions || [])],
+  types: preferences.propertyTypes || [],
+  features: preferences.features || [],
+  price: {
+    min: positive(preferences.budgetMin ?? preferences.priceRange?.min),
+    max: positive(preferences.budgetMax ?? preferences.priceRange?.max),
+  },
+  surface: {
+    min: positive(preferences.surfaceMin ?? preferences.surfaceRange?.min),
+    max: positive(preferences.surfaceMax ?? preferences.surfaceRange?.max),
+  },
+});
+
+// Accumulate a weighted value, remembering the signal that weighs the most
+const addSignal = (map, value, weight, source) => {
+  const key = normalizeKey(value);
+  if (!key) return;
+
+  const entry = map.get(key) || {
+    value, weight: 0, sources: {},
+  };
+  entry.weight += weight;
+  entry.sources[source] = (entry.sources[source] || 0) + weight;
+  map.set(key, entry);
+};
+
+const strongestSource = entry => Object.entries(entry.sources)
+  .sort((a, b) => b[1] - a[1])[0][0];
+
+/**
+ * Build what we know about a user's taste from their stated preferences and
+ * from the listings and searches they interacted with
+ * @param {object} preferences - User preferences
+ * @param {object} signals - {favorites: [property], recentlyViewed: [property], searches: [query]}
+ * @returns {object} - Profile used by scoreRecommendation
+ */
+const buildUserProfile = (preferences, { favorites = [], recentlyViewed = [], searches = [] } = {}) => {
+  const stated = readPreferences(preferences);
+  const implicit = {
+    cities: new Map(),
+    types: new Map(),
+    features: new Map(),
+    prices: [],
+    surfaces: [],
+  };
+
+  const addProperty = (property, source) => {
+    const weight = SIGNAL_WEIGHTS[source];
+    addSignal(implicit.cities, property.location_id?.city, weight, source);
+    addSignal(implicit.types, property.type, weight, source);
+    (property.apartment_details_id?.features || [])
+      .forEach(feature => addSignal(implicit.features, feature, weight, source));
+    if (property.price > 0) implicit.prices.push(property.price);
+    if (property.surface > 0) implicit.surfaces.push(property.surface);
+  };
+
+  favorites.forEach(property => addProperty(property, 'favorites'));
+  recentlyViewed.forEach(property => addProperty(property, 'recentlyViewed'));
+
+  searches.forEach((query) => {
+    const weight = SIGNAL_WEIGHTS.searchHistory;
+    addSignal(implicit.cities, query.city, weight, 'searchHistory');
+    addSignal(implicit.types, query.type, weight, 'searchHistory');
+    [].concat(query.features || [])
+      .forEach(feature => addSignal(implicit.features, feature, weight, 'searchHistory'));
+  });
+
+  return {
+    stated,
+    implicit: {
+      ...implicit,
+      price: median(implicit.prices),
+      surface: median(implicit.surfaces),
+    },
+    signals: {
+      preferences: Boolean(stated.cities.length || stated.types.length || stated.features.length),
+      favorites: favorites.length,
+      recentlyViewed: recentlyViewed.length,
+      searches: searches.length,
+    },
+  };
+};
+
+/**
+ * Values worth looking for in candidate listings: stated ones, then the ones
+ * the user interacted with most (at least half the top weight)
+ * @param {object} profile - Profile from buildUserProfile
+ * @param {string} field - cities, types or features
+ * @returns {array} - Normalized values
+ */
+const getTargetValues = (profile, field) => {
+  const entries = [...profile.implicit[field].entries()];
+  const topWeight = Math.max(0, ...entries.map(([, entry]) => entry.weight));
+  const implicit = entries
+    .filter(([, entry]) => entry.weight >= topWeight / 2)
+    .sort((a, b) => b[1].weight - a[1].weight)
+    .map(([key]) => key);
+
+  return [...new Set([...profile.stated[field].map(normalizeKey), ...implicit])].filter(Boolean);
+};
+
+// A stated value is a full match; otherwise listings score by how often the user
+// interacted with the value, relative to their most frequent one
+const matchCategory = (statedValues, implicitMap, value, detailKey) => {
+  const key = normalizeKey(value);
+  if (statedValues.length === 0 && implicitMap.size === 0) return null;
+
+  if (key && statedValues.some(stated => normalizeKey(stated) === key)) {
+    return { similarity: 1, why: { source: 'preferences', [detailKey]: value } };
+  }
+
+  const entry = implicitMap.get(key);
+  if (!entry) return { similarity: 0 };
+
+  const topWeight = Math.max(...[...implicitMap.values()].map(item => item.weight));
+  return {
+    similarity: entry.weight / topWeight,
+    why: { source: strongestSource(entry), [detailKey]: value },
+  };
+};
+
+// Inside the stated range is a full match, then the score fades with the gap.
+// Without a stated range the target is the median of the listings the user liked.
+const matchRange = (range, target, value, detailKey) => {
+  const hasRange = range.min !== undefined || range.max !== undefined;
+  if (!hasRange && !target) return null;
+  if (!(value > 0)) return { similarity: 0 };
+
+  if (hasRange) {
+    const below = range.min !== undefined && value < range.min;
+    const above = range.max !== undefined && value > range.max;
+    if (!below && !above) {
+      return { similarity: 1, why: { source: 'preferences', [detailKey]: value } };
+    }
+    const bound = below ? range.min : range.max;
+    return { similarity: Math.max(0, 1 - Math.abs(value - bound) / bound / PRICE_TOLERANCE) };
+  }
+
+  const difference = (value - target) / target;
+  return {
+    similarity: Math.max(0, 1 - Math.abs(difference) / PRICE_TOLERANCE),
+    why: { source: 'activity', [detailKey]: value, differencePercent: round(difference * 100) },
+  };
+};
+
+const CRITERIA = {
+  city: (profile, property) => matchCategory(
+    profile.stated.cities, profile.implicit.cities, property.location_id?.city, 'city'
+  ),
+
+  type: (profile, property) => matchCategory(
+    profile.stated.types, profile.implicit.types, property.type, 'type'
+  ),
+
+  price: (profile, property) => matchRange(
+    profile.stated.price, profile.implicit.price, property.price, 'price'
+  ),
+
+  surface: (profile, property) => matchRange(
+    profile.stated.surface, profile.implicit.surface, property.surface, 'surface'
+  ),
+
+  features: (profile, property) => {
+    const wanted = getTargetValues(profile, 'features');
+    if (wanted.length === 0) return null;
+
+    const shared = (property.apartment_details_id?.features || [])
+      .filter(feature => wanted.includes(normalizeKey(feature)));
+    const source = profile.stated.features.length > 0 ? 'preferences' : 'activity';
+    return {
+      similarity: shared.length / wanted.length,
+      why: { source, shared },
+    };
+  },
+
+  freshness: (profile, property) => {
+    if (!property.created_at) return null;
+
+    const ageDays = (Date.now() - new Date(property.created_at).getTime()) / (24 * 60 * 60 * 1000);
+    return {
+      similarity: Math.max(0, 1 - ageDays / FRESHNESS_DAYS),
+      why: { publishedDaysAgo: Math.max(0, Math.floor(ageDays)) },
+    };
+  },
+};
+
+/**
+ * Score how well a listing matches a user profile
+ * @param {object} profile - Profile from buildUserProfile
+ * @param {object} property - Candidate property
+ * @returns {object} - {score: 0-100, breakdown: points per criterion, reasons: matching criteria}
+ */
+const scoreRecommendation = (profile, property) => {
+  const { score, breakdown, matches } = scoreWeightedCriteria(CRITERIA, WEIGHTS, profile, property);
+  return { score, breakdown, reasons: matches };
+};
+
+// Listings that would look the same in a result list
+const variantKey = property => [
+  normalizeKey(property.location_id?.city),
+  property.type,
+  property.apartment_details_id?.rooms,
+].join('|');
+
+const promoterKey = property => String(property.promoter_id?._id || property.promoter_id);
+
+/**
+ * Pick the best listings while spreading them across promoters and kinds of
+ * listing: each pick lowers the score of the remaining listings from the same
+ * promoter, or with the same city, type and rooms
+ * @param {array} scored - Properties with recommendation.score
+ * @param {number} limit - Number of listings to return
+ * @returns {array} - Selected properties, in display order
+ */
+const diversify = (scored, limit) => {
+  const remaining = [...scored];
+  const picked = [];
+  const promoterCounts = new Map();
+  const variantCounts = new Map();
+
+  const adjustedScore = property => property.recommendation.score
+    * PROMOTER_PENALTY ** (promoterCounts.get(promoterKey(property)) || 0)
+    * VARIANT_PENALTY ** (variantCounts.get(variantKey(property)) || 0);
+
+  while (picked.length < limit && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -1;
+    remaining.forEach((property, index) => {
+      const score = adjustedScore(property);
+      if (score > bestScore) {
+        bestIndex = index;
+        bestScore = score;
+      }
+    });
+
+    const [property] = remaining.splice(bestIndex, 1);
+    picked.push(property);
+    promoterCounts.set(promoterKey(property), (promoterCounts.get(promoterKey(property)) || 0) + 1);
+    variantCounts.set(variantKey(property), (variantCounts.get(variantKey(property)) || 0) + 1);
+  }
+
+  return picked;
+};
+
+module.exports = {
+  readPreferences,
+  buildUserProfile,
+  getTargetValues,
+  scoreRecommendation,
+  diversify,
+};
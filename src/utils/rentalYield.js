@@ -0,0 +1,197 @@
+const { RENTAL_YIELD } = require('../config/constants');
+const { normalizeText } = require('./textSearch');
+
+const { SOURCES, COSTS_RATE, VACANCY_MONTHS, MIN_COMPARABLES, PLAUSIBLE_GROSS_YIELD } = RENTAL_YIELD;
+
+// "1200", "1 200", "1.200" (thousands), "1,5k", "2 mille"
+const AMOUNT = '(\\d{1,3}(?:[ .\\u00a0\\u202f]\\d{3})+|\\d+)(?:,(\\d{1,2})(?!\\d))?\\s*(k|mille)?';
+// Second amount of a range: "800 - 1000 DT", "800 à 1000 DT", "بين 800 و 1000"
+const RANGE_SEPARATOR = '\\s*(?:-|\\u2013|a|au|et|\\u0627\\u0644\\u064a|\\u0648)\\s*';
+// dt, tnd, dinar(s), د.ت, دينار (normalized)
+const CURRENCY = '(?:dt|tnd|dinars?|\\u062f\\.?\\s?\\u062a|\\u062f\\u064a\\u0646\\u0627\\u0631)(?![a-z])';
+// loyer, location, louer, إيجار, كراء
+const RENT_WORD = '(?:loyer|location|louable|louer|\\u0627\\u064a\\u062c\\u0627\\u0631|\\u0643\\u0631\\u0627\\u0621)';
+
+const AMOUNT_WITH_CURRENCY = new RegExp(`${AMOUNT}(?:${RANGE_SEPARATOR}${AMOUNT})?\\s*${CURRENCY}`);
+const AMOUNT_AFTER_RENT_WORD = new RegExp(`${RENT_WORD}[^\\d%]{0,20}?${AMOUNT}(?:${RANGE_SEPARATOR}${AMOUNT})?(?!\\s*(?:m2|m\\u00b2|%|\\d))`);
+const PERCENTAGE = /(\d{1,2}(?:[.,]\d{1,2})?)\s*%/;
+
+// mois, mensuel, /m, شهر (شهري, شهريا)
+const MONTHLY = /mois|mensuel|\/\s*m(?![a-z0-9])|\u0634\u0647\u0631/;
+// par an, /an, l'an, année, annuel, سنة, سنوي, عام ("2 ans" is a duration, not a period)
+const YEARLY = /(?:par|chaque|\/|l')\s*an(?![a-z])|annee|annuel|\u0633\u0646\u0647|\u0633\u0646\u0648\u064a|\u0639\u0627\u0645(?!\u0647)/;
+
+/**
+ * Read an amount matched by AMOUNT
+ * @param {string} integer - Digits with thousand separators
+ * @param {string} decimals - Digits after the comma
+ * @param {string} unit - "k" or "mille"
+ * @returns {number} - Amount in TND
+ */
+const readAmount = (integer, decimals, unit) => {
+  const value = parseFloat(`${integer.replace(/\D/g, '')}.${decimals || 0}`);
+  return unit ? value * 1000 : value;
+};
+
+const grossYield = (monthlyRent, price) => monthlyRent * 12 / price * 100;
+
+const isPlausible = (monthlyRent, price) => {
+  const value = grossYield(monthlyRent, price);
+  return value >= PLAUSIBLE_GROSS_YIELD.MIN && value <= PLAUSIBLE_GROSS_YIELD.MAX;
+};
+
+/**
+ * Turn the free-text rental_potential of a listing into a monthly rent.
+ * Understands amounts ("1 200 DT/mois", "loyer 800 à 1000 dinars", "إيجار 900
+ * دينار شهريا"), yearly rents and yields ("rendement 7 %"). Without a period the
+ * one giving a plausible yield wins; an implausible result is dropped.
+ * @param {string} text - rental_potential as written in the listing
+ * @param {number} price - Listing price (0 means "prix sur demande")
+ * @returns {number|null} - Monthly rent in TND or null if unreadable
+ */
+const parseRentalPotential = (text, price) => {
+  const normalized = normalizeText(text);
+  if (!normalized) return null;
+
+  const hasPrice = price > 0;
+  const match = normalized.match(AMOUNT_WITH_CURRENCY) || normalized.match(AMOUNT_AFTER_RENT_WORD);
+
+  if (!match) {
+    // A yield only gives a rent with the price
+    const percentage = normalized.match(PERCENTAGE);
+    if (!percentage || !hasPrice) return null;
+
+    const monthlyRent = Math.round(price * parseFloat(percentage[1].replace(',', '.')) / 100 / 12);
+    return isPlausible(monthlyRent, price) ? monthlyRent : null;
+  }
+
+  // A range gives its middle; "3 et 900 DT" is not a range
+  const low = readAmount(match[1], match[2], match[3]);
+  const high = match[4] ? readAmount(match[4], match[5], match[6]) : null;
+  let amount = low;
+  if (high) amount = low <= high && low * 2 >= high ? (low + high) / 2 : high;
+  if (!(amount > 0)) return null;
+
+  // Period written right after the amount, otherwise anywhere in the text
+  const following = normalized.slice(match.index + match[0].length, match.index + match[0].length + 25);
+  const periodIn = value => (YEARLY.test(value) && !MONTHLY.test(value) ? 'yearly' : MONTHLY.test(value) && 'monthly');
+  let period = periodIn(following) || periodIn(normalized);
+
+  if (!period) {
+    if (!hasPrice) return Math.round(amount);
+    period = !isPlausible(amount, price) && isPlausible(amount / 12, price) ? 'yearly' : 'monthly';
+  }
+
+  const monthlyRent = Math.round(period === 'yearly' ? amount / 12 : amount);
+  return !hasPrice || isPlausible(monthlyRent, price) ? monthlyRent : null;
+};
+
+/**
+ * Gross and net yields of a rent. The net yield takes off VACANCY_MONTHS and
+ * COSTS_RATE of the rent.
+ * @param {number} monthlyRent - Monthly rent in TND
+ * @param {number} price - Listing price
+ * @returns {object} - grossYield and netYield in %, null without a price
+ */
+const computeYields = (monthlyRent, price) => {
+  if (!(price > 0) || !(monthlyRent > 0)) return { grossYield: null, netYield: null };
+
+  // Same rounding as the RENTAL_YIELD_STAGE pipeline of the Property model
+  return {
+    grossYield: Math.round(monthlyRent * 12 * 10000 / price) / 100,
+    netYield: Math.round(monthlyRent * (12 - VACANCY_MONTHS) * (1 - COSTS_RATE) * 10000 / price) / 100,
+  };
+};
+
+/**
+ * Build the rentalEstimate stored on a listing
+ * @param {object} estimate - monthlyRent, source (RENTAL_YIELD.SOURCES), comparables, estimatedAt
+ * @param {number} price - Listing price
+ * @returns {object} - rentalEstimate subdocument
+ */
+const buildRentalEstimate = ({
+  monthlyRent, source, comparables, estimatedAt = new Date(),
+}, price) => ({
+  monthlyRent,
+  source,
+  ...(source === SOURCES.COMPARABLES && { comparables }),
+  ...computeYields(monthlyRent, price),
+  estimatedAt,
+});
+
+/**
+ * Comparable groups of a listing, most specific first: city, district and
+ * rooms, then city and rooms, then the whole city
+ * @param {object} property - Property (plain object)
+ * @returns {array} - Group keys
+ */
+const comparableKeys = (property) => {
+  const city = normalizeText(property.location_id?.city);
+  if (!city) return [];
+
+  const district = normalizeText(property.location_id.district);
+  const rooms = property.apartment_details_id?.rooms;
+
+  return [
+    district && rooms ? `${city}|${district}|${rooms}` : null,
+    rooms ? `${city}||${rooms}` : null,
+    city,
+  ].filter(Boolean);
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Median rent per m2 of each comparable group
+ * @param {array} samples - Listings with a rent read from their rental_potential
+ * @returns {Map} - Group key -> {rentPerM2, count}
+ */
+const buildRentIndex = (samples) => {
+  const groups = new Map();
+
+  samples
+    .filter(sample => sample.surface > 0 && sample.rentalEstimate?.monthlyRent > 0)
+    .forEach(sample => {
+      const rentPerM2 = sample.rentalEstimate.monthlyRent / sample.surface;
+      comparableKeys(sample).forEach(key => {
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(rentPerM2);
+      });
+    });
+
+  return new Map([...groups].map(([key, values]) => [key, { rentPerM2: median(values), count: values.length }]));
+};
+
+/**
+ * Estimate the rent of a listing from the most specific comparable group
+ * with at least MIN_COMPARABLES known rents
+ * @param {Map} index - Result of buildRentIndex
+ * @param {object} property - Property (plain object)
+ * @returns {object|null} - rentalEstimate subdocument or null
+ */
+const estimateFromComparables = (index, property) => {
+  if (!(property.surface > 0)) return null;
+
+  const group = comparableKeys(property)
+    .map(key => index.get(key))
+    .find(entry => entry && entry.count >= MIN_COMPARABLES);
+  if (!group) return null;
+
+  return buildRentalEstimate({
+    monthlyRent: Math.round(group.rentPerM2 * property.surface),
+    source: SOURCES.COMPARABLES,
+    comparables: group.count,
+  }, property.price);
+};
+
+module.exports = {
+  parseRentalPotential,
+  computeYields,
+  buildRentalEstimate,
+  buildRentIndex,
+  estimateFromComparables,
+};
@@ -0,0 +1,46 @@
+// A criterion at least this similar explains the score
+const MATCH_THRESHOLD = 0.5;
+
+const round = (value, decimals = 0) => Number(value.toFixed(decimals));
+
+/**
+ * Score a candidate against weighted criteria. Each criterion returns null when
+ * it does not apply (its weight is then left out of the maximum), or
+ * {similarity: 0..1, why} where `why` describes the match.
+ * @param {object} criteria - compare(reference, candidate) functions by criterion
+ * @param {object} weights - Weight of each criterion
+ * @param {object} reference - What candidates are compared to
+ * @param {object} candidate - Candidate to score
+ * @returns {object} - {score: 0-100, breakdown: points per criterion, matches: [{criterion, ...why}]}
+ */
+const scoreWeightedCriteria = (criteria, weights, reference, candidate) => {
+  const breakdown = {};
+  const matches = [];
+  let points = 0;
+  let maxPoints = 0;
+
+  Object.entries(criteria).forEach(([criterion, compare]) => {
+    const result = compare(reference, candidate);
+    if (!result) return;
+
+    const weight = weights[criterion];
+    breakdown[criterion] = round(result.similarity * weight, 1);
+    points += result.similarity * weight;
+    maxPoints += weight;
+
+    if (result.why && result.similarity >= MATCH_THRESHOLD) {
+      matches.push({ criterion, ...result.why });
+    }
+  });
+
+  return {
+    score: maxPoints > 0 ? round(points / maxPoints * 100) : 0,
+    breakdown,
+    matches,
+  };
+};
+
+module.exports = {
+  round,
+  scoreWeightedCriteria,
+};
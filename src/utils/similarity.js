@@ -0,0 +1,111 @@
+const { NEIGHBOURING_GOVERNORATES, SIMILAR_PROPERTIES } = require('../config/constants');
+const { calculateDistance } = require('./validators');
+const { getLocationCoordinates } = require('./geo');
+const { normalizeText } = require('./textSearch');
+const { calculatePricePerM2 } = require('./helpers');
+const { round, scoreWeightedCriteria } = require('./scoring');
+
+const { WEIGHTS, PRICE_RANGE, MAX_DISTANCE_KM } = SIMILAR_PROPERTIES;
+
+/**
+ * Get the governorates bordering a city, matching the name without accents
+ * @param {string} city - City as stored on the property
+ * @returns {array} - Neighbouring governorates (empty if the city is unknown)
+ */
+const getNeighbouringGovernorates = (city) => {
+  const normalized = normalizeText(city);
+  const governorate = Object.keys(NEIGHBOURING_GOVERNORATES)
+    .find(name => normalizeText(name) === normalized);
+  return governorate ? NEIGHBOURING_GOVERNORATES[governorate] : [];
+};
+
+// Price per m² from the stored value, or computed for documents inserted without save hooks
+const getPricePerM2 = (property) => {
+  if (property.pricePerM2 > 0) return property.pricePerM2;
+  return calculatePricePerM2(property.price, property.surface);
+};
+
+// Each criterion returns null when the reference has no data for it (the weight
+// is then left out), or {similarity: 0..1, why} where `why` explains a match.
+const CRITERIA = {
+  pricePerM2: (reference, candidate) => {
+    const referenceValue = getPricePerM2(reference);
+    if (!referenceValue) return null;
+
+    const candidateValue = getPricePerM2(candidate);
+    if (!candidateValue) return { similarity: 0 };
+
+    const difference = (candidateValue - referenceValue) / referenceValue;
+    return {
+      similarity: Math.max(0, 1 - Math.abs(difference) / PRICE_RANGE),
+      why: { pricePerM2: candidateValue, differencePercent: round(difference * 100) },
+    };
+  },
+
+  rooms: (reference, candidate) => {
+    const referenceRooms = reference.apartment_details_id?.rooms;
+    if (!referenceRooms) return null;
+
+    const candidateRooms = candidate.apartment_details_id?.rooms;
+    if (!candidateRooms) return { similarity: 0 };
+
+    const difference = Math.abs(candidateRooms - referenceRooms);
+    return {
+      similarity: difference === 0 ? 1 : difference === 1 ? 0.5 : 0,
+      why: { rooms: candidateRooms },
+    };
+  },
+
+  features: (reference, candidate) => {
+    const referenceFeatures = reference.apartment_details_id?.features || [];
+    if (referenceFeatures.length === 0) return null;
+
+    const candidateFeatures = candidate.apartment_details_id?.features || [];
+    const shared = referenceFeatures.filter(feature => candidateFeatures.includes(feature));
+    const union = new Set([...referenceFeatures, ...candidateFeatures]).size;
+    return {
+      similarity: shared.length / union,
+      why: { shared },
+    };
+  },
+
+  distance: (reference, candidate) => {
+    const from = getLocationCoordinates(reference.location_id);
+    if (!from) return null;
+
+    const to = getLocationCoordinates(candidate.location_id);
+    if (!to) return { similarity: 0 };
+
+    const distanceKm = calculateDistance(from.lat, from.lng, to.lat, to.lng);
+    return {
+      similarity: Math.max(0, 1 - distanceKm / MAX_DISTANCE_KM),
+      why: { distanceKm: round(distanceKm, 1) },
+    };
+  },
+
+  vefa: (reference, candidate) => {
+    const isVefa = Boolean(reference.VEFA_details_id?.is_vefa);
+    const matches = isVefa === Boolean(candidate.VEFA_details_id?.is_vefa);
+    return {
+      similarity: matches ? 1 : 0,
+      why: { isVefa },
+    };
+  },
+};
+
+/**
+ * Score how similar a candidate is to a reference property
+ * @param {object} reference - Property the user is looking at
+ * @param {object} candidate - Property to compare
+ * @returns {object} - {score: 0-100, breakdown: points per criterion, why: matching criteria}
+ */
+const scoreSimilarity = (reference, candidate) => {
+  const { score, breakdown, matches } = scoreWeightedCriteria(CRITERIA, WEIGHTS, reference, candidate);
+  return { score, breakdown, why: matches };
+};
+
+module.exports = {
+  getNeighbouringGovernorates,
+  getPricePerM2,
+  scoreSimilarity,
+};
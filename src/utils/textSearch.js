@@ -0,0 +1,142 @@
+const {
+  CITY_LABELS_AR, PROPERTY_TYPE_LABELS_AR, FEATURE_LABELS_AR,
+} = require('../config/constants');
+
+// Keep keyword arrays small enough for the multikey and text indexes
+const MAX_KEYWORDS = 200;
+
+const STOP_WORDS = new Set([
+  // French
+  'de', 'la', 'le', 'les', 'des', 'du', 'et', 'au', 'aux', 'en', 'un', 'une',
+  'pour', 'avec', 'sur', 'dans', 'par', 'ou', 'est', 'sont', 'ce', 'cette',
+  // Arabic (already normalized)
+  'في', 'من', 'علي', 'مع', 'الي', 'عن', 'او', 'هذا', 'هذه',
+]);
+
+/**
+ * Normalize text for search: lowercase, strip French accents and Arabic
+ * diacritics, unify Arabic letter variants (hamza forms, taa marbuta, alif maqsura)
+ * @param {string} text - Raw text
+ * @returns {string} - Normalized text
+ */
+const normalizeText = (text) => {
+  if (!text) return '';
+
+  return String(text)
+    .normalize('NFD')
+    // Latin accents, Arabic harakat and hamza marks, superscript alef, tatweel
+    .replace(/[\u0300-\u036f\u064b-\u065f\u0670\u0640]/g, '')
+    .replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627') // آ أ إ ٱ -> ا
+    .replace(/\u0629/g, '\u0647') // ة -> ه
+    .replace(/\u0649/g, '\u064a') // ى -> ي
+    .replace(/\u0624/g, '\u0648') // ؤ -> و
+    .replace(/\u0626/g, '\u064a') // ئ -> ي
+    .replace(/[\u0660-\u0669]/g, d => String(d.charCodeAt(0) - 0x0660)) // Arabic-Indic digits
+    .replace(/œ/g, 'oe')
+    .replace(/æ/g, 'ae')
+    .toLowerCase()
+    .trim();
+};
+
+/**
+ * Reduce a normalized word to a shared form (French plural, Arabic article)
+ * so that "villas" / "villa" and "المرسى" / "مرسى" produce the same token
+ * @param {string} word - Normalized word
+ * @returns {string} - Token
+ */
+const toToken = (word) => {
+  if (/^[a-z]/.test(word) && word.length > 3 && /[^isu]s$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  if (word.startsWith('ال') && word.length > 4) {
+    return word.slice(2);
+  }
+  return word;
+};
+
+/**
+ * Split text into normalized search tokens
+ * @param {string} text - Raw text
+ * @returns {array} - Unique tokens, in order of appearance
+ */
+const tokenize = (text) => {
+  const tokens = normalizeText(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= 2 && !STOP_WORDS.has(word))
+    .map(toToken);
+
+  return [...new Set(tokens)];
+};
+
+/**
+ * Build the searchKeywords array of a property, in French and Arabic
+ * @param {object} property - Property document or plain object
+ * @returns {array} - Normalized keywords
+ */
+const buildSearchKeywords = (property) => {
+  const location = property.location_id || {};
+  const features = property.apartment_details_id?.features || [];
+
+  const sources = [
+    property.title,
+    location.city,
+    CITY_LABELS_AR[location.city],
+    location.district,
+    location.region,
+    property.type,
+    PROPERTY_TYPE_LABELS_AR[property.type],
+    ...features,
+    ...features.map(feature => FEATURE_LABELS_AR[feature]),
+    property.description,
+  ];
+
+  const keywords = new Set();
+  for (const source of sources) {
+    for (const token of tokenize(source)) {
+      keywords.add(token);
+    }
+  }
+
+  return [...keywords].slice(0, MAX_KEYWORDS);
+};
+
+/**
+ * Turn a user query into a MongoDB $text search string
+ * @param {string} query - User query
+ * @returns {string} - Normalized search string
+ */
+const buildTextSearch = (query) => tokenize(query).join(' ');
+
+// Letter classes matching every accented / variant spelling of a normalized letter
+const LETTER_VARIANTS = {
+  a: '[aàâäá]',
+  c: '[cç]',
+  e: '[eéèêë]',
+  i: '[iîïí]',
+  o: '[oôöó]',
+  u: '[uùûüú]',
+  '\u0627': '[\u0627\u0622\u0623\u0625\u0671]', // ا
+  '\u0647': '[\u0647\u0629]', // ه / ة
+  '\u064a': '[\u064a\u0649\u0626]', // ي / ى / ئ
+  '\u0648': '[\u0648\u0624]', // و / ؤ
+};
+
+/**
+ * Build a case- and accent-insensitive regex source for raw stored values,
+ * e.g. "medenine" -> matches "Médenine"
+ * @param {string} text - User input
+ * @returns {string} - Regex source (escaped)
+ */
+const accentInsensitivePattern = (text) => {
+  return [...normalizeText(text)]
+    .map(char => LETTER_VARIANTS[char] || char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('');
+};
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  buildSearchKeywords,
+  buildTextSearch,
+  accentInsensitivePattern,
+};
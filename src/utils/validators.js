@@ -1,4 +1,5 @@
 const { VALIDATION } = require('../config/constants');
+const { parseDeliveryDate } = require('./deliveryDate');
 
 /**
  * Validate Tunisian phone number
@@ -80,27 +81,9 @@ const checkPasswordStrength = (password) => {
 /**
  * Parse French date (e.g., "avril 2025")
  * @param {string} dateStr - French date string
- * @returns {Date|null} - Parsed date or null
+ * @returns {Date|null} - First day of the period or null
  */
-const parseFrenchDate = (dateStr) => {
-  if (!dateStr) return null;
-  
-  const months = {
-    'janvier': 0, 'février': 1, 'mars': 2, 'avril': 3,
-    'mai': 4, 'juin': 5, 'juillet': 6, 'août': 7,
-    'septembre': 8, 'octobre': 9, 'novembre': 10, 'décembre': 11
-  };
-  
-  const parts = dateStr.toLowerCase().split(' ');
-  if (parts.length === 2) {
-    const [month, year] = parts;
-    if (months[month] !== undefined && /^\d{4}$/.test(year)) {
-      return new Date(parseInt(year), months[month]);
-    }
-  }
-  
-  return null;
-};
+const parseFrenchDate = (dateStr) => parseDeliveryDate(dateStr)?.start || null;
 
 /**
  * Format price for display
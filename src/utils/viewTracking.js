@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const { VIEW_TRACKING } = require('../config/constants');
+
+/**
+ * Check whether a request comes from a crawler or an automated client
+ * @param {string} userAgent - User-Agent header
+ * @returns {boolean} - True if the view should not be counted
+ */
+const isBot = (userAgent) => {
+  if (!userAgent) return true;
+  return VIEW_TRACKING.BOT_USER_AGENT_REGEX.test(userAgent);
+};
+
+/**
+ * Identify the viewer for deduplication: the user when authenticated,
+ * otherwise a hash of IP and user agent (raw IPs are never stored)
+ * @param {object} req - Express request
+ * @returns {string} - Viewer key
+ */
+const getViewerKey = (req) => {
+  if (req.userId) return `user:${req.userId}`;
+
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update(`${req.ip}|${req.get('user-agent') || ''}`)
+    .digest('hex')
+    .slice(0, 32);
+  return `anon:${fingerprint}`;
+};
+
+module.exports = {
+  isBot,
+  getViewerKey,
+};
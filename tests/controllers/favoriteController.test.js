@@ -0,0 +1,86 @@
+const { Op } = require('sequelize');
+const UserFavorite = require('../../src/models/UserFavorite');
+const Property = require('../../src/models/Property');
+const { getFavorites } = require('../../src/controllers/favoriteController');
+const { encodeCursor, decodeCursor } = require('../../src/utils/helpers');
+
+const run = async (handler, req) => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+
+  handler(req, res, next);
+  await new Promise(resolve => setImmediate(resolve));
+
+  return { res, next };
+};
+
+const favorite = (id, propertyId, createdAt, details = {}) => ({
+  id, propertyId, createdAt: new Date(createdAt), note: null, tags: [], ...details,
+});
+
+describe('getFavorites', () => {
+  const favorites = [
+    favorite('f3', 'p3', '2026-03-03', { note: 'Visite samedi', tags: ['visite'] }),
+    favorite('f1', 'p1', '2026-03-02'),
+    favorite('f2', 'p2', '2026-03-01'),
+  ];
+
+  beforeEach(() => {
+    const chain = { populate: jest.fn(() => chain), lean: async () => [{ _id: 'p2' }, { _id: 'p3' }] };
+    jest.spyOn(Property, 'find').mockReturnValue(chain);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps the favorites order and adds the favorite details', async () => {
+    jest.spyOn(UserFavorite, 'findAndCountAll').mockResolvedValue({ rows: favorites, count: 3 });
+
+    const { res } = await run(getFavorites, { userId: 'u1', query: { page: 1, limit: 20 } });
+
+    const { favorites: listed, pagination } = res.json.mock.calls[0][0].data;
+    expect(listed).toEqual([
+      {
+        _id: 'p3', isFavorited: true, favoritedAt: favorites[0].createdAt, note: 'Visite samedi', tags: ['visite'],
+      },
+      {
+        _id: 'p2', isFavorited: true, favoritedAt: favorites[2].createdAt, note: null, tags: [],
+      },
+    ]);
+    expect(pagination).toMatchObject({ totalItems: 3, hasNext: false, nextCursor: null });
+  });
+
+  test('filters by tag', async () => {
+    const findAndCountAll = jest.spyOn(UserFavorite, 'findAndCountAll').mockResolvedValue({ rows: [], count: 0 });
+
+    await run(getFavorites, { userId: 'u1', query: { page: 1, limit: 20, tag: 'visite' } });
+
+    const { where } = findAndCountAll.mock.calls[0][0];
+    expect(where.userId).toBe('u1');
+    expect(where.tags[Op.contains]).toEqual(['visite']);
+  });
+
+  test('gives a cursor to continue after the page', async () => {
+    jest.spyOn(UserFavorite, 'findAndCountAll').mockResolvedValue({ rows: favorites.slice(0, 2), count: 3 });
+
+    const { res } = await run(getFavorites, { userId: 'u1', query: { page: 1, limit: 2 } });
+
+    const { pagination } = res.json.mock.calls[0][0].data;
+    expect(decodeCursor(pagination.nextCursor)).toEqual({ value: favorites[1].createdAt, id: 'f1' });
+  });
+
+  test('continues from a cursor', async () => {
+    const findAll = jest.spyOn(UserFavorite, 'findAll').mockResolvedValue(favorites);
+    const after = encodeCursor({ _id: 'f4', createdAt: new Date('2026-03-04') }, { createdAt: -1 });
+
+    const { res } = await run(getFavorites, { userId: 'u1', query: { limit: 2, after } });
+
+    expect(findAll.mock.calls[0][0].limit).toBe(3);
+    expect(res.json.mock.calls[0][0].data.pagination).toEqual({
+      itemsPerPage: 2,
+      hasNext: true,
+      nextCursor: encodeCursor({ _id: 'f1', createdAt: favorites[1].createdAt }, { createdAt: -1 }),
+    });
+  });
+});
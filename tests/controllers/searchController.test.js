@@ -0,0 +1,86 @@
+const Property = require('../../src/models/Property');
+const Promoter = require('../../src/models/Promoter');
+const logger = require('../../src/utils/logger');
+const { suggest } = require('../../src/controllers/searchController');
+
+// Error raised by the driver when a query exceeds maxTimeMS
+const timeout = () => Object.assign(new Error('operation exceeded time limit'), {
+  code: 50,
+  codeName: 'MaxTimeMSExpired',
+});
+
+// Chainable stand-in for Promoter.find(): resolves with `result` on lean()
+const findChain = (result) => {
+  const chain = {};
+  ['sort', 'select', 'limit', 'maxTimeMS'].forEach((method) => {
+    chain[method] = jest.fn(() => chain);
+  });
+  chain.lean = jest.fn(() => (result instanceof Error ? Promise.reject(result) : Promise.resolve(result)));
+  return chain;
+};
+
+// Property.aggregate() stand-in: answers each pipeline through `respond`
+const aggregateWith = (respond) => (pipeline) => ({
+  option: () => {
+    const result = respond(pipeline[0].$match);
+    return result instanceof Error ? Promise.reject(result) : Promise.resolve(result);
+  },
+});
+
+const runSuggest = async (q) => {
+  const req = { query: { q, limit: 5 }, headers: {} };
+  const res = { set: jest.fn(), json: jest.fn() };
+  const next = jest.fn();
+
+  suggest(req, res, next);
+  await new Promise(resolve => setImmediate(resolve));
+
+  return { res, next };
+};
+
+describe('suggest', () => {
+  beforeEach(() => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(Promoter, 'find').mockImplementation(() => findChain([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns the sources that completed when another one times out', async () => {
+    jest.spyOn(Property, 'aggregate').mockImplementation(aggregateWith((match) => {
+      if (match['location_id.district']) return timeout();
+      if (match['location_id.city']) return [{ _id: 'Sousse', count: 12 }];
+      return [{ _id: 'Villa à Sousse', count: 1, propertyId: 'p1' }];
+    }));
+
+    const { res, next } = await runSuggest('sous');
+
+    expect(next).not.toHaveBeenCalled();
+    const { suggestions } = res.json.mock.calls[0][0].data;
+    expect(suggestions.map(s => s.type)).toEqual(['city', 'title']);
+    expect(suggestions[0]).toMatchObject({ value: 'Sousse', count: 12 });
+    expect(logger.warn).toHaveBeenCalledWith('Suggestion source timed out', expect.objectContaining({ source: 'districts' }));
+  });
+
+  test('answers with no suggestions when every source times out', async () => {
+    jest.spyOn(Property, 'aggregate').mockImplementation(aggregateWith(() => timeout()));
+    Promoter.find.mockImplementation(() => findChain(timeout()));
+
+    const { res, next } = await runSuggest('sous');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].data.suggestions).toEqual([]);
+  });
+
+  test('still reports other database errors', async () => {
+    const failure = new Error('connection lost');
+    jest.spyOn(Property, 'aggregate').mockImplementation(aggregateWith(() => failure));
+
+    const { res, next } = await runSuggest('sous');
+
+    expect(next).toHaveBeenCalledWith(failure);
+    expect(res.json).not.toHaveBeenCalled();
+  });
+});
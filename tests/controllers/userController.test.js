@@ -0,0 +1,61 @@
+const User = require('../../src/models/User');
+const UserFavorite = require('../../src/models/UserFavorite');
+const Property = require('../../src/models/Property');
+const { getProfile } = require('../../src/controllers/userController');
+
+const run = async (handler, req) => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+
+  handler(req, res, next);
+  await new Promise(resolve => setImmediate(resolve));
+
+  return { res, next };
+};
+
+describe('getProfile', () => {
+  let find;
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findByPk').mockResolvedValue({ id: 'u1', toJSON: () => ({ id: 'u1' }) });
+    // Most recent favorite first, as read from Postgres
+    jest.spyOn(UserFavorite, 'findAll').mockResolvedValue([
+      { propertyId: 'p3' }, { propertyId: 'p1' }, { propertyId: 'p2' },
+    ]);
+    // MongoDB answers in its own order and without listings removed since
+    const chain = { select: jest.fn(() => chain), lean: async () => [{ _id: 'p1' }, { _id: 'p3' }] };
+    find = jest.spyOn(Property, 'find').mockReturnValue(chain);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('lists the favorite properties most recent first', async () => {
+    const { res } = await run(getProfile, { userId: 'u1' });
+
+    expect(find).toHaveBeenCalledWith({ _id: { $in: ['p3', 'p1', 'p2'] } });
+    expect(res.json.mock.calls[0][0].data.user).toEqual({
+      id: 'u1',
+      favoriteProperties: [{ _id: 'p3' }, { _id: 'p1' }],
+    });
+  });
+
+  test('reads the latest favorites only', async () => {
+    await run(getProfile, { userId: 'u1' });
+
+    expect(UserFavorite.findAll).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: 'u1' },
+      order: [['created_at', 'DESC']],
+      limit: 10,
+    }));
+  });
+
+  test('fails for an unknown user', async () => {
+    User.findByPk.mockResolvedValue(null);
+
+    const { next } = await run(getProfile, { userId: 'nope' });
+
+    expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 404 });
+  });
+});
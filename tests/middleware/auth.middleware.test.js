@@ -0,0 +1,31 @@
+const { requireRole } = require('../../src/middleware/auth.middleware');
+const { ERROR_CODES } = require('../../src/config/constants');
+
+const run = (middleware, req) => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { res, next };
+};
+
+describe('requireRole', () => {
+  test.each(['agent', 'admin'])('lets an %s through', (role) => {
+    const { next } = run(requireRole('agent', 'admin'), { user: { role } });
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test.each([
+    ['a user without the role', { user: { role: 'user' } }],
+    ['an anonymous request', {}],
+  ])('forbids %s', (_label, req) => {
+    const { res, next } = run(requireRole('agent', 'admin'), req);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].error.code).toBe(ERROR_CODES.AUTH_FORBIDDEN);
+  });
+});
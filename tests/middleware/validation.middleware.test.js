@@ -0,0 +1,163 @@
+const {
+  validatePropertySearch,
+  validatePropertyClusters,
+  validatePropertyId,
+  validatePropertyCompare,
+  validateConstructionUpdate,
+} = require('../../src/middleware/validation.middleware');
+const { encodeCursor } = require('../../src/utils/helpers');
+
+const run = (middleware, req) => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { res, next };
+};
+
+describe('validatePropertySearch', () => {
+  test('fills in sort and pagination defaults', () => {
+    const req = { method: 'GET', query: { city: 'Tunis' } };
+    const { next } = run(validatePropertySearch, req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.query).toEqual({ city: 'Tunis', sort: 'newest', facets: false, page: 1, limit: 20 });
+  });
+
+  test('converts numeric strings and drops unknown keys', () => {
+    const req = { method: 'GET', query: { priceMin: '100000', page: '3', foo: 'bar' } };
+    run(validatePropertySearch, req);
+
+    expect(req.query).toMatchObject({ priceMin: 100000, page: 3 });
+    expect(req.query).not.toHaveProperty('foo');
+  });
+
+  test('accepts delivery periods as written in listings', () => {
+    const req = { method: 'GET', query: { deliveryDateBefore: 'T2 2026', deliveryDateAfter: 'avril 2025' } };
+    const { next } = run(validatePropertySearch, req);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test.each([
+    ['type', 'Chateau'],
+    ['deliveryDateBefore', 'bientôt'],
+    ['deliveryDateAfter', '2026-02-31'],
+    ['sort', 'cheapest'],
+    ['limit', '500'],
+    ['page', '0'],
+  ])('rejects an invalid %s', (field, value) => {
+    const req = { method: 'GET', query: { [field]: value } };
+    const { res, next } = run(validatePropertySearch, req);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+describe('validatePropertySearch cursors', () => {
+  const after = encodeCursor({ _id: 'p1', price: 100000 }, { price: 1 });
+
+  test('accepts a cursor from a previous page', () => {
+    const req = { method: 'GET', query: { sort: 'price_asc', after } };
+    const { next } = run(validatePropertySearch, req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.query.after).toBe(after);
+  });
+
+  test.each([
+    ['a malformed cursor', { after: 'garbage' }],
+    ['a cursor with the relevance sort', { q: 'villa', sort: 'relevance', after }],
+  ])('rejects %s', (_label, query) => {
+    const { res, next } = run(validatePropertySearch, { method: 'GET', query });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+describe('validatePropertyClusters', () => {
+  test('parses the viewport and zoom', () => {
+    const req = { method: 'GET', query: { bbox: '10.1,36.7,10.3,36.9', zoom: '12', type: 'Villa' } };
+    const { next } = run(validatePropertyClusters, req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.query).toEqual({ bbox: [10.1, 36.7, 10.3, 36.9], zoom: 12, type: 'Villa' });
+  });
+
+  test.each([
+    ['a missing bbox', { zoom: '12' }],
+    ['a missing zoom', { bbox: '10.1,36.7,10.3,36.9' }],
+    ['a zoom past the maximum', { bbox: '10.1,36.7,10.3,36.9', zoom: '23' }],
+    ['a fractional zoom', { bbox: '10.1,36.7,10.3,36.9', zoom: '12.5' }],
+    ['a viewport wider than the span limit', { bbox: '0,20,25,40', zoom: '3' }],
+  ])('rejects %s', (_label, query) => {
+    const { res, next } = run(validatePropertyClusters, { method: 'GET', query });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+describe('validatePropertyId', () => {
+  test('validates the route params whatever the method', () => {
+    const req = { method: 'POST', params: { id: 'abc' }, body: {} };
+    const { next } = run(validatePropertyId, req);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test('rejects a request without an id param', () => {
+    const req = { method: 'GET', params: {}, query: { id: 'abc' } };
+    const { res, next } = run(validatePropertyId, req);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+describe('validatePropertyCompare', () => {
+  test('accepts two to five listings', () => {
+    const req = { method: 'POST', body: { propertyIds: [' p1', 'p2 '] } };
+    const { next } = run(validatePropertyCompare, req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.body.propertyIds).toEqual(['p1', 'p2']);
+  });
+
+  test.each([
+    ['a single listing', ['p1']],
+    ['too many listings', ['p1', 'p2', 'p3', 'p4', 'p5', 'p6']],
+    ['the same listing twice', ['p1', 'p1']],
+  ])('rejects %s', (_label, propertyIds) => {
+    const { res, next } = run(validatePropertyCompare, { method: 'POST', body: { propertyIds } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+describe('validateConstructionUpdate', () => {
+  test('accepts a progress report', () => {
+    const req = { method: 'POST', body: { status: 'En finition', percentage: 85, photos: ['https://cdn.nestify.tn/chantier.jpg'] } };
+    const { next } = run(validateConstructionUpdate, req);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test.each([
+    ['an empty report', {}],
+    ['an unknown status', { status: 'Bientôt' }],
+    ['a percentage over 100', { percentage: 120 }],
+    ['a photo that is not a web link', { photos: ['file:///tmp/chantier.jpg'] }],
+    ['a report dated in the future', { comment: 'Dalle coulée', reportedAt: '2100-01-01' }],
+  ])('rejects %s', (_label, body) => {
+    const { res, next } = run(validateConstructionUpdate, { method: 'POST', body });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
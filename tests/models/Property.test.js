@@ -0,0 +1,283 @@
+const Property = require('../../src/models/Property');
+
+describe('Property.search', () => {
+  test('only returns validated listings by default', async () => {
+    expect(await Property.search()).toEqual({ validated: true });
+  });
+
+  test('escapes the city before building the regex', async () => {
+    const query = await Property.search({ city: 'La Marsa (Nord)' });
+
+    expect(query['location_id.city'].test('la marsa (nord)')).toBe(true);
+    expect(query['location_id.city'].test('La Marsa N')).toBe(false);
+  });
+
+  test('accepts comma-separated features', async () => {
+    const query = await Property.search({ features: 'Garage,Piscine' });
+
+    expect(query['apartment_details_id.features']).toEqual({ $all: ['Garage', 'Piscine'] });
+  });
+
+  test('builds price and surface ranges', async () => {
+    const query = await Property.search({ priceMin: 100000, surfaceMax: 120 });
+
+    expect(query.price).toEqual({ $gte: 100000 });
+    expect(query.surface).toEqual({ $lte: 120 });
+  });
+
+  test('filters on the parsed delivery window', async () => {
+    const query = await Property.search({ deliveryDateBefore: 'T4 2026', deliveryDateAfter: '2026-01-01' });
+
+    expect(query['VEFA_details_id.delivery_window.end']).toEqual({ $lte: new Date('2026-12-31T00:00:00.000Z') });
+    expect(query['VEFA_details_id.delivery_window.start']).toEqual({ $gte: new Date('2026-01-01T00:00:00.000Z') });
+  });
+});
+
+describe('isDeliveryDatePassed', () => {
+  test.each([
+    ['a stored window that ended', { delivery_window: { start: new Date('2020-01-01'), end: new Date('2020-03-31') } }, true],
+    ['a stored window still open', { delivery_window: { start: new Date('2020-01-01'), end: new Date('2100-03-31') } }, false],
+    ['an announced date not parsed yet', { delivery_date: 'T1 2020' }, true],
+    ['an unreadable date', { delivery_date: 'bientôt' }, false],
+    ['no date', {}, false],
+  ])('handles %s', (_label, vefa, expected) => {
+    const property = new Property({ VEFA_details_id: { is_vefa: true, ...vefa } });
+
+    expect(property.isDeliveryDatePassed()).toBe(expected);
+  });
+});
+
+describe('isDelayed', () => {
+  const ended = { start: new Date('2020-01-01'), end: new Date('2020-03-31') };
+
+  test.each([
+    ['a VEFA project past its delivery period', { is_vefa: true, construction_progress: 'En finition' }, true],
+    ['a delivered project', { is_vefa: true, construction_progress: 'Livré' }, false],
+    ['a listing not sold off-plan', { is_vefa: false, construction_progress: 'En finition' }, false],
+  ])('handles %s', (_label, vefa, expected) => {
+    const property = new Property({ VEFA_details_id: { ...vefa, delivery_window: ended } });
+
+    expect(property.isDelayed()).toBe(expected);
+  });
+
+  test('is not delayed before the end of the delivery period', () => {
+    const property = new Property({
+      VEFA_details_id: { is_vefa: true, delivery_window: { start: new Date('2020-01-01'), end: new Date('2100-01-01') } },
+    });
+
+    expect(property.isDelayed()).toBe(false);
+  });
+});
+
+describe('Property.facets', () => {
+  let pipeline;
+
+  beforeEach(() => {
+    jest.spyOn(Property, 'aggregate').mockImplementation(async (stages) => {
+      pipeline = stages;
+      return [{
+        types: [{ _id: 'Appartement', count: 120 }, { _id: 'Villa', count: 14 }],
+        rooms: [{ _id: 2, count: 40 }, { _id: 'max', count: 3 }],
+        price: [{ _id: 100000, count: 25 }, { _id: 'max', count: 2 }],
+        features: [{ _id: 'Garage', count: 9 }],
+      }];
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('lets each facet ignore its own filters', async () => {
+    await Property.facets({ city: 'Tunis', type: 'Villa', priceMin: 200000, rooms: 3 });
+
+    const [{ $match: base }, { $facet: facets }] = pipeline;
+    expect(base).toMatchObject({ validated: true });
+    expect(base['location_id.city']).toBeInstanceOf(RegExp);
+    expect(base).not.toHaveProperty('type');
+
+    expect(facets.types[0].$match).toEqual({ price: { $gte: 200000 }, 'apartment_details_id.rooms': 3 });
+    expect(facets.rooms[0].$match).toEqual({ type: 'Villa', price: { $gte: 200000 } });
+    expect(facets.price[0].$match).toEqual({ type: 'Villa', 'apartment_details_id.rooms': 3 });
+  });
+
+  test('merges extra conditions into the base match', async () => {
+    const area = { 'location_id.geo': { $geoWithin: {} } };
+    await Property.facets({}, area);
+
+    expect(pipeline[0].$match).toEqual({ validated: true, ...area });
+  });
+
+  test('labels the open-ended buckets', async () => {
+    const facets = await Property.facets({});
+
+    expect(facets.types).toEqual([{ value: 'Appartement', count: 120 }, { value: 'Villa', count: 14 }]);
+    expect(facets.rooms).toEqual([{ value: '2', count: 40 }, { value: '5+', count: 3 }]);
+    expect(facets.price).toEqual([
+      { min: 100000, max: 200000, count: 25 },
+      { min: 2000000, max: null, count: 2 },
+    ]);
+    expect(facets.features).toEqual([{ value: 'Garage', count: 9 }]);
+  });
+});
+
+describe('price changes', () => {
+  const listing = {
+    _id: 'p1',
+    title: 'Villa Hammamet',
+    price: 500000,
+    surface: 200,
+    created_at: new Date('2025-01-01T00:00:00.000Z'),
+  };
+  let drops;
+  const collect = drop => drops.push(drop);
+
+  beforeEach(() => {
+    drops = [];
+    Property.on('priceDrop', collect);
+  });
+
+  afterEach(() => {
+    Property.off('priceDrop', collect);
+    jest.restoreAllMocks();
+  });
+
+  const mockFindById = property => jest.spyOn(Property, 'findById')
+    .mockReturnValue({ lean: async () => property });
+
+  describe('Property.updatePrice', () => {
+    test('appends the change and recomputes pricePerM2 atomically', async () => {
+      mockFindById({ ...listing, priceHistory: [{ price: 500000 }] });
+      const updateOne = jest.spyOn(Property, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await Property.updatePrice('p1', 450000, { source: 'import' });
+
+      const [filter, [setPrice, history, pricePerM2]] = updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: 'p1', price: 500000 });
+      expect(setPrice).toEqual({ $set: { price: 450000 } });
+      expect(history.$set.priceHistory.$slice[0].$concatArrays[1].$literal).toEqual([
+        { price: 450000, pricePerM2: 2250, changed_at: expect.any(Date), source: 'import' },
+      ]);
+      expect(pricePerM2.$set).toHaveProperty('pricePerM2');
+      expect(updateOne.mock.calls[0][1][3].$set).toHaveProperty('rentalEstimate');
+      expect(result).toMatchObject({ previousPrice: 500000, price: 450000, changed: true, dropped: true });
+    });
+
+    test('starts the history of listings created before tracking', async () => {
+      mockFindById(listing);
+      const updateOne = jest.spyOn(Property, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await Property.updatePrice('p1', 550000);
+
+      const entries = updateOne.mock.calls[0][1][1].$set.priceHistory.$slice[0].$concatArrays[1].$literal;
+      expect(entries).toEqual([
+        { price: 500000, pricePerM2: 2500, changed_at: listing.created_at, source: 'initial' },
+        { price: 550000, pricePerM2: 2750, changed_at: expect.any(Date), source: 'update' },
+      ]);
+    });
+
+    test('announces drops without sending anything itself', async () => {
+      mockFindById(listing);
+      jest.spyOn(Property, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await Property.updatePrice('p1', 450000);
+
+      expect(drops).toEqual([{ property: { ...listing, price: 450000 }, previousPrice: 500000 }]);
+    });
+
+    test.each([
+      ['a price increase', 550000, 1],
+      ['a price on request', 0, 1],
+      ['a concurrent change', 450000, 0],
+    ])('does not announce %s', async (_label, price, modifiedCount) => {
+      mockFindById(listing);
+      jest.spyOn(Property, 'updateOne').mockResolvedValue({ modifiedCount });
+
+      await Property.updatePrice('p1', price);
+
+      expect(drops).toEqual([]);
+    });
+
+    test('leaves an unchanged price alone', async () => {
+      mockFindById(listing);
+      const updateOne = jest.spyOn(Property, 'updateOne');
+
+      expect(await Property.updatePrice('p1', 500000)).toMatchObject({ changed: false });
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    test('returns null for an unknown listing', async () => {
+      mockFindById(null);
+
+      expect(await Property.updatePrice('nope', 1)).toBeNull();
+    });
+  });
+
+  describe('Property.recordPriceChanges', () => {
+    const mockCurrent = properties => jest.spyOn(Property, 'find')
+      .mockReturnValue({ lean: async () => properties });
+
+    test('records the listings whose price changed', async () => {
+      mockCurrent([
+        { ...listing, price: 450000 },
+        { ...listing, _id: 'p2', price: 300000 },
+      ]);
+      const updateOne = jest.spyOn(Property, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const changes = await Property.recordPriceChanges([listing, { ...listing, _id: 'p2', price: 300000 }]);
+
+      expect(changes).toEqual([{ property: { ...listing, price: 450000 }, previousPrice: 500000 }]);
+      expect(updateOne).toHaveBeenCalledTimes(1);
+
+      const [filter, [stage]] = updateOne.mock.calls[0];
+      const [existing, added] = stage.$set.priceHistory.$slice[0].$concatArrays;
+      expect(filter).toEqual({ _id: 'p1' });
+      expect(existing.$ifNull[1].$literal).toEqual([
+        { price: 500000, pricePerM2: 2500, changed_at: listing.created_at, source: 'initial' },
+      ]);
+      expect(added.$literal).toEqual([
+        { price: 450000, pricePerM2: 2250, changed_at: expect.any(Date), source: 'update' },
+      ]);
+    });
+
+    test('announces drops only', async () => {
+      mockCurrent([
+        { ...listing, price: 450000 },
+        { ...listing, _id: 'p2', price: 650000 },
+      ]);
+      jest.spyOn(Property, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await Property.recordPriceChanges([listing, { ...listing, _id: 'p2' }]);
+
+      expect(drops).toEqual([{ property: { ...listing, price: 450000 }, previousPrice: 500000 }]);
+    });
+  });
+});
+
+describe('Property.estimateRent', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('stores the none marker without enough comparables', async () => {
+    const find = jest.spyOn(Property, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+    const updateOne = jest.spyOn(Property, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const estimate = await Property.estimateRent({ _id: 'p1', surface: 100, location_id: { city: 'Gabès' } });
+
+    expect(estimate).toEqual({ source: 'none', estimatedAt: expect.any(Date) });
+    expect(find.mock.calls[0][0]['location_id.city'].test('gabes')).toBe(true);
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: 'p1', rentalEstimate: { $exists: false } },
+      { $set: { rentalEstimate: estimate } }
+    );
+  });
+
+  test('does not look for comparables without a surface', async () => {
+    const find = jest.spyOn(Property, 'find');
+    jest.spyOn(Property, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    expect((await Property.estimateRent({ _id: 'p1', location_id: { city: 'Tunis' } })).source).toBe('none');
+    expect(find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,35 @@
+const PropertyActivity = require('../../src/models/PropertyActivity');
+
+describe('PropertyActivity', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('increment counts in the current UTC hour and copies city and type', () => {
+    const updateOne = jest.spyOn(PropertyActivity, 'updateOne').mockReturnValue('query');
+    const property = { _id: 'p1', type: 'Villa', location_id: { city: 'Sousse' } };
+
+    PropertyActivity.increment(property, 'favorites', new Date('2026-03-10T14:47:12.000Z'));
+
+    expect(updateOne).toHaveBeenCalledWith(
+      { property_id: 'p1', hour: new Date('2026-03-10T14:00:00.000Z') },
+      { $inc: { favorites: 1 }, $setOnInsert: { city: 'Sousse', type: 'Villa' } },
+      { upsert: true }
+    );
+  });
+
+  test('trending scopes the window and weighs favorites', () => {
+    jest.useFakeTimers({ now: new Date('2026-03-10T14:47:00.000Z') });
+    const aggregate = jest.spyOn(PropertyActivity, 'aggregate').mockReturnValue('pipeline');
+
+    PropertyActivity.trending({ hours: 24, halfLifeHours: 6, match: { city: 'Sousse' }, limit: 12 });
+
+    const [match, decay, group, sort, limit] = aggregate.mock.calls[0][0];
+    expect(match.$match).toEqual({ city: 'Sousse', hour: { $gte: new Date('2026-03-09T14:00:00.000Z') } });
+    expect(decay.$addFields.decay.$exp.$multiply[0]).toBeCloseTo(-Math.LN2 / 6);
+    expect(group.$group.score.$sum.$multiply[1]).toEqual({ $add: ['$views', { $multiply: ['$favorites', 5] }] });
+    expect(sort).toEqual({ $sort: { score: -1, _id: 1 } });
+    expect(limit).toEqual({ $limit: 12 });
+  });
+});
@@ -0,0 +1,58 @@
+const PropertyViewStat = require('../../src/models/PropertyViewStat');
+
+describe('PropertyViewStat.dailySeries', () => {
+  beforeAll(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-10T15:30:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('zero-fills the days without views', async () => {
+    jest.spyOn(PropertyViewStat, 'aggregate').mockResolvedValue([
+      { _id: new Date('2026-03-08T00:00:00.000Z'), views: 4 },
+      { _id: new Date('2026-03-10T00:00:00.000Z'), views: 2 },
+    ]);
+
+    const { total, series } = await PropertyViewStat.dailySeries({ property_id: 'p1' }, 3);
+
+    expect(series).toEqual([
+      { date: '2026-03-08', views: 4 },
+      { date: '2026-03-09', views: 0 },
+      { date: '2026-03-10', views: 2 },
+    ]);
+    expect(total).toBe(6);
+  });
+
+  test('starts the period at UTC midnight', async () => {
+    const aggregate = jest.spyOn(PropertyViewStat, 'aggregate').mockResolvedValue([]);
+
+    const { series } = await PropertyViewStat.dailySeries({ promoter_id: 'x' }, 30);
+
+    expect(aggregate.mock.calls[0][0][0].$match).toEqual({
+      promoter_id: 'x',
+      date: { $gte: new Date('2026-02-09T00:00:00.000Z') },
+    });
+    expect(series).toHaveLength(30);
+  });
+});
+
+describe('PropertyViewStat.increment', () => {
+  test('upserts the counter of the UTC day', () => {
+    const updateOne = jest.spyOn(PropertyViewStat, 'updateOne').mockReturnValue('query');
+
+    PropertyViewStat.increment({ _id: 'p1', promoter_id: 'pr1' }, new Date('2026-03-10T23:59:00.000+01:00'));
+
+    expect(updateOne).toHaveBeenCalledWith(
+      { property_id: 'p1', date: new Date('2026-03-10T00:00:00.000Z') },
+      { $inc: { views: 1 }, $setOnInsert: { promoter_id: 'pr1' } },
+      { upsert: true }
+    );
+    updateOne.mockRestore();
+  });
+});
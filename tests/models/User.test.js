@@ -0,0 +1,91 @@
+const User = require('../../src/models/User');
+const { RECENTLY_VIEWED } = require('../../src/config/constants');
+
+describe('User#addToRecentlyViewed', () => {
+  const build = (recentlyViewed) => {
+    const user = User.build({ recentlyViewed });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    return user;
+  };
+
+  test('puts the property first', async () => {
+    const user = build([{ propertyId: 'p1', viewedAt: new Date('2026-01-01') }]);
+
+    await user.addToRecentlyViewed('p2');
+
+    expect(user.recentlyViewed.map(item => item.propertyId)).toEqual(['p2', 'p1']);
+    expect(user.recentlyViewed[0].viewedAt).toBeInstanceOf(Date);
+    expect(user.save).toHaveBeenCalled();
+  });
+
+  test('moves a property viewed again instead of duplicating it', async () => {
+    const user = build([
+      { propertyId: 'p1', viewedAt: new Date('2026-01-02') },
+      { propertyId: 'p2', viewedAt: new Date('2026-01-01') },
+    ]);
+
+    await user.addToRecentlyViewed('p2');
+
+    expect(user.recentlyViewed.map(item => item.propertyId)).toEqual(['p2', 'p1']);
+  });
+
+  test('keeps the most recent items only', async () => {
+    const history = Array.from({ length: RECENTLY_VIEWED.MAX_ITEMS }, (_value, i) => ({ propertyId: `p${i}`, viewedAt: new Date() }));
+    const user = build(history);
+
+    await user.addToRecentlyViewed('new');
+
+    expect(user.recentlyViewed).toHaveLength(RECENTLY_VIEWED.MAX_ITEMS);
+    expect(user.recentlyViewed[0].propertyId).toBe('new');
+    expect(user.recentlyViewed.map(item => item.propertyId)).not.toContain(`p${RECENTLY_VIEWED.MAX_ITEMS - 1}`);
+  });
+
+  test('marks the JSONB column as changed', async () => {
+    const user = build([]);
+
+    await user.addToRecentlyViewed('p1');
+
+    expect(user.changed('recentlyViewed')).toBe(true);
+  });
+});
+
+describe('User#addToSearchHistory', () => {
+  const build = (searchHistory) => {
+    const user = User.build({ searchHistory });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    return user;
+  };
+
+  test('records the search with an id and its results count', async () => {
+    const user = build([]);
+
+    await user.addToSearchHistory({ city: 'Tunis' }, 42);
+
+    expect(user.searchHistory).toEqual([
+      { id: expect.any(String), query: { city: 'Tunis' }, timestamp: expect.any(Date), results_count: 42 },
+    ]);
+  });
+
+  test('replaces the same search stored with another key order', async () => {
+    const user = build([
+      { id: 'old', query: { type: 'Villa', city: 'Tunis' }, timestamp: new Date('2026-01-01'), results_count: 3 },
+      { id: 'other', query: { city: 'Sousse' }, timestamp: new Date('2026-01-01'), results_count: 8 },
+    ]);
+
+    await user.addToSearchHistory({ city: 'Tunis', type: 'Villa' }, 5);
+
+    expect(user.searchHistory.map(item => item.results_count)).toEqual([5, 8]);
+    expect(user.searchHistory[0].id).not.toBe('old');
+  });
+
+  test('removes an entry by id', async () => {
+    const user = build([
+      { id: 'a', query: {} },
+      { id: 'b', query: { city: 'Tunis' } },
+    ]);
+
+    await user.removeFromSearchHistory('a');
+
+    expect(user.searchHistory.map(item => item.id)).toEqual(['b']);
+  });
+});
@@ -0,0 +1,47 @@
+const express = require('express');
+const request = require('supertest');
+const Promoter = require('../../src/models/Promoter');
+const PropertyViewStat = require('../../src/models/PropertyViewStat');
+const logger = require('../../src/utils/logger');
+const promoterRoutes = require('../../src/routes/promoter.routes');
+const { errorHandler } = require('../../src/middleware/error.middleware');
+
+const app = express();
+app.use('/api/v1/promoters', promoterRoutes);
+app.use(errorHandler);
+
+const promoterId = '64b7f0c2a1b2c3d4e5f60718';
+
+// Promoter.findById(id).select(...).lean() resolving `promoter`
+const findPromoter = promoter => ({ select: () => ({ lean: async () => promoter }) });
+
+describe('GET /api/v1/promoters/:id/views', () => {
+  beforeEach(() => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns the daily series of the promoter', async () => {
+    jest.spyOn(Promoter, 'findById').mockReturnValue(findPromoter({ _id: promoterId, name: 'Horizon' }));
+    jest.spyOn(PropertyViewStat, 'dailySeries').mockResolvedValue({ total: 3, series: [{ date: '2026-03-10', views: 3 }] });
+    jest.spyOn(PropertyViewStat, 'topProperties').mockResolvedValue([{ propertyId: 'p1', title: 'Villa', views: 3 }]);
+
+    const res = await request(app).get(`/api/v1/promoters/${promoterId}/views?days=1`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ promoterId, days: 1, periodViews: 3 });
+    expect(PropertyViewStat.dailySeries).toHaveBeenCalledWith({ promoter_id: promoterId }, 1);
+  });
+
+  test('answers 404 through the error handler for an unknown promoter', async () => {
+    jest.spyOn(Promoter, 'findById').mockReturnValue(findPromoter(null));
+
+    const res = await request(app).get(`/api/v1/promoters/${promoterId}/views`);
+
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({ success: false, error: { code: 'PROMOTER_NOT_FOUND' } });
+  });
+});
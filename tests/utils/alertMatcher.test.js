@@ -0,0 +1,289 @@
+const SavedSearch = require('../../src/models/SavedSearch');
+const Alert = require('../../src/models/Alert');
+const { EventEmitter } = require('events');
+const UserFavorite = require('../../src/models/UserFavorite');
+const logger = require('../../src/utils/logger');
+const { createMemoryTransport, setTransport, getTransport } = require('../../src/utils/notifier');
+const {
+  matchesFilters,
+  deliverAlerts,
+  matchNewProperties,
+  createPriceDropAlerts,
+  createConstructionStatusAlerts,
+  watchPriceDrops,
+} = require('../../src/utils/alertMatcher');
+
+const property = (overrides = {}) => ({
+  _id: 'p1',
+  title: 'Appartement S+2 Lac 2',
+  type: 'Appartement',
+  price: 350000,
+  surface: 110,
+  location_id: { city: 'Tunis' },
+  apartment_details_id: { rooms: 3, features: ['Garage', 'Ascenseur'] },
+  VEFA_details_id: { is_vefa: true },
+  validated: true,
+  ...overrides,
+});
+
+describe('matchesFilters', () => {
+  test('matches without filters', () => {
+    expect(matchesFilters(property(), {})).toBe(true);
+  });
+
+  test.each([
+    [{ city: 'tunis' }, true],
+    [{ city: 'Sfax' }, false],
+    [{ type: 'Appartement' }, true],
+    [{ type: 'Villa' }, false],
+    [{ priceMin: 300000, priceMax: 350000 }, true],
+    [{ priceMax: 300000 }, false],
+    [{ surfaceMin: 120 }, false],
+    [{ rooms: 3 }, true],
+    [{ rooms: 2 }, false],
+    [{ features: 'Garage' }, true],
+    [{ features: ['Garage', 'Piscine'] }, false],
+    [{ isVefa: true }, true],
+    [{ isVefa: false }, false],
+  ])('applies %p', (filters, expected) => {
+    expect(matchesFilters(property(), filters)).toBe(expected);
+  });
+
+  test.each([
+    [{ deliveryDateBefore: 'T4 2026' }, true],
+    [{ deliveryDateBefore: '2026-05-31' }, false],
+    [{ deliveryDateAfter: '2026-04-01' }, true],
+    [{ deliveryDateAfter: '2026-05-01' }, false],
+  ])('applies the delivery window %p', (filters, expected) => {
+    const delivery = {
+      is_vefa: true,
+      delivery_window: { start: new Date('2026-04-01'), end: new Date('2026-06-30') },
+    };
+
+    expect(matchesFilters(property({ VEFA_details_id: delivery }), filters)).toBe(expected);
+  });
+
+  test('needs a known delivery date for delivery filters', () => {
+    expect(matchesFilters(property(), { deliveryDateBefore: '2030' })).toBe(false);
+  });
+
+  test('matches the city without accents', () => {
+    expect(matchesFilters(property({ location_id: { city: 'Médenine' } }), { city: 'medenine' })).toBe(true);
+  });
+
+  test('does not match a price range against a listing without price', () => {
+    expect(matchesFilters(property({ price: undefined }), { priceMin: 1 })).toBe(false);
+  });
+});
+
+describe('watchPriceDrops', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('alerts on each drop and logs failures instead of throwing', async () => {
+    const model = new EventEmitter();
+    jest.spyOn(UserFavorite, 'findAll').mockRejectedValue(new Error('connection lost'));
+    const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    const stop = watchPriceDrops(model);
+    model.emit('priceDrop', { property: property({ price: 300000 }), previousPrice: 350000 });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(error).toHaveBeenCalledWith('Price drop alerts failed', { propertyId: 'p1', error: 'connection lost' });
+
+    stop();
+    expect(model.listenerCount('priceDrop')).toBe(0);
+  });
+});
+
+describe('alert delivery', () => {
+  const initial = getTransport();
+  let memory;
+
+  beforeEach(() => {
+    memory = createMemoryTransport();
+    setTransport(memory);
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    jest.spyOn(Alert, 'update').mockResolvedValue([1]);
+  });
+
+  afterEach(() => {
+    setTransport(initial);
+    jest.restoreAllMocks();
+  });
+
+  describe('deliverAlerts', () => {
+    const user = { id: 7, email: 'sami@example.tn', language: 'ar' };
+    const alerts = [{
+      id: 'a1', type: 'new_listing', savedSearchId: 's1', propertyId: 'p1', payload: { title: 'Villa' },
+    }];
+    const subject = { fr: 'Nouvelles annonces', ar: 'إعلانات جديدة' };
+
+    test('sends one notification in the user language and marks alerts sent', async () => {
+      expect(await deliverAlerts(user, alerts, subject)).toBe(true);
+
+      expect(memory.sent).toEqual([expect.objectContaining({
+        userId: 7,
+        language: 'ar',
+        subject: 'إعلانات جديدة',
+        items: [{ alertId: 'a1', savedSearchId: 's1', propertyId: 'p1', title: 'Villa' }],
+      })]);
+      expect(Alert.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'sent' }),
+        { where: { id: ['a1'] } }
+      );
+    });
+
+    test('records the failure when the transport rejects', async () => {
+      setTransport({ send: async () => { throw new Error('SMTP down'); } });
+
+      expect(await deliverAlerts(user, alerts, subject)).toBe(false);
+      expect(Alert.update).toHaveBeenCalledWith(
+        { status: 'failed', error: 'SMTP down' },
+        { where: { id: ['a1'] } }
+      );
+    });
+  });
+
+  describe('matchNewProperties', () => {
+    const search = (id, userId, filters, preferences = {}) => ({
+      id,
+      userId,
+      name: `Recherche ${id}`,
+      filters,
+      user: { id: userId, email: `${userId}@example.tn`, language: 'fr', preferences },
+      update: jest.fn().mockResolvedValue(),
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Alert, 'bulkCreate').mockImplementation(async rows => rows.map((row, i) => ({
+        id: `${row.savedSearchId}-${i}`,
+        ...row,
+      })));
+    });
+
+    test('creates alerts per search and notifies each user once', async () => {
+      jest.spyOn(SavedSearch, 'findAll').mockResolvedValue([
+        search('s1', 1, { city: 'Tunis' }),
+        search('s2', 1, { type: 'Appartement' }),
+        search('s3', 2, { city: 'Sfax' }),
+      ]);
+      jest.spyOn(Alert, 'findAll').mockResolvedValue([]);
+
+      const summary = await matchNewProperties([property(), property({ _id: 'p2', validated: false })]);
+
+      expect(summary).toEqual({ properties: 1, searches: 3, alerts: 2, sent: 2, skipped: 0, failed: 0 });
+      expect(memory.sent).toHaveLength(1);
+      expect(memory.sent[0].items.map(item => item.savedSearchName)).toEqual(['Recherche s1', 'Recherche s2']);
+    });
+
+    test('does not alert twice for the same property', async () => {
+      jest.spyOn(SavedSearch, 'findAll').mockResolvedValue([search('s1', 1, {})]);
+      jest.spyOn(Alert, 'findAll').mockResolvedValue([{ propertyId: 'p1' }]);
+
+      const summary = await matchNewProperties([property()]);
+
+      expect(summary.alerts).toBe(0);
+      expect(Alert.bulkCreate).not.toHaveBeenCalled();
+    });
+
+    test('records skipped alerts for users who turned notifications off', async () => {
+      jest.spyOn(SavedSearch, 'findAll').mockResolvedValue([
+        search('s1', 1, {}, { notifications: { newListings: false } }),
+      ]);
+      jest.spyOn(Alert, 'findAll').mockResolvedValue([]);
+
+      const summary = await matchNewProperties([property()]);
+
+      expect(summary).toMatchObject({ alerts: 1, skipped: 1, sent: 0 });
+      expect(Alert.bulkCreate.mock.calls[0][0][0].status).toBe('skipped');
+      expect(memory.sent).toEqual([]);
+    });
+
+    test('skips the database when nothing new is published', async () => {
+      const findAll = jest.spyOn(SavedSearch, 'findAll');
+
+      expect(await matchNewProperties([property({ validated: false })])).toMatchObject({ properties: 0, searches: 0 });
+      expect(findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createPriceDropAlerts', () => {
+    const user = (id, preferences = {}) => ({ id, email: `${id}@example.tn`, language: 'fr', preferences });
+
+    beforeEach(() => {
+      jest.spyOn(Alert, 'create').mockImplementation(async values => ({ id: `a${values.userId}`, ...values }));
+    });
+
+    test('alerts the users who favorited the listing', async () => {
+      const findAll = jest.spyOn(UserFavorite, 'findAll').mockResolvedValue([
+        { user: user(1) },
+        { user: user(2, { notifications: { priceAlerts: false } }) },
+      ]);
+
+      const summary = await createPriceDropAlerts(property({ price: 315000 }), 350000);
+
+      expect(summary).toEqual({ alerts: 1, sent: 1, failed: 0 });
+      expect(findAll.mock.calls[0][0].where).toEqual({ propertyId: 'p1' });
+      expect(findAll.mock.calls[0][0].include[0].where).toEqual({ isActive: true });
+      expect(Alert.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 1,
+        propertyId: 'p1',
+        type: 'price_drop',
+        payload: expect.objectContaining({ previousPrice: 350000, price: 315000, dropPercent: 10 }),
+      }));
+      expect(memory.sent[0].subject).toBe('Baisse de prix sur un de vos favoris');
+    });
+
+    test.each([
+      ['a drop under the minimum', 349000, 350000],
+      ['a price on request', 0, 350000],
+      ['a previous price on request', 300000, 0],
+    ])('ignores %s', async (_label, price, previousPrice) => {
+      const findAll = jest.spyOn(UserFavorite, 'findAll');
+
+      expect(await createPriceDropAlerts(property({ price }), previousPrice)).toEqual({ alerts: 0, sent: 0, failed: 0 });
+      expect(findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createConstructionStatusAlerts', () => {
+    const user = (id, preferences = {}) => ({ id, email: `${id}@example.tn`, language: 'fr', preferences });
+    const update = {
+      previous_status: 'En cours de construction',
+      status: 'En finition',
+      percentage: 85,
+      photos: ['chantier.jpg'],
+      reported_at: new Date('2026-03-01T00:00:00.000Z'),
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Alert, 'create').mockImplementation(async values => ({ id: `a${values.userId}`, ...values }));
+    });
+
+    test('alerts the users who follow project updates', async () => {
+      jest.spyOn(UserFavorite, 'findAll').mockResolvedValue([
+        { user: user(1) },
+        { user: user(2, { notifications: { projectUpdates: false } }) },
+      ]);
+
+      const summary = await createConstructionStatusAlerts(property({ VEFA_details_id: { delivery_date: 'T2 2026' } }), update);
+
+      expect(summary).toEqual({ alerts: 1, sent: 1, failed: 0 });
+      expect(Alert.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 1,
+        type: 'construction_status',
+        payload: expect.objectContaining({
+          previousStatus: 'En cours de construction',
+          status: 'En finition',
+          percentage: 85,
+          comment: null,
+          photo: 'chantier.jpg',
+          deliveryDate: 'T2 2026',
+        }),
+      }));
+      expect(memory.sent[0].subject).toBe('Avancement des travaux d\'un de vos favoris');
+    });
+  });
+});
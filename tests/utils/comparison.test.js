@@ -0,0 +1,107 @@
+const { buildComparison } = require('../../src/utils/comparison');
+
+const listing = (id, overrides = {}) => ({
+  _id: id,
+  title: `Annonce ${id}`,
+  type: 'Appartement',
+  price: 300000,
+  surface: 100,
+  images: [`${id}.jpg`],
+  location_id: { city: 'Tunis', district: 'Lac 2', geo: { type: 'Point', coordinates: [10.23, 36.84] } },
+  apartment_details_id: { rooms: 3, features: ['Garage', 'Ascenseur'] },
+  promoter_id: { name: 'Promo', verified: true, rating: 4 },
+  ...overrides,
+});
+
+const row = (comparison, field) => comparison.rows.find(item => item.field === field);
+
+describe('buildComparison', () => {
+  test('keeps the columns in the requested order', () => {
+    const comparison = buildComparison([listing('b'), listing('a')]);
+
+    expect(comparison.properties.map(property => property.id)).toEqual(['b', 'a']);
+    expect(comparison.properties[0]).toMatchObject({ image: 'b.jpg', city: 'Tunis', district: 'Lac 2' });
+  });
+
+  test('highlights the best values only when they differ', () => {
+    const comparison = buildComparison([
+      listing('a', { price: 250000, surface: 100 }),
+      listing('b', { price: 300000, surface: 120 }),
+      listing('c', { price: 250000, surface: 100 }),
+    ]);
+
+    expect(row(comparison, 'price')).toMatchObject({ unit: 'TND', best: [0, 2] });
+    expect(row(comparison, 'surface').best).toEqual([1]);
+    expect(row(comparison, 'rooms').best).toEqual([]);
+    expect(row(comparison, 'floor')).not.toHaveProperty('best');
+  });
+
+  test('flags unknown values and leaves them out of the best', () => {
+    const comparison = buildComparison([
+      listing('a', { price: 0, promoter_id: { name: 'Promo', rating: 0 } }),
+      listing('b', { price: 350000 }),
+    ]);
+
+    expect(row(comparison, 'price').values).toEqual([
+      { value: null, missing: true },
+      { value: 350000, missing: false },
+    ]);
+    expect(row(comparison, 'price').best).toEqual([]);
+    expect(row(comparison, 'promoterRating').values[0]).toEqual({ value: null, missing: true });
+  });
+
+  test('computes the price per m² when it was not stored', () => {
+    const comparison = buildComparison([listing('a', { pricePerM2: 2800 }), listing('b', { price: 250000, surface: 90 })]);
+
+    expect(row(comparison, 'pricePerM2').values.map(({ value }) => value)).toEqual([2800, 2778]);
+  });
+
+  test('only shows construction details for VEFA listings', () => {
+    const vefa = { is_vefa: true, construction_progress: 'gros_oeuvre', delivery_date: new Date('2027-06-30') };
+    const comparison = buildComparison([
+      listing('a', { VEFA_details_id: vefa }),
+      listing('b', { VEFA_details_id: { ...vefa, is_vefa: false } }),
+    ]);
+
+    expect(row(comparison, 'vefaStatus').values.map(({ value }) => value)).toEqual(['gros_oeuvre', null]);
+    expect(row(comparison, 'deliveryDate').values[1].missing).toBe(true);
+  });
+
+  test('splits common and differing features', () => {
+    const { features } = buildComparison([
+      listing('a'),
+      listing('b', { apartment_details_id: { features: ['Garage', 'Piscine'] } }),
+      listing('c', { apartment_details_id: {} }),
+    ]);
+
+    expect(features.common).toEqual([]);
+    expect(features.differing).toEqual([
+      { feature: 'Garage', present: [true, true, null] },
+      { feature: 'Ascenseur', present: [true, false, null] },
+      { feature: 'Piscine', present: [false, true, null] },
+    ]);
+    expect(features.missing).toEqual([false, false, true]);
+  });
+
+  test('lists features shared by every listing as common', () => {
+    const { features } = buildComparison([listing('a'), listing('b')]);
+
+    expect(features).toEqual({ common: ['Garage', 'Ascenseur'], differing: [], missing: [false, false] });
+  });
+
+  test('builds a symmetric distance matrix', () => {
+    const { distances } = buildComparison([
+      listing('a'),
+      listing('b', { location_id: { coordinates: { lat: 36.89, lng: 10.19 } } }),
+      listing('c', { location_id: { city: 'Sousse' } }),
+    ]);
+
+    const [[self, ab, ac], [ba]] = distances.matrix;
+    expect(self).toBe(0);
+    expect(ab).toBeGreaterThan(6);
+    expect(ab).toBeLessThan(7);
+    expect(ba).toBe(ab);
+    expect(ac).toBeNull();
+    expect(distances.missing).toEqual([false, false, true]);
+  });
+});
@@ -0,0 +1,86 @@
+const { parseDeliveryDate, deliveryDateBound } = require('../../src/utils/deliveryDate');
+
+const day = iso => new Date(`${iso}T00:00:00.000Z`);
+
+describe('parseDeliveryDate', () => {
+  test.each([
+    // Months, French and Arabic
+    ['avril 2025', '2025-04-01', '2025-04-30', 'month'],
+    ['Livraison prévue en Février 2028', '2028-02-01', '2028-02-29', 'month'],
+    ['déc. 2025', '2025-12-01', '2025-12-31', 'month'],
+    ['أفريل 2025', '2025-04-01', '2025-04-30', 'month'],
+    ['جويلية 2026', '2026-07-01', '2026-07-31', 'month'],
+    ['أغسطس 2026', '2026-08-01', '2026-08-31', 'month'],
+    // Numeric months
+    ['04/2025', '2025-04-01', '2025-04-30', 'month'],
+    ['4-2025', '2025-04-01', '2025-04-30', 'month'],
+    ['2025-11', '2025-11-01', '2025-11-30', 'month'],
+    // Quarters
+    ['T2 2026', '2026-04-01', '2026-06-30', 'quarter'],
+    ['Q4-2025', '2025-10-01', '2025-12-31', 'quarter'],
+    ['2ème trimestre 2026', '2026-04-01', '2026-06-30', 'quarter'],
+    ['1er trimestre 2027', '2027-01-01', '2027-03-31', 'quarter'],
+    ['troisième trimestre 2026', '2026-07-01', '2026-09-30', 'quarter'],
+    ['الثلاثية الثانية 2026', '2026-04-01', '2026-06-30', 'quarter'],
+    ['الربع الرابع 2025', '2025-10-01', '2025-12-31', 'quarter'],
+    // Start and end of year
+    ['fin 2025', '2025-10-01', '2025-12-31', 'quarter'],
+    ['Début 2026', '2026-01-01', '2026-03-31', 'quarter'],
+    ['نهاية 2025', '2025-10-01', '2025-12-31', 'quarter'],
+    ['بداية 2026', '2026-01-01', '2026-03-31', 'quarter'],
+    // Year only
+    ['2026', '2026-01-01', '2026-12-31', 'year'],
+    ['Livraison 2027', '2027-01-01', '2027-12-31', 'year'],
+  ])('%s', (text, start, end, precision) => {
+    expect(parseDeliveryDate(text)).toEqual({ start: day(start), end: day(end), precision });
+  });
+
+  test.each([
+    [undefined],
+    [''],
+    ['bientôt'],
+    ['Immédiate'],
+    ['1999'],
+    ['2101'],
+  ])('returns null for %p', (text) => {
+    expect(parseDeliveryDate(text)).toBeNull();
+  });
+
+  test('ignores an out-of-range numeric month and falls back to the year', () => {
+    expect(parseDeliveryDate('13/2025')).toEqual({
+      start: day('2025-01-01'), end: day('2025-12-31'), precision: 'year',
+    });
+  });
+});
+
+describe('deliveryDateBound', () => {
+  test.each([
+    ['2026-06-30', 'before', '2026-06-30'],
+    ['2026-06-30', 'after', '2026-06-30'],
+    ['2028-02-29', 'before', '2028-02-29'],
+    [' 2026-01-15 ', 'after', '2026-01-15'],
+    ['T2 2026', 'before', '2026-06-30'],
+    ['T2 2026', 'after', '2026-04-01'],
+    ['avril 2025', 'before', '2025-04-30'],
+    ['2026', 'after', '2026-01-01'],
+  ])('%s (%s)', (value, bound, expected) => {
+    expect(deliveryDateBound(value, bound)).toEqual(day(expected));
+  });
+
+  test.each([
+    ['2026-02-31'],
+    ['2027-02-29'],
+    ['2026-13-01'],
+    ['2026-00-10'],
+    ['2026-04-31'],
+    ['demain'],
+    [''],
+  ])('rejects %p', (value) => {
+    expect(deliveryDateBound(value, 'before')).toBeNull();
+  });
+
+  test('rejects non-string values', () => {
+    expect(deliveryDateBound(undefined, 'after')).toBeNull();
+    expect(deliveryDateBound(20260630, 'after')).toBeNull();
+  });
+});
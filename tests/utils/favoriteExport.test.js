@@ -0,0 +1,94 @@
+const { buildFavoritesCsv, buildFavoritesPdf } = require('../../src/utils/favoriteExport');
+const { ERROR_CODES } = require('../../src/config/constants');
+
+const item = (overrides = {}) => ({
+  id: 'p1',
+  title: 'Appartement S+2 Lac 2',
+  type: 'Appartement',
+  price: 350000,
+  surface: 110,
+  location: { city: 'Tunis', district: 'Lac 2' },
+  details: { rooms: 3, features: ['Garage', 'Ascenseur'] },
+  promoter: { name: 'Immobilière du Lac', phone: '71 123 456', email: 'contact@lac.tn' },
+  url: 'https://nestify.tn/properties/p1',
+  favoritedAt: '2026-03-01T10:00:00.000Z',
+  collection: 'Tunis nord',
+  tags: ['visite'],
+  note: 'Rappeler; "urgent"',
+  ...overrides,
+});
+
+const parse = csv => csv.slice(1).trimEnd().split('\r\n');
+
+describe('buildFavoritesCsv', () => {
+  test('writes a BOM, a header and one line per favorite', () => {
+    const csv = buildFavoritesCsv([item(), item({ id: 'p2' })]);
+
+    expect(csv.startsWith('﻿')).toBe(true);
+    expect(csv.endsWith('\r\n')).toBe(true);
+    expect(parse(csv)).toHaveLength(3);
+    expect(parse(csv)[0].split(';')[0]).toBe('ID');
+  });
+
+  test('quotes cells holding the separator or quotes', () => {
+    const [, line] = parse(buildFavoritesCsv([item()]));
+
+    expect(line).toContain(';Garage, Ascenseur;');
+    expect(line.endsWith(';"Rappeler; ""urgent"""')).toBe(true);
+  });
+
+  test('neutralizes cells that would run as formulas', () => {
+    const [, line] = parse(buildFavoritesCsv([item({ title: '=HYPERLINK("http://evil")', note: '-2+3' })]));
+
+    expect(line).toContain(';"\'=HYPERLINK(""http://evil"")";');
+    expect(line.endsWith(";'-2+3")).toBe(true);
+  });
+
+  test('writes phone numbers in international format, without a prefix', () => {
+    const [, line] = parse(buildFavoritesCsv([item()]));
+
+    expect(line).toContain(';+21671123456;');
+  });
+
+  test('still neutralizes formulas in the phone column', () => {
+    const [, line] = parse(buildFavoritesCsv([item({ promoter: { phone: '+1+cmd' } })]));
+
+    expect(line).toContain(";'+1+cmd;");
+  });
+
+  test('leaves missing values empty', () => {
+    const [, line] = parse(buildFavoritesCsv([item({ promoter: {}, note: null })]));
+
+    expect(line.endsWith(';')).toBe(true);
+  });
+});
+
+describe('buildFavoritesPdf', () => {
+  const exportData = favorites => ({
+    user: { name: 'Sami Ben Ali', exportDate: '2026-03-10T09:00:00.000Z' },
+    favorites,
+  });
+
+  const read = doc => new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  test('lays out a shortlist with the built-in font', async () => {
+    const pdf = await read(buildFavoritesPdf(exportData([item(), item({ id: 'p2', title: 'Villa à Gammarth' })])));
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  test.each([
+    ['an Arabic title', exportData([item({ title: 'شقة في البحيرة' })])],
+    ['an Arabic user name', { ...exportData([]), user: { name: 'سامي', exportDate: '2026-03-10T09:00:00.000Z' } }],
+  ])('fails clearly on %s without PDF_FONT_PATH', (_label, data) => {
+    expect(() => buildFavoritesPdf(data)).toThrow(expect.objectContaining({
+      statusCode: 500,
+      code: ERROR_CODES.PDF_FONT_MISSING,
+    }));
+  });
+});
@@ -0,0 +1,68 @@
+const Property = require('../../src/models/Property');
+const { favoriteDetails, loadFavoriteProperties } = require('../../src/utils/favorites');
+
+const favorite = (propertyId, details = {}) => ({
+  propertyId,
+  createdAt: new Date('2026-03-01T10:00:00.000Z'),
+  note: null,
+  tags: [],
+  collectionId: null,
+  ...details,
+});
+
+describe('favoriteDetails', () => {
+  test('exposes what the owner added to the favorite', () => {
+    expect(favoriteDetails(favorite('p1', { note: 'Proche école', tags: ['famille'], collectionId: 'c1' }))).toEqual({
+      favoritedAt: new Date('2026-03-01T10:00:00.000Z'),
+      note: 'Proche école',
+      tags: ['famille'],
+      collectionId: 'c1',
+    });
+  });
+});
+
+describe('loadFavoriteProperties', () => {
+  let find;
+  let chain;
+
+  beforeEach(() => {
+    chain = {
+      select: jest.fn(() => chain),
+      populate: jest.fn(() => chain),
+      lean: async () => [{ _id: 'p1', title: 'S+1' }, { _id: 'p3', title: 'Villa' }],
+    };
+    find = jest.spyOn(Property, 'find').mockReturnValue(chain);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps the favorites order and skips missing listings', async () => {
+    const properties = await loadFavoriteProperties([favorite('p3'), favorite('p2'), favorite('p1')]);
+
+    expect(properties.map(property => property._id)).toEqual(['p3', 'p1']);
+    expect(properties[0]).toMatchObject({ title: 'Villa', isFavorited: true, tags: [] });
+    expect(find).toHaveBeenCalledWith({ _id: { $in: ['p3', 'p2', 'p1'] }, validated: true });
+  });
+
+  test('passes the projection and promoter fields through', async () => {
+    await loadFavoriteProperties([favorite('p1')], {
+      validatedOnly: false, select: 'title price', populate: 'name verified',
+    });
+
+    expect(find).toHaveBeenCalledWith({ _id: { $in: ['p1'] } });
+    expect(chain.select).toHaveBeenCalledWith('title price');
+    expect(chain.populate).toHaveBeenCalledWith('promoter_id', 'name verified');
+  });
+
+  test('lets the caller choose the favorite details', async () => {
+    const [property] = await loadFavoriteProperties([favorite('p1', { note: 'Privé' })], {
+      details: saved => ({ favoritedAt: saved.createdAt }),
+    });
+
+    expect(property).toEqual({
+      _id: 'p1', title: 'S+1', isFavorited: true, favoritedAt: new Date('2026-03-01T10:00:00.000Z'),
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const { simulateLoan } = require('../../src/utils/finance');
+
+// Fixed configuration so the specs do not depend on FINANCE_DEBT_RATIO_CAP
+const config = {
+  defaults: { annualRate: 9, durationYears: 20, downPaymentPercent: 20 },
+  limits: { maxAnnualRate: 30, maxDurationYears: 30 },
+  debtRatioCap: 0.4,
+  presets: {
+    social: {
+      label: { fr: 'Logement social', ar: 'مسكن اجتماعي' },
+      annualRate: 5,
+      maxDurationYears: 25,
+      minDownPaymentPercent: 10,
+      maxPrice: 160000,
+    },
+  },
+};
+
+const sum = (rows, field) => Math.round(rows.reduce((total, row) => total + row[field], 0) * 1000) / 1000;
+
+describe('simulateLoan', () => {
+  describe('annuity', () => {
+    // 80 000 TND at 12 % a year (1 % a month) over 120 months
+    const simulation = simulateLoan({
+      price: 100000, downPaymentPercent: 20, annualRate: 12, durationYears: 10,
+    }, config);
+
+    test('computes the monthly payment to the millime', () => {
+      expect(simulation.loanAmount).toBe(80000);
+      expect(simulation.months).toBe(120);
+      expect(simulation.monthlyPayment).toBe(1147.768);
+    });
+
+    test('starts with interest on the whole loan', () => {
+      expect(simulation.amortization[0]).toEqual({
+        month: 1, payment: 1147.768, interest: 800, principal: 347.768, balance: 79652.232,
+      });
+    });
+
+    test('lets the last payment absorb rounding so the balance ends at 0', () => {
+      const last = simulation.amortization[119];
+
+      expect(last.balance).toBe(0);
+      expect(last.payment).not.toBe(simulation.monthlyPayment);
+      expect(sum(simulation.amortization, 'principal')).toBe(80000);
+    });
+
+    test('totals match the table', () => {
+      expect(simulation.totalPaid).toBe(sum(simulation.amortization, 'payment'));
+      expect(simulation.totalInterest).toBe(Math.round((simulation.totalPaid - 80000) * 1000) / 1000);
+      expect(simulation.totalCost).toBe(Math.round((simulation.totalPaid + 20000) * 1000) / 1000);
+    });
+
+    test('sums the table per year on request', () => {
+      const yearly = simulateLoan({
+        price: 100000, downPaymentPercent: 20, annualRate: 12, durationYears: 10, amortization: 'yearly',
+      }, config);
+
+      expect(yearly.amortization).toHaveLength(10);
+      expect(yearly.amortization[0].year).toBe(1);
+      expect(yearly.amortization[9].balance).toBe(0);
+      expect(sum(yearly.amortization, 'payment')).toBe(simulation.totalPaid);
+    });
+  });
+
+  test('splits the loan evenly at a zero rate', () => {
+    const simulation = simulateLoan({
+      price: 120000, downPaymentPercent: 0, annualRate: 0, durationYears: 10,
+    }, config);
+
+    expect(simulation.monthlyPayment).toBe(1000);
+    expect(simulation.totalInterest).toBe(0);
+    expect(simulation.amortization.every(row => row.payment === 1000 && row.interest === 0)).toBe(true);
+    expect(simulation.amortization[119].balance).toBe(0);
+  });
+
+  describe('down payment', () => {
+    test('prefers an amount over a percentage', () => {
+      const simulation = simulateLoan({
+        price: 200000, downPayment: 30000, downPaymentPercent: 50,
+      }, config);
+
+      expect(simulation.downPayment).toBe(30000);
+      expect(simulation.downPaymentPercent).toBe(15);
+      expect(simulation.loanAmount).toBe(170000);
+    });
+
+    test.each([
+      [100000],
+      [150000],
+    ])('returns null when %i covers the price', (downPayment) => {
+      expect(simulateLoan({ price: 100000, downPayment }, config)).toBeNull();
+    });
+
+    test('returns null at 100 %', () => {
+      expect(simulateLoan({ price: 100000, downPaymentPercent: 100 }, config)).toBeNull();
+    });
+  });
+
+  describe('presets', () => {
+    test('fill the values left out', () => {
+      const simulation = simulateLoan({ price: 100000, preset: 'social' }, config);
+
+      expect(simulation.preset).toEqual({ key: 'social', label: config.presets.social.label });
+      expect(simulation.annualRate).toBe(5);
+      expect(simulation.durationYears).toBe(25);
+      expect(simulation.downPaymentPercent).toBe(10);
+      expect(simulation.warnings).toEqual([]);
+    });
+
+    test('give way to the values sent', () => {
+      const simulation = simulateLoan({
+        price: 100000, preset: 'social', annualRate: 6, durationYears: 15, downPaymentPercent: 30,
+      }, config);
+
+      expect(simulation.annualRate).toBe(6);
+      expect(simulation.durationYears).toBe(15);
+      expect(simulation.downPaymentPercent).toBe(30);
+    });
+
+    test('warn about unmet conditions without blocking the simulation', () => {
+      const simulation = simulateLoan({
+        price: 200000, preset: 'social', durationYears: 30, downPaymentPercent: 5,
+      }, config);
+
+      expect(simulation.warnings).toEqual([
+        { code: 'DOWN_PAYMENT_BELOW_MINIMUM', limit: 10 },
+        { code: 'DURATION_ABOVE_MAXIMUM', limit: 25 },
+        { code: 'PRICE_ABOVE_CEILING', limit: 160000 },
+      ]);
+      expect(simulation.monthlyPayment).toBeGreaterThan(0);
+    });
+
+    test('fall back to the configuration defaults without a preset', () => {
+      const simulation = simulateLoan({ price: 100000 }, config);
+
+      expect(simulation.preset).toBeNull();
+      expect(simulation.annualRate).toBe(9);
+      expect(simulation.durationYears).toBe(20);
+      expect(simulation.downPaymentPercent).toBe(20);
+      expect(simulation.warnings).toEqual([]);
+    });
+  });
+
+  describe('affordability', () => {
+    const loan = {
+      price: 100000, downPaymentPercent: 20, annualRate: 12, durationYears: 10,
+    };
+
+    test('is left out without an income', () => {
+      expect(simulateLoan(loan, config).affordability).toBeNull();
+    });
+
+    test('compares the debt ratio with the cap', () => {
+      const { affordability } = simulateLoan({ ...loan, monthlyIncome: 3000, monthlyDebts: 200 }, config);
+
+      expect(affordability).toMatchObject({
+        debtRatio: 0.4493,
+        debtRatioCap: 0.4,
+        affordable: false,
+        maxMonthlyPayment: 1000,
+      });
+    });
+
+    test('gives the largest loan and price the income allows', () => {
+      const { affordability } = simulateLoan({ ...loan, monthlyIncome: 3000, monthlyDebts: 200 }, config);
+
+      // 1 000 TND a month at 1 % over 120 months, plus the 20 000 TND down payment
+      expect(affordability.maxLoanAmount).toBe(69700.522);
+      expect(affordability.maxPrice).toBe(89700.522);
+    });
+
+    test('is affordable under the cap', () => {
+      const { affordability } = simulateLoan({ ...loan, monthlyIncome: 5000 }, config);
+
+      expect(affordability.monthlyDebts).toBe(0);
+      expect(affordability.affordable).toBe(true);
+    });
+
+    test('never gives a negative payment capacity', () => {
+      const { affordability } = simulateLoan({ ...loan, monthlyIncome: 1000, monthlyDebts: 800 }, config);
+
+      expect(affordability.maxMonthlyPayment).toBe(0);
+      expect(affordability.maxLoanAmount).toBe(0);
+    });
+  });
+});
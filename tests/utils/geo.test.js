@@ -0,0 +1,149 @@
+const {
+  toGeoPoint,
+  getLocationCoordinates,
+  parseBbox,
+  bboxToPolygon,
+  bboxCenter,
+  ringAreaKm2,
+  ringSelfIntersects,
+  validateSearchArea,
+} = require('../../src/utils/geo');
+
+// Closed square ring with its lower-left corner at [lng, lat]
+const square = (lng, lat, size) => [
+  [lng, lat], [lng + size, lat], [lng + size, lat + size], [lng, lat + size], [lng, lat],
+];
+
+describe('toGeoPoint', () => {
+  test('stores coordinates as [lng, lat]', () => {
+    expect(toGeoPoint({ lat: 36.8, lng: 10.18 })).toEqual({ type: 'Point', coordinates: [10.18, 36.8] });
+  });
+
+  test.each([
+    [undefined],
+    [{ lat: 36.8 }],
+    [{ lat: '36.8', lng: '10.18' }],
+    [{ lat: 91, lng: 10 }],
+    [{ lat: 36.8, lng: -181 }],
+  ])('returns undefined for %p', (coordinates) => {
+    expect(toGeoPoint(coordinates)).toBeUndefined();
+  });
+});
+
+describe('getLocationCoordinates', () => {
+  test('prefers the GeoJSON point', () => {
+    const location = { geo: { coordinates: [10.18, 36.8] }, coordinates: { lat: 0, lng: 0 } };
+
+    expect(getLocationCoordinates(location)).toEqual({ lat: 36.8, lng: 10.18 });
+  });
+
+  test('falls back to the legacy lat/lng pair', () => {
+    expect(getLocationCoordinates({ coordinates: { lat: 35.82, lng: 10.63 } })).toEqual({ lat: 35.82, lng: 10.63 });
+  });
+
+  test('returns null without coordinates', () => {
+    expect(getLocationCoordinates({ city: 'Tunis' })).toBeNull();
+    expect(getLocationCoordinates(undefined)).toBeNull();
+  });
+});
+
+describe('parseBbox', () => {
+  test('parses "minLng,minLat,maxLng,maxLat"', () => {
+    expect(parseBbox('10.1, 36.7, 10.3, 36.9')).toEqual([10.1, 36.7, 10.3, 36.9]);
+  });
+
+  test.each([
+    [undefined],
+    ['10.1,36.7,10.3'],
+    ['10.1,36.7,abc,36.9'],
+    ['-181,36.7,10.3,36.9'],
+    ['10.1,36.7,10.3,91'],
+    ['10.3,36.7,10.1,36.9'],
+    ['10.1,36.9,10.3,36.9'],
+  ])('rejects %p', (value) => {
+    expect(parseBbox(value)).toBeNull();
+  });
+});
+
+describe('bboxToPolygon', () => {
+  test('builds a closed ring', () => {
+    const ring = bboxToPolygon([10, 36, 11, 37]).coordinates[0];
+
+    expect(ring).toHaveLength(5);
+    expect(ring[0]).toEqual(ring[4]);
+    expect(ring).toContainEqual([11, 37]);
+  });
+});
+
+describe('bboxCenter', () => {
+  test('averages both axes', () => {
+    expect(bboxCenter([10, 36, 11, 37])).toEqual({ lat: 36.5, lng: 10.5 });
+  });
+});
+
+describe('ringAreaKm2', () => {
+  test('approximates a 0.1° square around Tunis', () => {
+    // ~11.1 km of latitude by ~8.9 km of longitude at 36.8°N
+    expect(ringAreaKm2(square(10.1, 36.75, 0.1))).toBeGreaterThan(95);
+    expect(ringAreaKm2(square(10.1, 36.75, 0.1))).toBeLessThan(103);
+  });
+
+  test('does not depend on the winding order', () => {
+    const ring = square(10.1, 36.75, 0.1);
+
+    expect(ringAreaKm2([...ring].reverse())).toBeCloseTo(ringAreaKm2(ring), 6);
+  });
+});
+
+describe('ringSelfIntersects', () => {
+  test('accepts a simple square', () => {
+    expect(ringSelfIntersects(square(10, 36, 1))).toBe(false);
+  });
+
+  test('detects a bow tie', () => {
+    expect(ringSelfIntersects([[10, 36], [11, 37], [11, 36], [10, 37], [10, 36]])).toBe(true);
+  });
+
+  test('detects an edge folding back over another', () => {
+    expect(ringSelfIntersects([[10, 36], [12, 36], [11, 36], [11, 37], [10, 36]])).toBe(true);
+  });
+});
+
+describe('validateSearchArea', () => {
+  test('accepts a small polygon', () => {
+    expect(validateSearchArea({ type: 'Polygon', coordinates: [square(10.1, 36.75, 0.1)] })).toBeNull();
+  });
+
+  test('accepts a multipolygon with a hole', () => {
+    const geometry = {
+      type: 'MultiPolygon',
+      coordinates: [
+        [square(10.1, 36.75, 0.1), square(10.12, 36.77, 0.02)],
+        [square(10.6, 35.8, 0.1)],
+      ],
+    };
+
+    expect(validateSearchArea(geometry)).toBeNull();
+  });
+
+  test.each([
+    ['an empty polygon', [], /au moins un contour/],
+    ['a ring with three positions', [[[10, 36], [11, 36], [10, 36]]], /au moins 4 positions/],
+    ['an out of range position', [[[10, 36], [11, 36], [11, 95], [10, 36]]], /au moins 4 positions/],
+    ['an open ring', [square(10, 36, 0.1).slice(0, 4).concat([[10, 36.05]])], /fermé/],
+    ['a bow tie', [[[10, 36], [10.1, 36.1], [10.1, 36], [10, 36.1], [10, 36]]], /croiser/],
+    ['a polygon wider than the area limit', [square(9, 35, 1)], /2500 km²/],
+  ])('rejects %s', (_label, coordinates, message) => {
+    expect(validateSearchArea({ type: 'Polygon', coordinates })).toMatch(message);
+  });
+
+  test('rejects too many vertices', () => {
+    const ring = Array.from({ length: 1000 }, (_value, i) => {
+      const angle = (2 * Math.PI * i) / 1000;
+      return [10 + 0.05 * Math.cos(angle), 36 + 0.05 * Math.sin(angle)];
+    });
+    ring.push(ring[0]);
+
+    expect(validateSearchArea({ type: 'Polygon', coordinates: [ring] })).toMatch(/1000 points/);
+  });
+});
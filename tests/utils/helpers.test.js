@@ -0,0 +1,228 @@
+const {
+  encodeCursor,
+  decodeCursor,
+  buildCursorCondition,
+  paginateQuery,
+  buildSortObject,
+  parseArrayFromQuery,
+  calculatePricePerM2,
+  normalizeSearchQuery,
+  stableStringify,
+  resolveLanguage,
+} = require('../../src/utils/helpers');
+
+// Minimal stand-in for a Mongoose model: records the find() call and resolves `items`
+const fakeModel = (items, total = items.length) => {
+  const calls = {};
+  const chain = {
+    sort: (sort) => { calls.sort = sort; return chain; },
+    skip: (skip) => { calls.skip = skip; return chain; },
+    limit: (limit) => { calls.limit = limit; return chain; },
+    lean: async () => items.slice(0, calls.limit),
+  };
+  return {
+    calls,
+    find: (query, projection) => { Object.assign(calls, { query, projection }); return chain; },
+    countDocuments: async () => total,
+  };
+};
+
+describe('encodeCursor / decodeCursor', () => {
+  test('round-trips numbers and keeps the id', () => {
+    const token = encodeCursor({ _id: 'p42', price: 250000 }, { price: 1, _id: 1 });
+
+    expect(token).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(token)).toEqual({ value: 250000, id: 'p42' });
+  });
+
+  test('restores dates', () => {
+    const createdAt = new Date('2025-03-01T10:00:00.000Z');
+    const cursor = decodeCursor(encodeCursor({ _id: 'p1', created_at: createdAt }, { created_at: -1 }));
+
+    expect(cursor.value).toEqual(createdAt);
+  });
+
+  test('reads nested sort fields and missing values', () => {
+    expect(decodeCursor(encodeCursor({ _id: 'p1', stats: { views: 7 } }, { 'stats.views': -1 })).value).toBe(7);
+    expect(decodeCursor(encodeCursor({ _id: 'p1' }, { price: 1 })).value).toBeNull();
+  });
+
+  test.each(['not-base64!', Buffer.from('{"v":1}').toString('base64url'), ''])('rejects %p', (token) => {
+    expect(decodeCursor(token)).toBeNull();
+  });
+});
+
+describe('buildCursorCondition', () => {
+  test('continues after the cursor value, ties broken by _id', () => {
+    expect(buildCursorCondition({ price: 1, _id: 1 }, { value: 250000, id: 'p42' })).toEqual({
+      $or: [
+        { price: { $gt: 250000 } },
+        { price: 250000, _id: { $gt: 'p42' } },
+      ],
+    });
+  });
+
+  test('walks descending sorts backwards', () => {
+    expect(buildCursorCondition({ views: -1, _id: -1 }, { value: 10, id: 'p1' })).toEqual({
+      $or: [
+        { views: { $lt: 10 } },
+        { views: 10, _id: { $lt: 'p1' } },
+      ],
+    });
+  });
+
+  test('uses the id alone when sorting by _id', () => {
+    expect(buildCursorCondition({ _id: -1 }, { value: 'p9', id: 'p9' })).toEqual({ _id: { $lt: 'p9' } });
+  });
+});
+
+describe('paginateQuery', () => {
+  const items = [{ _id: 'a', price: 1 }, { _id: 'b', price: 2 }, { _id: 'c', price: 3 }];
+
+  test('paginates by page with a cursor to continue from', async () => {
+    const Model = fakeModel(items, 5);
+    const { items: page, pagination } = await paginateQuery(Model, { validated: true }, {
+      sort: { price: 1 }, page: 1, limit: 2,
+    });
+
+    expect(page).toHaveLength(2);
+    expect(Model.calls.sort).toEqual({ price: 1, _id: 1 });
+    expect(Model.calls.skip).toBe(0);
+    expect(pagination).toMatchObject({ totalItems: 5, hasNext: true });
+    expect(decodeCursor(pagination.nextCursor)).toEqual({ value: 2, id: 'b' });
+  });
+
+  test('switches to cursor mode with `after`', async () => {
+    const Model = fakeModel(items);
+    const after = encodeCursor({ _id: 'z', price: 0 }, { price: 1 });
+    const { items: page, pagination } = await paginateQuery(Model, { validated: true, $and: [{ type: 'Villa' }] }, {
+      sort: { price: 1 }, limit: 2, after,
+    });
+
+    expect(Model.calls.limit).toBe(3);
+    expect(Model.calls.query.$and).toEqual([
+      { type: 'Villa' },
+      { $or: [{ price: { $gt: 0 } }, { price: 0, _id: { $gt: 'z' } }] },
+    ]);
+    expect(page.map(item => item._id)).toEqual(['a', 'b']);
+    expect(pagination).toEqual({ itemsPerPage: 2, hasNext: true, nextCursor: encodeCursor(items[1], { price: 1 }) });
+  });
+
+  test('ends the cursor chain on the last page', async () => {
+    const after = encodeCursor({ _id: 'z', price: 0 }, { price: 1 });
+    const { pagination } = await paginateQuery(fakeModel(items), {}, { sort: { price: 1 }, limit: 5, after });
+
+    expect(pagination).toEqual({ itemsPerPage: 5, hasNext: false, nextCursor: null });
+  });
+
+  test('gives no cursor for relevance sorts', async () => {
+    const { pagination } = await paginateQuery(fakeModel(items, 9), {}, {
+      sort: { score: { $meta: 'textScore' } }, page: 1, limit: 2,
+    });
+
+    expect(pagination).not.toHaveProperty('nextCursor');
+  });
+});
+
+describe('buildSortObject', () => {
+  test.each([
+    ['newest', { created_at: -1 }],
+    ['price_asc', { price: 1 }],
+    ['price_desc', { price: -1 }],
+    ['surface_asc', { surface: 1 }],
+    ['surface_desc', { surface: -1 }],
+    ['views', { views: -1 }],
+    ['relevance', { score: { $meta: 'textScore' } }],
+  ])('maps %s', (sort, expected) => {
+    expect(buildSortObject(sort)).toEqual(expected);
+  });
+
+  test.each([undefined, '', 'cheapest'])('falls back to newest for %p', (sort) => {
+    expect(buildSortObject(sort)).toEqual({ created_at: -1 });
+  });
+});
+
+describe('parseArrayFromQuery', () => {
+  test.each([
+    [undefined, []],
+    ['', []],
+    ['Garage', ['Garage']],
+    ['Garage, Piscine,,Balcon ', ['Garage', 'Piscine', 'Balcon']],
+    [['Garage', 'Piscine'], ['Garage', 'Piscine']],
+    [42, []],
+  ])('parses %p', (value, expected) => {
+    expect(parseArrayFromQuery(value)).toEqual(expected);
+  });
+});
+
+describe('resolveLanguage', () => {
+  test.each([
+    ['an explicit lang', { query: { lang: 'ar' }, user: { language: 'fr' } }, 'ar'],
+    ['the profile language', { query: {}, user: { language: 'ar' } }, 'ar'],
+    ['Accept-Language', { query: {}, headers: { 'accept-language': 'ar-TN,ar;q=0.9' } }, 'ar'],
+    ['an unsupported lang', { query: { lang: 'en' }, headers: { 'accept-language': 'en-US' } }, 'fr'],
+    ['a bare request', {}, 'fr'],
+  ])('uses %s', (_label, req, expected) => {
+    expect(resolveLanguage(req)).toBe(expected);
+  });
+});
+
+describe('calculatePricePerM2', () => {
+  test.each([
+    [300000, 100, 3000],
+    [250000, 90, 2778],
+    [100001, 2, 50001], // halves round up like the $floor(x + 0.5) pipeline stage
+    [0, 100, null], // "prix sur demande"
+    [300000, 0, null],
+    [undefined, 100, null],
+    [300000, null, null],
+  ])('%p TND over %p m²', (price, surface, expected) => {
+    expect(calculatePricePerM2(price, surface)).toBe(expected);
+  });
+});
+
+describe('normalizeSearchQuery', () => {
+  test('drops pagination, facets and empty values', () => {
+    expect(normalizeSearchQuery({
+      city: 'Tunis', page: 2, limit: 20, after: 'abc', facets: true, type: '', rooms: null,
+    })).toEqual({ city: 'Tunis' });
+  });
+
+  test('sorts features and keys', () => {
+    const normalized = normalizeSearchQuery({ type: 'Villa', features: 'Piscine,Garage', city: 'Sousse' });
+
+    expect(normalized).toEqual({ city: 'Sousse', features: ['Garage', 'Piscine'], type: 'Villa' });
+    expect(Object.keys(normalized)).toEqual(['city', 'features', 'type']);
+  });
+
+  test('stores dates as ISO strings', () => {
+    expect(normalizeSearchQuery({ deliveryDateBefore: new Date('2027-06-30T00:00:00.000Z') }))
+      .toEqual({ deliveryDateBefore: '2027-06-30T00:00:00.000Z' });
+  });
+
+  test('treats the same search written differently as equal', () => {
+    const first = normalizeSearchQuery({ features: ['Piscine', 'Garage'], city: 'Tunis', page: 1 });
+    const second = normalizeSearchQuery({ city: 'Tunis', features: 'Garage, Piscine', page: 3 });
+
+    expect(stableStringify(first)).toBe(stableStringify(second));
+  });
+});
+
+describe('stableStringify', () => {
+  test('ignores key order at every level', () => {
+    expect(stableStringify({ b: 1, a: { d: [1, { y: 2, x: 1 }], c: null } }))
+      .toBe('{"a":{"c":null,"d":[1,{"x":1,"y":2}]},"b":1}');
+  });
+
+  test('keeps array order', () => {
+    expect(stableStringify([2, 1])).not.toBe(stableStringify([1, 2]));
+  });
+
+  test('serializes dates and primitives like JSON.stringify', () => {
+    const date = new Date('2026-01-01T00:00:00.000Z');
+
+    expect(stableStringify(date)).toBe(JSON.stringify(date));
+    expect(stableStringify('villa')).toBe('"villa"');
+    expect(stableStringify(3)).toBe('3');
+  });
+});
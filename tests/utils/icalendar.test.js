@@ -0,0 +1,74 @@
+const { buildCalendar } = require('../../src/utils/icalendar');
+
+const event = overrides => ({
+  uid: 'event-1@nestify',
+  date: new Date('2026-03-31T00:00:00.000Z'),
+  summary: 'Échéance',
+  ...overrides,
+});
+
+// Unfold continuation lines (CRLF followed by a space)
+const unfold = text => text.replace(/\r\n /g, '');
+
+describe('buildCalendar', () => {
+  test('writes an all-day event ending the next day', () => {
+    const ics = buildCalendar({ name: 'Plan', events: [event()] });
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics).toContain('DTSTART;VALUE=DATE:20260331\r\n');
+    expect(ics).toContain('DTEND;VALUE=DATE:20260401\r\n');
+    expect(ics).toMatch(/DTSTAMP:\d{8}T\d{6}Z\r\n/);
+  });
+
+  test('uses CRLF line endings only', () => {
+    const ics = buildCalendar({ name: 'Plan', events: [event()] });
+
+    expect(ics.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+  });
+
+  test('escapes commas, semicolons, backslashes and newlines in text values', () => {
+    const ics = buildCalendar({
+      name: 'Plan; VEFA, 2026',
+      events: [event({ summary: 'A\\B', description: 'Ligne 1\nLigne 2\r\nLigne 3' })],
+    });
+
+    expect(ics).toContain('X-WR-CALNAME:Plan\\; VEFA\\, 2026\r\n');
+    expect(ics).toContain('SUMMARY:A\\\\B\r\n');
+    expect(ics).toContain('DESCRIPTION:Ligne 1\\nLigne 2\\nLigne 3\r\n');
+  });
+
+  test('leaves out empty description and url', () => {
+    const ics = buildCalendar({ name: 'Plan', events: [event()] });
+
+    expect(ics).not.toContain('DESCRIPTION:');
+    expect(ics).not.toContain('URL:');
+  });
+
+  test('folds long lines at 75 octets', () => {
+    const description = 'x'.repeat(200);
+    const ics = buildCalendar({ name: 'Plan', events: [event({ description })] });
+    const lines = ics.split('\r\n');
+
+    lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(lines.filter(line => line.startsWith(' ')).length).toBeGreaterThan(0);
+    expect(unfold(ics)).toContain(`DESCRIPTION:${description}\r\n`);
+  });
+
+  test('never splits a multi-byte character when folding', () => {
+    const description = 'é'.repeat(100) + 'ت'.repeat(50);
+    const ics = buildCalendar({ name: 'Plan', events: [event({ description })] });
+
+    ics.split('\r\n').forEach((line) => {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      expect(line).not.toContain('�');
+    });
+    expect(unfold(ics)).toContain(`DESCRIPTION:${description}\r\n`);
+  });
+
+  test('writes an empty calendar without events', () => {
+    const ics = buildCalendar({ name: 'Plan', events: [] });
+
+    expect(ics).not.toContain('BEGIN:VEVENT');
+  });
+});
@@ -0,0 +1,41 @@
+const {
+  logTransport,
+  createMemoryTransport,
+  setTransport,
+  getTransport,
+  notify,
+} = require('../../src/utils/notifier');
+
+describe('notifier', () => {
+  const initial = getTransport();
+
+  afterEach(() => {
+    setTransport(initial);
+  });
+
+  test('logs notifications by default', () => {
+    expect(initial).toBe(logTransport);
+  });
+
+  test('delivers through the current transport', async () => {
+    const memory = createMemoryTransport();
+    setTransport(memory);
+
+    await notify({ type: 'new_listing', userId: 1, items: [] });
+
+    expect(memory.sent).toEqual([{ type: 'new_listing', userId: 1, items: [] }]);
+    memory.clear();
+    expect(memory.sent).toEqual([]);
+  });
+
+  test('propagates delivery failures', async () => {
+    setTransport({ send: async () => { throw new Error('SMTP down'); } });
+
+    await expect(notify({ items: [] })).rejects.toThrow('SMTP down');
+  });
+
+  test('rejects a transport without send()', () => {
+    expect(() => setTransport({ name: 'broken' })).toThrow(/send\(notification\)/);
+    expect(getTransport()).toBe(initial);
+  });
+});
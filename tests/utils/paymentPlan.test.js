@@ -0,0 +1,157 @@
+const { buildPaymentPlan, buildPaymentPlanCalendar } = require('../../src/utils/paymentPlan');
+const { VEFA_STATUS, PAYMENT_PLAN } = require('../../src/config/constants');
+
+const { STATUSES } = PAYMENT_PLAN;
+const day = iso => new Date(`${iso}T00:00:00.000Z`);
+
+const vefaProperty = (vefa, price = 300000) => ({
+  _id: 'mubawab_1',
+  title: 'Résidence Les Jasmins',
+  price,
+  url: 'https://example.com/annonce/1',
+  VEFA_details_id: { is_vefa: true, ...vefa },
+});
+
+describe('buildPaymentPlan', () => {
+  describe('amounts', () => {
+    test('gives the rounding remainder to the last instalment of a complete schedule', () => {
+      const plan = buildPaymentPlan(vefaProperty({
+        payment_schedule: [{ percentage: 30 }, { percentage: 30 }, { percentage: 40 }],
+      }, 100001), day('2026-01-01'));
+
+      expect(plan.instalments.map(instalment => instalment.amount)).toEqual([30000, 30000, 40001]);
+      expect(plan.percentages).toEqual({ total: 100, valid: true });
+    });
+
+    test('rounds each instalment without balancing an incomplete schedule', () => {
+      const plan = buildPaymentPlan(vefaProperty({
+        payment_schedule: [{ percentage: 33.3 }, { percentage: 33.3 }],
+      }, 100001), day('2026-01-01'));
+
+      expect(plan.instalments.map(instalment => instalment.amount)).toEqual([33300, 33300]);
+      expect(plan.percentages).toEqual({ total: 66.6, valid: false });
+    });
+
+    test('leaves amounts and totals empty without a price', () => {
+      const plan = buildPaymentPlan(vefaProperty({
+        payment_schedule: [{ percentage: 50 }, { percentage: 50 }],
+      }, 0), day('2026-01-01'));
+
+      expect(plan.price).toBeNull();
+      expect(plan.instalments.map(instalment => instalment.amount)).toEqual([null, null]);
+      expect(plan.totals).toEqual({ dueNow: null, upcoming: null });
+    });
+  });
+
+  describe('stage inference', () => {
+    test.each([
+      ['Signature du contrat de réservation', VEFA_STATUS.PLANNING],
+      ['Avance à la réservation', VEFA_STATUS.PLANNING],
+      ['Achèvement des fondations', VEFA_STATUS.CONSTRUCTION],
+      ['Fin du gros œuvre', VEFA_STATUS.CONSTRUCTION],
+      ['Achèvement des finitions', VEFA_STATUS.FINISHING],
+      ['Remise des clés', VEFA_STATUS.DELIVERED],
+      ['عند التسليم', VEFA_STATUS.DELIVERED],
+      ['عند توقيع العقد', VEFA_STATUS.PLANNING],
+      ['Divers', null],
+      [undefined, null],
+    ])('%p', (description, stage) => {
+      const plan = buildPaymentPlan(vefaProperty({
+        payment_schedule: [{ percentage: 100, description }],
+      }), day('2026-01-01'));
+
+      expect(plan.instalments[0].stage).toBe(stage);
+    });
+  });
+
+  describe('statuses', () => {
+    // Construction has started; today is 2026-06-15
+    const plan = buildPaymentPlan(vefaProperty({
+      construction_progress: VEFA_STATUS.CONSTRUCTION,
+      payment_schedule: [
+        { percentage: 20, description: 'Signature du contrat', dueDate: '01/2026' },
+        { percentage: 30, description: 'Achèvement des fondations', dueDate: '12/2026' },
+        { percentage: 20, description: 'Achèvement des finitions', dueDate: '03/2026' },
+        { percentage: 10, description: 'Remise des clés', dueDate: 'T4 2027' },
+        { percentage: 10, description: 'Divers', dueDate: '02/2026' },
+        { percentage: 10, description: 'Divers', dueDate: '2027' },
+      ],
+    }, 100000), new Date('2026-06-15T10:00:00Z'));
+
+    test.each([
+      [0, STATUSES.OVERDUE, 'stage reached and date passed'],
+      [1, STATUSES.DUE, 'stage reached, date to come'],
+      [2, STATUSES.DELAYED, 'date passed, stage not reached'],
+      [3, STATUSES.UPCOMING, 'stage and date to come'],
+      [4, STATUSES.OVERDUE, 'no stage, date passed'],
+      [5, STATUSES.UPCOMING, 'no stage, date to come'],
+    ])('instalment %i is %s (%s)', (index, status) => {
+      expect(plan.instalments[index].status).toBe(status);
+    });
+
+    test('dates instalments from the start of their period', () => {
+      expect(plan.instalments[3].dueDate).toEqual(day('2027-10-01'));
+      expect(plan.instalments[3].dueDateText).toBe('T4 2027');
+    });
+
+    test('sums called and upcoming amounts', () => {
+      expect(plan.totals).toEqual({ dueNow: 60000, upcoming: 40000 });
+    });
+
+    test('does not mark a due date of today as passed', () => {
+      const today = buildPaymentPlan(vefaProperty({
+        payment_schedule: [{ percentage: 100, description: 'Divers', dueDate: '2026-06-15' }],
+      }), new Date('2026-06-15T23:00:00Z'));
+
+      expect(today.instalments[0].status).toBe(STATUSES.UPCOMING);
+    });
+  });
+
+  describe('listings without a schedule', () => {
+    const plan = buildPaymentPlan(vefaProperty({
+      construction_progress: VEFA_STATUS.CONSTRUCTION,
+      delivery_date: 'T4 2027',
+    }, 200000), day('2026-01-01'));
+
+    test('uses the default schedule as an estimate', () => {
+      expect(plan.estimate).toBe(true);
+      expect(plan.instalments.map(instalment => instalment.percentage))
+        .toEqual(PAYMENT_PLAN.DEFAULT_SCHEDULE.map(entry => entry.percentage));
+      expect(plan.instalments.every(instalment => instalment.estimatedDate)).toBe(true);
+      expect(plan.percentages.valid).toBe(true);
+    });
+
+    test('calls reached stages today and spreads the others until delivery', () => {
+      const dates = plan.instalments.map(instalment => instalment.dueDate);
+
+      expect(dates.slice(0, 3)).toEqual([day('2026-01-01'), day('2026-01-01'), day('2026-01-01')]);
+      expect(dates[3] > day('2026-01-01') && dates[3] < day('2027-12-31')).toBe(true);
+      expect(dates[4]).toEqual(day('2027-12-31'));
+      expect(plan.delivery.window.end).toEqual(day('2027-12-31'));
+    });
+
+    test('leaves future dates empty when the delivery date is unknown', () => {
+      const undated = buildPaymentPlan(vefaProperty({}), day('2026-01-01'));
+
+      expect(undated.instalments[0].dueDate).toEqual(day('2026-01-01'));
+      expect(undated.instalments.slice(1).every(instalment => instalment.dueDate === null)).toBe(true);
+    });
+  });
+});
+
+describe('buildPaymentPlanCalendar', () => {
+  test('adds one all-day event per dated instalment', () => {
+    const property = vefaProperty({
+      payment_schedule: [
+        { percentage: 40, description: 'Signature', dueDate: '2026-03-10' },
+        { percentage: 60, description: 'Remise des clés' },
+      ],
+    }, 250000);
+    const ics = buildPaymentPlanCalendar(property, buildPaymentPlan(property, day('2026-01-01')));
+
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    expect(ics).toContain('UID:mubawab_1-1@nestify\r\n');
+    expect(ics).toContain('DTSTART;VALUE=DATE:20260310\r\n');
+    expect(ics).toContain('SUMMARY:Échéance VEFA 40 %');
+  });
+});
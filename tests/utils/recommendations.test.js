@@ -0,0 +1,159 @@
+const {
+  readPreferences,
+  buildUserProfile,
+  getTargetValues,
+  scoreRecommendation,
+  diversify,
+} = require('../../src/utils/recommendations');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const listing = (overrides = {}) => ({
+  _id: 'p1',
+  type: 'Appartement',
+  price: 300000,
+  surface: 100,
+  location_id: { city: 'Ben Arous' },
+  apartment_details_id: { rooms: 3, features: ['Garage', 'Ascenseur'] },
+  promoter_id: 'promoter-1',
+  created_at: new Date(),
+  ...overrides,
+});
+
+describe('readPreferences', () => {
+  test('reads the keys written by updatePreferences', () => {
+    expect(readPreferences({
+      cities: ['Tunis'], propertyTypes: ['villa'], budgetMin: 200000, budgetMax: 400000, surfaceMin: 90,
+    })).toEqual({
+      cities: ['Tunis'],
+      types: ['villa'],
+      features: [],
+      price: { min: 200000, max: 400000 },
+      surface: { min: 90, max: undefined },
+    });
+  });
+
+  test('falls back to the model defaults and ignores empty bounds', () => {
+    const preferences = readPreferences({
+      regions: ['Sousse'], priceRange: { min: 0, max: 500000 }, surfaceRange: { min: 0, max: 0 },
+    });
+
+    expect(preferences.cities).toEqual(['Sousse']);
+    expect(preferences.price).toEqual({ min: undefined, max: 500000 });
+    expect(preferences.surface).toEqual({ min: undefined, max: undefined });
+  });
+});
+
+describe('buildUserProfile', () => {
+  test('weighs favorites above searches and views', () => {
+    const profile = buildUserProfile({}, {
+      favorites: [listing()],
+      recentlyViewed: [listing({ location_id: { city: 'Tunis' } }), listing({ location_id: { city: 'Tunis' } })],
+      searches: [{ city: 'Tunis', features: 'Piscine' }],
+    });
+
+    expect(profile.implicit.cities.get('ben arous').weight).toBe(3);
+    expect(profile.implicit.cities.get('tunis')).toMatchObject({
+      weight: 4, sources: { recentlyViewed: 2, searchHistory: 2 },
+    });
+    expect(profile.implicit.features.get('piscine').weight).toBe(2);
+    expect(profile.signals).toEqual({ preferences: false, favorites: 1, recentlyViewed: 2, searches: 1 });
+  });
+
+  test('targets the median price and surface of the listings', () => {
+    const profile = buildUserProfile({}, {
+      favorites: [listing({ price: 200000, surface: 80 }), listing({ price: 400000, surface: 120 }), listing({ price: 0 })],
+    });
+
+    expect(profile.implicit.price).toBe(300000);
+    expect(profile.implicit.surface).toBe(100);
+  });
+
+  test('starts empty', () => {
+    const profile = buildUserProfile();
+
+    expect(profile.implicit.price).toBeNull();
+    expect(profile.signals).toEqual({ preferences: false, favorites: 0, recentlyViewed: 0, searches: 0 });
+  });
+});
+
+describe('getTargetValues', () => {
+  test('lists stated values, then the most frequent interactions', () => {
+    const profile = buildUserProfile({ cities: ['ben_arous'] }, {
+      favorites: [listing({ location_id: { city: 'Tunis' } })],
+      recentlyViewed: [listing({ location_id: { city: 'Sfax' } })],
+    });
+
+    // Sfax weighs 1 against 3 for Tunis: below half the top weight
+    expect(getTargetValues(profile, 'cities')).toEqual(['ben arous', 'tunis']);
+  });
+});
+
+describe('scoreRecommendation', () => {
+  test('gives full marks to a listing matching stated preferences', () => {
+    const profile = buildUserProfile({
+      cities: ['ben_arous'], propertyTypes: ['appartement'], budgetMax: 350000, features: ['Garage'],
+    });
+    const { score, breakdown, reasons } = scoreRecommendation(profile, listing());
+
+    expect(score).toBe(100);
+    expect(breakdown).toEqual({ city: 25, type: 20, price: 20, features: 15, freshness: 10 });
+    expect(reasons).toContainEqual({ criterion: 'city', source: 'preferences', city: 'Ben Arous' });
+  });
+
+  test('explains matches found through activity', () => {
+    const profile = buildUserProfile({}, { favorites: [listing({ price: 250000 })] });
+    const { reasons } = scoreRecommendation(profile, listing({ price: 275000 }));
+
+    expect(reasons).toContainEqual({ criterion: 'city', source: 'favorites', city: 'Ben Arous' });
+    expect(reasons).toContainEqual({
+      criterion: 'price', source: 'activity', price: 275000, differencePercent: 10,
+    });
+  });
+
+  test('fades the price score outside the stated budget', () => {
+    const profile = buildUserProfile({ budgetMax: 300000 });
+
+    expect(scoreRecommendation(profile, listing({ price: 345000 })).breakdown.price).toBe(10);
+    expect(scoreRecommendation(profile, listing({ price: 400000 })).breakdown.price).toBe(0);
+  });
+
+  test('prefers recent listings', () => {
+    const profile = buildUserProfile({ cities: ['Ben Arous'] });
+    const fresh = scoreRecommendation(profile, listing());
+    const old = scoreRecommendation(profile, listing({ created_at: new Date(Date.now() - 45 * DAY) }));
+
+    expect(fresh.breakdown.freshness).toBe(10);
+    expect(old.breakdown.freshness).toBe(0);
+    expect(fresh.score).toBeGreaterThan(old.score);
+  });
+});
+
+describe('diversify', () => {
+  const scored = (id, score, overrides = {}) => listing({ _id: id, recommendation: { score }, ...overrides });
+
+  test('spreads the picks across promoters', () => {
+    const picked = diversify([
+      scored('a', 90, { promoter_id: 'x' }),
+      scored('b', 85, { promoter_id: 'x', location_id: { city: 'Tunis' } }),
+      scored('c', 80, { promoter_id: 'y', location_id: { city: 'Sousse' } }),
+    ], 3);
+
+    expect(picked.map(property => property._id)).toEqual(['a', 'c', 'b']);
+  });
+
+  test('spreads the picks across similar listings', () => {
+    const picked = diversify([
+      scored('a', 90, { promoter_id: 'x' }),
+      scored('b', 85, { promoter_id: 'y' }),
+      scored('c', 70, { promoter_id: 'z', type: 'Villa' }),
+    ], 2);
+
+    expect(picked.map(property => property._id)).toEqual(['a', 'c']);
+  });
+
+  test('returns at most `limit` listings', () => {
+    expect(diversify([scored('a', 1), scored('b', 2)], 1)).toHaveLength(1);
+    expect(diversify([], 5)).toEqual([]);
+  });
+});
@@ -0,0 +1,193 @@
+const {
+  parseRentalPotential, computeYields, buildRentalEstimate, buildRentIndex, estimateFromComparables,
+} = require('../../src/utils/rentalYield');
+
+describe('parseRentalPotential', () => {
+  describe('amounts', () => {
+    test.each([
+      ['Loyer estimé 1200 DT/mois', 1200],
+      ['Loyer estimé 1 200 DT/mois', 1200],
+      ['1.200 DT par mois', 1200],
+      ['1 200,50 TND mensuel', 1201],
+      ['loyer 1,2k', 1200],
+      ['2 mille dinars par mois', 2000],
+      ['950dt', 950],
+      ['Location possible à 900 DT', 900],
+      ['Facilement louable : 1100', 1100],
+    ])('%s', (text, rent) => {
+      expect(parseRentalPotential(text, 240000)).toBe(rent);
+    });
+
+    test('ignores numbers that are not rents', () => {
+      expect(parseRentalPotential('S+3 de 120 m2, loyer 900 DT', 240000)).toBe(900);
+      expect(parseRentalPotential('Location, 120 m2', 240000)).toBeNull();
+    });
+  });
+
+  describe('ranges', () => {
+    test.each([
+      ['800 - 1000 DT par mois', 900],
+      ['800 à 1000 dinars par mois', 900],
+      ['entre 800 et 1 000 DT', 900],
+      ['loyer 1000-1200', 1100],
+    ])('%s gives the middle', (text, rent) => {
+      expect(parseRentalPotential(text, 240000)).toBe(rent);
+    });
+
+    test('does not take unrelated numbers for the low end', () => {
+      expect(parseRentalPotential('S+3 et 900 DT', 240000)).toBe(900);
+    });
+  });
+
+  describe('periods', () => {
+    test.each([
+      ['15 000 DT par an', 1250],
+      ['15 000 DT/an', 1250],
+      ['Revenu annuel 15 000 DT', 1250],
+      ['15 000 DT l\'année', 1250],
+      ['1250 DT mensuel', 1250],
+    ])('%s', (text, rent) => {
+      expect(parseRentalPotential(text, 300000)).toBe(rent);
+    });
+
+    test('does not read a duration in years as a yearly rent', () => {
+      expect(parseRentalPotential('location 2 ans garantie 1000 DT', 240000)).toBe(1000);
+      expect(parseRentalPotential('Bail de 3 ans, loyer 1 100 DT', 240000)).toBe(1100);
+    });
+
+    test('guesses a yearly rent when monthly would not be plausible', () => {
+      expect(parseRentalPotential('Loyer 14400 DT', 200000)).toBe(1200);
+    });
+
+    test('keeps a monthly rent when it is plausible', () => {
+      expect(parseRentalPotential('Loyer 1200 DT', 200000)).toBe(1200);
+    });
+
+    test('reads the amount as monthly without a price', () => {
+      expect(parseRentalPotential('Loyer 1500', 0)).toBe(1500);
+      expect(parseRentalPotential('Loyer 1500', undefined)).toBe(1500);
+    });
+  });
+
+  describe('yields', () => {
+    test.each([
+      ['Rendement locatif 7 %', 300000, 1750],
+      ['rentabilité 6,5%', 240000, 1300],
+    ])('%s', (text, price, rent) => {
+      expect(parseRentalPotential(text, price)).toBe(rent);
+    });
+
+    test('needs a price', () => {
+      expect(parseRentalPotential('Rendement locatif 7 %', 0)).toBeNull();
+    });
+
+    test('drops implausible percentages', () => {
+      expect(parseRentalPotential('Taux d\'occupation 90%', 200000)).toBeNull();
+    });
+  });
+
+  describe('Arabic', () => {
+    test.each([
+      ['إيجار 900 دينار شهريا', 200000, 900],
+      ['كراء 1000 د.ت', 250000, 1000],
+      ['الكراء بين 800 و 1000 دينار في الشهر', 200000, 900],
+      ['12000 دينار سنويا', 200000, 1000],
+      ['إيجار ١٢٠٠ دينار', 250000, 1200],
+    ])('%s', (text, price, rent) => {
+      expect(parseRentalPotential(text, price)).toBe(rent);
+    });
+  });
+
+  describe('unreadable or implausible', () => {
+    test.each([
+      [undefined],
+      [''],
+      ['Bon potentiel locatif'],
+      ['Idéal investissement'],
+      ['Location saisonnière 150 DT/nuit'],
+      ['Loyer 50 000 DT/mois'],
+    ])('%p', (text) => {
+      expect(parseRentalPotential(text, 300000)).toBeNull();
+    });
+  });
+});
+
+describe('computeYields', () => {
+  test('gives gross and net yields in %', () => {
+    // Net: 11 months rented, 20 % of the rent in charges
+    expect(computeYields(1000, 240000)).toEqual({ grossYield: 5, netYield: 3.67 });
+  });
+
+  test.each([
+    [1000, 0],
+    [1000, undefined],
+    [0, 240000],
+  ])('is empty for rent %p and price %p', (rent, price) => {
+    expect(computeYields(rent, price)).toEqual({ grossYield: null, netYield: null });
+  });
+});
+
+describe('buildRentalEstimate', () => {
+  const estimatedAt = new Date('2026-01-01T00:00:00Z');
+
+  test('keeps the comparable count for comparables only', () => {
+    expect(buildRentalEstimate({
+      monthlyRent: 1000, source: 'listing', comparables: 4, estimatedAt,
+    }, 240000)).toEqual({
+      monthlyRent: 1000, source: 'listing', grossYield: 5, netYield: 3.67, estimatedAt,
+    });
+    expect(buildRentalEstimate({
+      monthlyRent: 1000, source: 'comparables', comparables: 4, estimatedAt,
+    }, 240000).comparables).toBe(4);
+  });
+});
+
+describe('comparables', () => {
+  const listing = (city, district, rooms, surface, monthlyRent) => ({
+    surface,
+    location_id: { city, district },
+    apartment_details_id: { rooms },
+    rentalEstimate: { monthlyRent },
+  });
+
+  const index = buildRentIndex([
+    listing('Tunis', 'Lac 2', 3, 100, 1000),
+    listing('Tunis', 'Lac 2', 3, 100, 1200),
+    listing('Tunis', 'Lac 2', 3, 100, 1400),
+    listing('Tunis', 'Menzah', 3, 100, 800),
+    listing('Tunis', 'Menzah', 2, 100, 600),
+    listing('Sousse', 'Khezama', 3, 100, 700),
+    listing('Sousse', 'Khezama', 3, 0, 700),
+    { surface: 100, location_id: { city: 'Sfax' } },
+  ]);
+
+  test('groups listings by city, district and rooms with the median rent per m2', () => {
+    expect(index.get('tunis|lac 2|3')).toEqual({ rentPerM2: 12, count: 3 });
+    expect(index.get('tunis||3')).toEqual({ rentPerM2: 11, count: 4 });
+    expect(index.get('tunis')).toEqual({ rentPerM2: 10, count: 5 });
+    expect(index.get('sousse')).toEqual({ rentPerM2: 7, count: 1 });
+    expect(index.has('sfax')).toBe(false);
+  });
+
+  test('uses the most specific group with enough comparables', () => {
+    const estimate = estimateFromComparables(index, {
+      price: 240000, surface: 80, location_id: { city: 'Tunis', district: 'Lac 2' }, apartment_details_id: { rooms: 3 },
+    });
+
+    expect(estimate).toMatchObject({ monthlyRent: 960, source: 'comparables', comparables: 3 });
+  });
+
+  test('widens to the city and rooms, then the city', () => {
+    const property = { price: 240000, surface: 100, location_id: { city: 'tunis', district: 'Marsa' } };
+
+    expect(estimateFromComparables(index, { ...property, apartment_details_id: { rooms: 3 } }))
+      .toMatchObject({ monthlyRent: 1100, comparables: 4 });
+    expect(estimateFromComparables(index, { ...property, apartment_details_id: { rooms: 5 } }))
+      .toMatchObject({ monthlyRent: 1000, comparables: 5 });
+  });
+
+  test('gives up with too few comparables or without a surface', () => {
+    expect(estimateFromComparables(index, { surface: 100, location_id: { city: 'Sousse' } })).toBeNull();
+    expect(estimateFromComparables(index, { surface: 0, location_id: { city: 'Tunis' } })).toBeNull();
+  });
+});
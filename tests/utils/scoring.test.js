@@ -0,0 +1,58 @@
+const { round, scoreWeightedCriteria } = require('../../src/utils/scoring');
+
+describe('round', () => {
+  test.each([
+    [52.5, 0, 53],
+    [11.119, 1, 11.1],
+    [-12.4, 0, -12],
+  ])('rounds %p to %p decimals', (value, decimals, expected) => {
+    expect(round(value, decimals)).toBe(expected);
+  });
+});
+
+describe('scoreWeightedCriteria', () => {
+  const criteria = {
+    exact: (reference, candidate) => ({
+      similarity: reference.value === candidate.value ? 1 : 0,
+      why: { value: candidate.value },
+    }),
+    half: () => ({ similarity: 0.5, why: { half: true } }),
+    weak: () => ({ similarity: 0.25, why: { weak: true } }),
+    unknown: () => null,
+  };
+  const weights = { exact: 50, half: 30, weak: 20, unknown: 100 };
+
+  test('weighs each criterion and scales the score to 100', () => {
+    const { score, breakdown } = scoreWeightedCriteria(criteria, weights, { value: 1 }, { value: 1 });
+
+    expect(breakdown).toEqual({ exact: 50, half: 15, weak: 5 });
+    expect(score).toBe(70);
+  });
+
+  test('leaves criteria without data out of the maximum', () => {
+    const { breakdown } = scoreWeightedCriteria(criteria, weights, {}, {});
+
+    expect(breakdown).not.toHaveProperty('unknown');
+  });
+
+  test('explains the criteria that match at least half way', () => {
+    const { matches } = scoreWeightedCriteria(criteria, weights, { value: 1 }, { value: 2 });
+
+    expect(matches).toEqual([{ criterion: 'half', half: true }]);
+  });
+
+  test('scores 0 when no criterion applies', () => {
+    expect(scoreWeightedCriteria({ unknown: () => null }, weights, {}, {}))
+      .toEqual({ score: 0, breakdown: {}, matches: [] });
+  });
+
+  test('passes the reference and the candidate to each criterion', () => {
+    const compare = jest.fn(() => ({ similarity: 1 }));
+    const reference = { id: 'ref' };
+    const candidate = { id: 'candidate' };
+
+    scoreWeightedCriteria({ exact: compare }, weights, reference, candidate);
+
+    expect(compare).toHaveBeenCalledWith(reference, candidate);
+  });
+});
@@ -0,0 +1,85 @@
+const {
+  getNeighbouringGovernorates,
+  getPricePerM2,
+  scoreSimilarity,
+} = require('../../src/utils/similarity');
+
+const listing = (overrides = {}) => ({
+  price: 300000,
+  surface: 100,
+  apartment_details_id: { rooms: 3, features: ['Garage', 'Ascenseur'] },
+  location_id: { city: 'Tunis', geo: { coordinates: [10.18, 36.8] } },
+  VEFA_details_id: { is_vefa: false },
+  ...overrides,
+});
+
+describe('getNeighbouringGovernorates', () => {
+  test('matches the city without accents or case', () => {
+    expect(getNeighbouringGovernorates('tunis')).toEqual(['Ariana', 'Ben Arous', 'Manouba']);
+    expect(getNeighbouringGovernorates('BEJA')).toContain('Jendouba');
+  });
+
+  test('returns nothing for an unknown city', () => {
+    expect(getNeighbouringGovernorates('Paris')).toEqual([]);
+    expect(getNeighbouringGovernorates(undefined)).toEqual([]);
+  });
+});
+
+describe('getPricePerM2', () => {
+  test.each([
+    [{ pricePerM2: 2800, price: 300000, surface: 100 }, 2800],
+    [{ price: 300000, surface: 90 }, 3333],
+    [{ price: 0, surface: 90 }, null],
+    [{ price: 300000 }, null],
+  ])('reads %p', (property, expected) => {
+    expect(getPricePerM2(property)).toBe(expected);
+  });
+});
+
+describe('scoreSimilarity', () => {
+  test('scores an identical listing 100', () => {
+    const { score, breakdown, why } = scoreSimilarity(listing(), listing());
+
+    expect(score).toBe(100);
+    expect(breakdown).toEqual({ pricePerM2: 35, rooms: 20, features: 20, distance: 15, vefa: 10 });
+    expect(why.map(reason => reason.criterion)).toEqual(['pricePerM2', 'rooms', 'features', 'distance', 'vefa']);
+  });
+
+  test('scales each criterion by its weight', () => {
+    const candidate = listing({
+      price: 375000, // +25 % per m², half of PRICE_RANGE
+      apartment_details_id: { rooms: 4, features: ['Garage'] },
+      location_id: { geo: { coordinates: [10.18, 36.8] } },
+      VEFA_details_id: { is_vefa: true },
+    });
+    const { score, breakdown, why } = scoreSimilarity(listing(), candidate);
+
+    expect(breakdown).toEqual({ pricePerM2: 17.5, rooms: 10, features: 10, distance: 15, vefa: 0 });
+    expect(score).toBe(53);
+    expect(why).toContainEqual({ criterion: 'pricePerM2', pricePerM2: 3750, differencePercent: 25 });
+    expect(why).toContainEqual({ criterion: 'features', shared: ['Garage'] });
+    expect(why.map(reason => reason.criterion)).not.toContain('vefa');
+  });
+
+  test('leaves out criteria the reference has no data for', () => {
+    const reference = listing({ apartment_details_id: {}, location_id: { city: 'Tunis' } });
+    const { score, breakdown } = scoreSimilarity(reference, listing());
+
+    expect(Object.keys(breakdown)).toEqual(['pricePerM2', 'vefa']);
+    expect(score).toBe(100);
+  });
+
+  test('gives no points when the candidate lacks the data', () => {
+    const candidate = listing({ price: 0, apartment_details_id: {}, location_id: {} });
+    const { breakdown } = scoreSimilarity(listing(), candidate);
+
+    expect(breakdown).toMatchObject({ pricePerM2: 0, rooms: 0, features: 0, distance: 0 });
+  });
+
+  test('reports the distance when close enough', () => {
+    const candidate = listing({ location_id: { geo: { coordinates: [10.18, 36.9] } } });
+    const { why } = scoreSimilarity(listing(), candidate);
+
+    expect(why).toContainEqual({ criterion: 'distance', distanceKm: 11.1 });
+  });
+});
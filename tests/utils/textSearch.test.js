@@ -0,0 +1,91 @@
+const {
+  normalizeText,
+  tokenize,
+  buildSearchKeywords,
+  buildTextSearch,
+  accentInsensitivePattern,
+} = require('../../src/utils/textSearch');
+
+describe('normalizeText', () => {
+  test.each([
+    ['Villa À Sidi Bou Saïd', 'villa a sidi bou said'],
+    ['Cœur de ville', 'coeur de ville'],
+    ['الْمَرْسَى', 'المرسي'], // harakat, alif maqsura
+    ['أريانة', 'اريانه'], // hamza on alif, taa marbuta
+    ['٣ غرف', '3 غرف'], // Arabic-Indic digits
+    ['  Tunis  ', 'tunis'],
+  ])('normalizes %p', (text, expected) => {
+    expect(normalizeText(text)).toBe(expected);
+  });
+
+  test.each([undefined, null, ''])('returns an empty string for %p', (text) => {
+    expect(normalizeText(text)).toBe('');
+  });
+});
+
+describe('tokenize', () => {
+  test('drops stop words, singularizes and deduplicates', () => {
+    expect(tokenize('Les villas de la Marsa avec piscine, villa')).toEqual(['villa', 'marsa', 'piscine']);
+  });
+
+  test('strips the Arabic article so both spellings match', () => {
+    expect(tokenize('شقة في المرسى')).toEqual(['شقه', 'مرسي']);
+    expect(tokenize('مرسى')).toEqual(['مرسي']);
+  });
+
+  test('keeps words ending in s that are not plurals', () => {
+    expect(tokenize('Tunis Ennasr bus')).toEqual(['tunis', 'ennasr', 'bus']);
+  });
+
+  test('ignores one-letter words', () => {
+    expect(tokenize('a b villa')).toEqual(['villa']);
+  });
+});
+
+describe('buildSearchKeywords', () => {
+  test('indexes French fields along with their Arabic labels', () => {
+    const keywords = buildSearchKeywords({
+      title: 'Belle villa',
+      type: 'Villa',
+      location_id: { city: 'Tunis', district: 'La Marsa' },
+      apartment_details_id: { features: ['Piscine'] },
+    });
+
+    expect(keywords).toEqual(expect.arrayContaining(['belle', 'villa', 'tunis', 'marsa', 'piscine', 'تونس', 'فيلا', 'مسبح']));
+    expect(new Set(keywords).size).toBe(keywords.length);
+  });
+
+  test('caps the number of keywords', () => {
+    const description = Array.from({ length: 300 }, (_value, i) => `mot${i}`).join(' ');
+
+    expect(buildSearchKeywords({ description })).toHaveLength(200);
+  });
+
+  test('copes with a bare property', () => {
+    expect(buildSearchKeywords({})).toEqual([]);
+  });
+});
+
+describe('buildTextSearch', () => {
+  test('joins the query tokens', () => {
+    expect(buildTextSearch('Appartements à Sousse')).toBe('appartement sousse');
+  });
+});
+
+describe('accentInsensitivePattern', () => {
+  const matches = (input, stored) => new RegExp(`^${accentInsensitivePattern(input)}$`, 'i').test(stored);
+
+  test.each([
+    ['medenine', 'Médenine'],
+    ['Médenine', 'MEDENINE'],
+    ['beja', 'Béja'],
+    ['اريانه', 'أريانة'],
+  ])('%p matches %p', (input, stored) => {
+    expect(matches(input, stored)).toBe(true);
+  });
+
+  test('escapes regex characters', () => {
+    expect(matches('a.b', 'a.b')).toBe(true);
+    expect(matches('a.b', 'axb')).toBe(false);
+  });
+});
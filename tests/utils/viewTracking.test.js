@@ -0,0 +1,50 @@
+const { isBot, getViewerKey } = require('../../src/utils/viewTracking');
+
+const request = ({ userId, ip = '197.1.2.3', userAgent = 'Mozilla/5.0' } = {}) => ({
+  userId,
+  ip,
+  get: (header) => (header === 'user-agent' ? userAgent : undefined),
+});
+
+describe('isBot', () => {
+  test.each([
+    'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+    'facebookexternalhit/1.1',
+    'WhatsApp/2.23.20',
+    'curl/8.4.0',
+    'python-requests/2.31',
+    'Mozilla/5.0 HeadlessChrome/120.0',
+  ])('flags %p', (userAgent) => {
+    expect(isBot(userAgent)).toBe(true);
+  });
+
+  test('treats a missing user agent as automated', () => {
+    expect(isBot(undefined)).toBe(true);
+    expect(isBot('')).toBe(true);
+  });
+
+  test('counts regular browsers', () => {
+    expect(isBot('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Safari/604.1')).toBe(false);
+  });
+});
+
+describe('getViewerKey', () => {
+  test('uses the user id when authenticated', () => {
+    expect(getViewerKey(request({ userId: 42 }))).toBe('user:42');
+  });
+
+  test('hashes IP and user agent for anonymous viewers', () => {
+    const key = getViewerKey(request());
+
+    expect(key).toMatch(/^anon:[0-9a-f]{32}$/);
+    expect(key).not.toContain('197.1.2.3');
+    expect(getViewerKey(request())).toBe(key);
+  });
+
+  test('tells anonymous viewers apart', () => {
+    const key = getViewerKey(request());
+
+    expect(getViewerKey(request({ ip: '197.1.2.4' }))).not.toBe(key);
+    expect(getViewerKey(request({ userAgent: 'Other' }))).not.toBe(key);
+  });
+});